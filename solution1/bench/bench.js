@@ -0,0 +1,215 @@
+/**
+ * Benchmark of the WavePad simulation: Runs headless scenarios and reports ticks per second.
+ *
+ * Node only, no dependencies:
+ *		node solution1/bench/bench.js [--ticks 3000] [scenario ...]
+ * Scenarios: classic, multiball, pinball, crowded (hundreds of walls and dozens of balls). Defaults to all of them.
+ *
+ * Each scenario runs from the same seed with the default broad phase (see World.surfacesNear), then testing every
+ * wall every time. Both must end in the same state: The broad phase only saves time. Small arenas test every wall
+ * either way (see the broadPhase setting).
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var fs = require('fs');
+var path = require('path');
+
+var WavePad = require('../js/wavepad.js');
+var Level = require('../js/levels.js');
+
+var LEVELS = path.resolve(__dirname, '..', 'levels');
+
+// Ticks played, untimed, before timing each scenario.
+var WARM_UP_TICKS = 500;
+
+// Timed runs of each scenario, both ways, taking turns. The fastest counts: Others were slowed down by something
+// else (ex: garbage collection, code being optimized).
+var ROUNDS = 3;
+
+function loadLevel(name)
+{
+	return new Level(JSON.parse(fs.readFileSync(path.join(LEVELS, name + '.json'), 'utf8')));
+}
+
+// Scenarios, by name: Options of the match, and what to do with the world once it's ready.
+var SCENARIOS = {
+	classic: {
+		options: function() {
+			return {};
+		},
+	},
+	multiball: {
+		options: function() {
+			return {spawner: WavePad.World.spawnerPresets.multiball, pickups: {enabled: true}};
+		},
+	},
+	pinball: {
+		options: function() {
+			return {level: loadLevel('pinball'), spawner: WavePad.World.spawnerPresets.multiball};
+		},
+	},
+	// Obstacles that never go away, and many balls at once.
+	crowded: {
+		options: function() {
+			return {
+				spawner: {max: 40, interval: 0.1, angle: 60, variants: {normal: 2, heavy: 1, light: 1}},
+				obstacles: {chance: 0},
+			};
+		},
+		setup: function(world) {
+			var walls = [];
+			while(walls.length < 300)
+			{
+				walls = walls.concat(world.getRandomWalls());
+			}
+			world.randomWalls = walls;
+			world.walls = world.defaultWalls.concat(walls);
+		},
+	},
+};
+
+// Player 1 follows the lowest ball. Same inputs for every run of a scenario.
+function inputsFor(world)
+{
+	var lowest = null;
+	for(var i = 0; i < world.balls.length; i++)
+	{
+		if( ! lowest || world.balls[i].y < lowest.y)
+		{
+			lowest = world.balls[i];
+		}
+	}
+	return {player1: {targetX: lowest ? lowest.x : world.xMiddle(), serve: true}};
+}
+
+// State of the world at the end of a run, to compare runs.
+function fingerprint(world)
+{
+	return JSON.stringify({
+		scores: world.players.map(function(player) { return player.score; }),
+		balls: world.balls.map(function(ball) { return [ball.x, ball.y, ball.dx, ball.dy]; }),
+		walls: world.walls.length,
+	});
+}
+
+// Play the given number of ticks. Matches start over when they're over.
+// Returns {ticks, seconds, walls, balls, fingerprint}
+function run(scenario, ticks, cellSize)
+{
+	var world = new WavePad.World(null, null, {seed: 42});
+	var options = Object.assign(scenario.options(), {broadPhase: {cellSize: cellSize}});
+	world.init(options);
+	if(scenario.setup)
+	{
+		scenario.setup(world);
+	}
+
+	var balls = 0;
+	var start = process.hrtime.bigint();
+	for(var t = 0; t < ticks; t++)
+	{
+		if(world.isMatchOver())
+		{
+			world.restart();
+			if(scenario.setup)
+			{
+				scenario.setup(world);
+			}
+		}
+		world.step(inputsFor(world));
+		balls += world.balls.length;
+	}
+	var seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+	return {
+		ticks: ticks,
+		seconds: seconds,
+		walls: world.walls.length,
+		balls: balls / ticks,
+		fingerprint: fingerprint(world),
+	};
+}
+
+function parseArguments(args)
+{
+	var parsed = {ticks: 3000, scenarios: []};
+	for(var i = 0; i < args.length; i++)
+	{
+		if(args[i] == '--ticks')
+		{
+			parsed.ticks = parseInt(args[++i], 10);
+			if( ! (parsed.ticks > 0))
+			{
+				throw new Error('Usage: --ticks must be a number greater than 0. Got: ' + args[i]);
+			}
+		}
+		else if(SCENARIOS.hasOwnProperty(args[i]))
+		{
+			parsed.scenarios.push(args[i]);
+		}
+		else
+		{
+			throw new Error('Usage: Unknown scenario. Expected one of: ' + Object.keys(SCENARIOS).join(', ')
+				+ '. Got: ' + args[i]);
+		}
+	}
+	if(parsed.scenarios.length == 0)
+	{
+		parsed.scenarios = Object.keys(SCENARIOS);
+	}
+	return parsed;
+}
+
+function pad(value, length)
+{
+	return String(value).padStart(length);
+}
+
+function main(args)
+{
+	var options = parseArguments(args);
+	var cellSize = WavePad.World.defaultSettings.broadPhase.cellSize;
+
+	console.log('scenario      walls  balls   grid ticks/s   all ticks/s  speedup  same');
+	for(var i = 0; i < options.scenarios.length; i++)
+	{
+		var name = options.scenarios[i];
+
+		// Warm up first: The first ticks run slower, until the code gets optimized.
+		run(SCENARIOS[name], WARM_UP_TICKS, cellSize);
+		run(SCENARIOS[name], WARM_UP_TICKS, 0);
+
+		var gridRate = 0;
+		var allRate = 0;
+		for(var round = 0; round < ROUNDS; round++)
+		{
+			var all = round % 2 ? run(SCENARIOS[name], options.ticks, 0) : null;
+			var grid = run(SCENARIOS[name], options.ticks, cellSize);
+			all = all || run(SCENARIOS[name], options.ticks, 0);
+			gridRate = Math.max(gridRate, grid.ticks / grid.seconds);
+			allRate = Math.max(allRate, all.ticks / all.seconds);
+		}
+		console.log(
+			name.padEnd(12)
+			+ pad(grid.walls, 7)
+			+ pad(grid.balls.toFixed(1), 7)
+			+ pad(Math.round(gridRate), 15)
+			+ pad(Math.round(allRate), 14)
+			+ pad((gridRate / allRate).toFixed(2) + 'x', 9)
+			+ pad(grid.fingerprint == all.fingerprint ? 'yes' : 'NO', 6)
+		);
+	}
+}
+
+if(require.main === module)
+{
+	main(process.argv.slice(2));
+}
+
+module.exports = {
+	SCENARIOS: SCENARIOS,
+	run: run,
+};
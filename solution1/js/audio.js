@@ -0,0 +1,381 @@
+/**
+ * Sound for WavePad: Synthesized sound effects driven by game events (see World.on), and optional background music.
+ *
+ * No sound files: Every sound is a short tone made with the Web Audio API. The pitch tells what happened:
+ * paddle hits get higher as the ball gets faster, wall hits follow the phase of the wall's wave.
+ * Without Web Audio (old browsers, Node), the module stays silent and does nothing.
+ * Tests give their own audio context: new WavePad.Audio({createContext: function() { return stub; }})
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.WavePad.Audio = factory();
+	}
+}(this, function () {
+
+	//--------------------------------------------
+	// Audio
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		createContext: function() Returns a new AudioContext (or an object behaving like one). Defaults to
+	 *			window.AudioContext. Returning null, or throwing, means no sound.
+	 *		muted: Start muted. false by default. The setting is kept with the others (see SettingsStore).
+	 *		volume: Volume of each channel, in [0, 1]. Defaults to Audio.defaultVolume.
+	 *		music: Play the background music right away. false by default.
+	 *		setTimer, clearTimer: Timer used to schedule the music. Default to setInterval/clearInterval.
+	 **/
+	function Audio(options)
+	{
+		options = options || {};
+
+		this.muted = !! options.muted;
+
+		this.volume = Object.assign({}, Audio.defaultVolume);
+		for(var channel in options.volume)
+		{
+			this.setVolume(channel, options.volume[channel]);
+		}
+
+		this.setTimer = options.setTimer || setInterval;
+		this.clearTimer = options.clearTimer || clearInterval;
+
+		// Audio graph: effects and music --> master --> speakers. Gain nodes by channel name.
+		this.context = null;
+		this.nodes = {};
+		try
+		{
+			this.context = (options.createContext || defaultCreateContext)() || null;
+		}
+		catch(error)
+		{
+			this.context = null;
+		}
+		if(this.context)
+		{
+			this.nodes.master = this.context.createGain();
+			this.nodes.master.connect(this.context.destination);
+			this.nodes.effects = this.context.createGain();
+			this.nodes.effects.connect(this.nodes.master);
+			this.nodes.music = this.context.createGain();
+			this.nodes.music.connect(this.nodes.master);
+			this.applyVolume();
+		}
+
+		// World we listen to, and our listeners (see Audio.attach).
+		this.world = null;
+		this.subscriptions = [];
+
+		// Background music: Timer scheduling the next notes, time of the next note and its index in Audio.MUSIC.
+		this.musicTimer = null;
+		this.nextNoteTime = 0;
+		this.noteIndex = 0;
+		if(options.music)
+		{
+			this.startMusic();
+		}
+	}
+
+	Audio.defaultVolume = {
+		master: 0.8,
+		effects: 1,
+		music: 0.3,
+	};
+
+	// Sound of each game event: Name of the method playing it (see World.EVENTS).
+	Audio.SOUNDS = {
+		paddleHit: 'playPaddleHit',
+		wallHit: 'playWallHit',
+		goalScored: 'playGoal',
+		pickupCollected: 'playPickup',
+		matchOver: 'playMatchOver',
+	};
+
+	// Notes of the scale used by the walls, in semitones above the base note (major pentatonic).
+	Audio.SCALE = [0, 2, 4, 7, 9, 12];
+
+	// Background music: A bass line looping forever, in eighth notes. Frequencies in Hz, 0 for a rest.
+	Audio.MUSIC = {
+		tempo: 112,		//Beats per minute.
+		notes: [110, 0, 110, 165, 147, 0, 131, 0, 98, 0, 98, 147, 131, 0, 123, 0],
+	};
+
+	// How far ahead the music is scheduled, and how often, in seconds. Timers are late, the audio clock is not.
+	Audio.LOOKAHEAD = 0.2;
+	Audio.SCHEDULE_INTERVAL = 0.05;
+
+	function defaultCreateContext()
+	{
+		if(typeof window === 'undefined')
+		{
+			return null;
+		}
+		var AudioContext = window.AudioContext || window.webkitAudioContext;
+		return AudioContext ? new AudioContext() : null;
+	}
+
+	// Is there anything to hear?
+	Audio.prototype.isAvailable = function(){
+		return !! this.context;
+	};
+
+	// Play the sounds of the given world's events.
+	Audio.prototype.attach = function(world){
+		this.detach();
+		this.world = world;
+		for(var type in Audio.SOUNDS)
+		{
+			var listener = this[Audio.SOUNDS[type]].bind(this);
+			this.subscriptions.push({type: type, listener: world.on(type, listener)});
+		}
+	};
+
+	Audio.prototype.detach = function(){
+		if( ! this.world)
+		{
+			return;
+		}
+		for(var i = 0; i < this.subscriptions.length; i++)
+		{
+			this.world.off(this.subscriptions[i].type, this.subscriptions[i].listener);
+		}
+		this.subscriptions = [];
+		this.world = null;
+	};
+
+	// Stop for good and release the audio context.
+	Audio.prototype.destroy = function(){
+		this.detach();
+		this.stopMusic();
+		if(this.context && this.context.close)
+		{
+			this.context.close();
+		}
+		this.context = null;
+		this.nodes = {};
+	};
+
+	// Browsers keep the audio context suspended until the player does something (a key, a tap).
+	// Call from the handlers of these events.
+	Audio.prototype.resume = function(){
+		if(this.context && this.context.state == 'suspended' && this.context.resume)
+		{
+			this.context.resume();
+		}
+	};
+
+	//--------------------------------------------
+	// Volume and mute
+	//--------------------------------------------
+	Audio.prototype.setVolume = function(channel, value){
+		if( ! this.volume.hasOwnProperty(channel))
+		{
+			throw new Error('Usage: Unknown channel. Expected one of: ' + Object.keys(this.volume).join(', ')
+				+ '. Got: ' + channel);
+		}
+		if( ! (isFinite(value) && value >= 0 && value <= 1))
+		{
+			throw new Error('Usage: Volume must be a number in [0, 1]. Got: ' + value);
+		}
+		this.volume[channel] = value;
+		this.applyVolume();
+	};
+
+	Audio.prototype.setMuted = function(muted){
+		this.muted = !! muted;
+		this.applyVolume();
+	};
+
+	Audio.prototype.toggleMute = function(){
+		this.setMuted( ! this.muted);
+		return this.muted;
+	};
+
+	Audio.prototype.applyVolume = function(){
+		if( ! this.context)
+		{
+			return;
+		}
+		this.nodes.master.gain.value = this.muted ? 0 : this.volume.master;
+		this.nodes.effects.gain.value = this.volume.effects;
+		this.nodes.music.gain.value = this.volume.music;
+	};
+
+	//--------------------------------------------
+	// Sounds
+	//--------------------------------------------
+	/**
+	 * Play a single tone.
+	 * Options:
+	 *		type: Waveform of the oscillator (sine, square, sawtooth or triangle). Defaults to square.
+	 *		gain: Loudness at the start of the tone, fading out until the end. Defaults to 0.2.
+	 *		delay: Seconds from now before the tone starts. Defaults to 0.
+	 *		slideTo: Frequency at the end of the tone, to slide the pitch.
+	 *		channel: effects or music. Defaults to effects.
+	 * Note: Does nothing without an audio context, or while muted.
+	 **/
+	Audio.prototype.tone = function(frequency, duration, options){
+		if( ! this.context || this.muted)
+		{
+			return;
+		}
+		options = options || {};
+
+		var start = this.context.currentTime + (options.delay || 0);
+		var end = start + duration;
+
+		var oscillator = this.context.createOscillator();
+		oscillator.type = options.type || 'square';
+		oscillator.frequency.setValueAtTime(frequency, start);
+		if(options.slideTo > 0)
+		{
+			oscillator.frequency.exponentialRampToValueAtTime(options.slideTo, end);
+		}
+
+		// Rem: Exponential ramps can't reach 0. Fade out to almost nothing.
+		var envelope = this.context.createGain();
+		envelope.gain.setValueAtTime(isFinite(options.gain) ? options.gain : 0.2, start);
+		envelope.gain.exponentialRampToValueAtTime(0.001, end);
+
+		oscillator.connect(envelope);
+		envelope.connect(this.nodes[options.channel || 'effects']);
+		oscillator.start(start);
+		oscillator.stop(end);
+	};
+
+	// Frequency of a note some semitones above the given base frequency.
+	function transpose(base, semitones)
+	{
+		return base * Math.pow(2, semitones / 12);
+	}
+
+	// Faster balls sound higher: One octave every 6 pixels per tick.
+	Audio.pitchOfSpeed = function(speed){
+		return transpose(220, 2 * Math.min(speed, 18));
+	};
+
+	// Walls sing their wave: The crest of the wave plays the top of the scale, the trough its bottom.
+	// Note: Walls without a wave (ex: boxes) always play the same low note.
+	Audio.pitchOfWall = function(wall, y){
+		if( ! wall.waveAngleAt || ! (wall.wave && wall.wave.amplitude > 0))
+		{
+			return 196;
+		}
+		var height = 0.5 * (1 + Math.sin(wall.waveAngleAt(y)));
+		var degree = Audio.SCALE[Math.round(height * (Audio.SCALE.length - 1))];
+		return transpose(330, degree);
+	};
+
+	Audio.prototype.playPaddleHit = function(event){
+		var speed = Math.sqrt(event.ball.dx * event.ball.dx + event.ball.dy * event.ball.dy);
+		this.tone(Audio.pitchOfSpeed(speed), 0.08, {type: 'square', gain: 0.15});
+	};
+
+	Audio.prototype.playWallHit = function(event){
+		this.tone(Audio.pitchOfWall(event.wall, event.contact.point.y), 0.1, {type: 'triangle', gain: 0.25});
+	};
+
+	Audio.prototype.playGoal = function(event){
+		this.tone(440, 0.5, {type: 'sawtooth', gain: 0.15, slideTo: 110});
+	};
+
+	// Quick rising arpeggio (C major).
+	Audio.prototype.playPickup = function(event){
+		var notes = [0, 4, 7, 12];
+		for(var i = 0; i < notes.length; i++)
+		{
+			this.tone(transpose(523, notes[i]), 0.08, {type: 'sine', gain: 0.25, delay: 0.05 * i});
+		}
+	};
+
+	Audio.prototype.playMatchOver = function(event){
+		var notes = [0, 4, 7, 12, 7, 12];
+		for(var i = 0; i < notes.length; i++)
+		{
+			this.tone(transpose(262, notes[i]), i < notes.length - 1 ? 0.12 : 0.6, {type: 'square', gain: 0.2, delay: 0.13 * i});
+		}
+	};
+
+	//--------------------------------------------
+	// Music
+	//--------------------------------------------
+	Audio.prototype.isPlayingMusic = function(){
+		return this.musicTimer !== null;
+	};
+
+	// Start looping the background music. Does nothing without an audio context, or if already playing.
+	Audio.prototype.startMusic = function(){
+		if( ! this.context || this.isPlayingMusic())
+		{
+			return;
+		}
+		this.nextNoteTime = this.context.currentTime;
+		this.noteIndex = 0;
+		this.musicTimer = this.setTimer(this.scheduleMusic.bind(this), 1000 * Audio.SCHEDULE_INTERVAL);
+		this.scheduleMusic();
+	};
+
+	Audio.prototype.stopMusic = function(){
+		if(this.musicTimer !== null)
+		{
+			this.clearTimer(this.musicTimer);
+			this.musicTimer = null;
+		}
+	};
+
+	Audio.prototype.toggleMusic = function(){
+		if(this.isPlayingMusic())
+		{
+			this.stopMusic();
+		}
+		else
+		{
+			this.startMusic();
+		}
+		return this.isPlayingMusic();
+	};
+
+	// Schedule the notes due before the end of the lookahead window, on the audio clock.
+	// Note: While muted, the music goes on silently (it picks up where it would be).
+	Audio.prototype.scheduleMusic = function(){
+		if( ! this.context)
+		{
+			return;
+		}
+		var eighth = 30 / Audio.MUSIC.tempo;
+		var now = this.context.currentTime;
+
+		// Way behind (ex: the tab was in the background): Skip what was missed instead of playing it all at once.
+		if(this.nextNoteTime < now - eighth)
+		{
+			this.nextNoteTime = now;
+		}
+		while(this.nextNoteTime < now + Audio.LOOKAHEAD)
+		{
+			var frequency = Audio.MUSIC.notes[this.noteIndex];
+			if(frequency > 0)
+			{
+				this.tone(frequency, 0.9 * eighth, {
+					type: 'triangle',
+					gain: 0.5,
+					delay: Math.max(0, this.nextNoteTime - now),
+					channel: 'music',
+				});
+			}
+			this.nextNoteTime += eighth;
+			this.noteIndex = (this.noteIndex + 1) % Audio.MUSIC.notes.length;
+		}
+	};
+
+	return Audio;
+
+}));
@@ -0,0 +1,660 @@
+/**
+ * Debug tools for WavePad: An overlay showing what the simulation sees, and a console to poke at it.
+ *
+ * The overlay draws over the world once it is drawn (the rendered event, see World.on): bounding boxes, speeds,
+ * the slope of waving walls, recent contacts, the clock of the world and a graph of the time spent per frame and
+ * per tick. The console spawns balls, places walls, changes settings and steps the simulation one tick at a time.
+ * Neither needs any change to wavepad.js.
+ * Note: The overlay only looks. Commands of the console change the match: Replays don't know about them.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'));
+	}
+	else
+	{
+		root.WavePad.Debug = factory(root.WavePad);
+	}
+}(this, function (WavePad) {
+
+	//--------------------------------------------
+	// DebugOverlay
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		visible: Show the overlay right away. Defaults to false.
+	 *		enabled: Layers shown, by name. Defaults to all of them. Ex: {graph: false}
+	 *		now: function() Current time, in ms. Defaults to performance.now.
+	 **/
+	function DebugOverlay(options)
+	{
+		options = options || {};
+
+		this.now = options.now || defaultNow;
+		this.visible = !! options.visible;
+
+		// Recent contacts, newest last: {point, normal, tick, paddle}
+		this.contacts = [];
+
+		// Time per frame and time spent in ticks during that frame, in ms, oldest first: {frame, ticks}
+		this.history = [];
+		this.lastFrame = null;
+		this.tickTime = 0;
+
+		// Loop whose ticks are timed, and its own update function (see DebugOverlay.watch).
+		this.watched = null;
+
+		// World we listen to, and our listeners (see DebugOverlay.attach).
+		this.world = null;
+		this.subscriptions = [];
+
+		this.enabled = {};
+		for(var i = 0; i < DebugOverlay.LAYERS.length; i++)
+		{
+			this.enabled[DebugOverlay.LAYERS[i]] = true;
+		}
+		for(var name in options.enabled)
+		{
+			this.setEnabled(name, options.enabled[name]);
+		}
+	}
+
+	DebugOverlay.LAYERS = ['boxes', 'velocities', 'gradients', 'contacts', 'graph'];
+
+	// What the overlay does with each game event: Name of the method (see World.EVENTS).
+	DebugOverlay.HANDLERS = {
+		matchStarted: 'clear',
+		paddleHit: 'addContact',
+		wallHit: 'addContact',
+		rendered: 'render',
+	};
+
+	DebugOverlay.COLORS = {
+		box: '#00bcd4',
+		velocity: '#ff4081',
+		gradient: '#8bc34a',
+		contact: '#ffeb3b',
+		graph: 'rgba(0, 0, 0, 0.6)',
+	};
+
+	// How long contacts stay on screen, in ticks.
+	DebugOverlay.CONTACT_TICKS = 30;
+
+	// Speeds are drawn as the way covered in this many ticks.
+	DebugOverlay.VELOCITY_TICKS = 10;
+
+	// Distance between the slopes drawn along waving walls, in world units.
+	DebugOverlay.GRADIENT_STEP = 20;
+
+	// Frames kept in the graph.
+	DebugOverlay.GRAPH_FRAMES = 120;
+
+	function defaultNow()
+	{
+		return typeof performance !== 'undefined' ? performance.now() : Date.now();
+	}
+
+	DebugOverlay.prototype.attach = function(world){
+		this.detach();
+		this.world = world;
+		for(var type in DebugOverlay.HANDLERS)
+		{
+			var listener = this[DebugOverlay.HANDLERS[type]].bind(this);
+			this.subscriptions.push({type: type, listener: world.on(type, listener)});
+		}
+	};
+
+	DebugOverlay.prototype.detach = function(){
+		this.unwatch();
+		if( ! this.world)
+		{
+			return;
+		}
+		for(var i = 0; i < this.subscriptions.length; i++)
+		{
+			this.world.off(this.subscriptions[i].type, this.subscriptions[i].listener);
+		}
+		this.subscriptions = [];
+		this.clear();
+		this.world = null;
+	};
+
+	// Time the ticks of the given loop (see Loop.update), for the graph.
+	DebugOverlay.prototype.watch = function(loop){
+		this.unwatch();
+		var update = loop.update;
+		var overlay = this;
+		var timed = function() {
+			var start = overlay.now();
+			update.apply(this, arguments);
+			overlay.tickTime += overlay.now() - start;
+		};
+		loop.update = timed;
+		this.watched = {loop: loop, update: update, timed: timed};
+	};
+
+	DebugOverlay.prototype.unwatch = function(){
+		if( ! this.watched)
+		{
+			return;
+		}
+		// Rem: Unless the loop moved on (ex: destroyed).
+		if(this.watched.loop.update === this.watched.timed)
+		{
+			this.watched.loop.update = this.watched.update;
+		}
+		this.watched = null;
+	};
+
+	DebugOverlay.prototype.clear = function(){
+		this.contacts = [];
+	};
+
+	DebugOverlay.prototype.setVisible = function(visible){
+		this.visible = !! visible;
+		// Rem: Don't count the time spent hidden as a long frame.
+		this.history = [];
+		this.lastFrame = null;
+	};
+
+	DebugOverlay.prototype.toggle = function(){
+		this.setVisible( ! this.visible);
+	};
+
+	DebugOverlay.prototype.setEnabled = function(name, enabled){
+		if(DebugOverlay.LAYERS.indexOf(name) < 0)
+		{
+			throw new Error('Usage: Unknown layer. Expected one of: ' + DebugOverlay.LAYERS.join(', ') + '. Got: ' + name);
+		}
+		this.enabled[name] = !! enabled;
+	};
+
+	DebugOverlay.prototype.toggleLayer = function(name){
+		this.setEnabled(name, ! this.enabled[name]);
+	};
+
+	// Remember where a ball bounced (paddleHit and wallHit events).
+	DebugOverlay.prototype.addContact = function(event){
+		this.contacts.push({
+			point: event.contact.point,
+			normal: event.contact.normal,
+			tick: event.world.match.ticks,
+			paddle: event.type == 'paddleHit',
+		});
+	};
+
+	// Everything the world collides with: Balls, paddles, walls, goals and pickups.
+	DebugOverlay.prototype.objects = function(world){
+		return world.balls
+			.concat(world.getHorizontalSurfaces())
+			.concat(world.walls)
+			.concat(world.getGoals())
+			.concat(world.pickups);
+	};
+
+	//--------------------------------------------
+	// Rendering
+	//--------------------------------------------
+	// Draw every layer over the world, just drawn (the rendered event).
+	DebugOverlay.prototype.render = function(event){
+		if( ! this.visible)
+		{
+			this.tickTime = 0;
+			return;
+		}
+		var world = event.world;
+		var now = this.now();
+		if(this.lastFrame !== null)
+		{
+			this.history.push({frame: now - this.lastFrame, ticks: this.tickTime});
+			if(this.history.length > DebugOverlay.GRAPH_FRAMES)
+			{
+				this.history.shift();
+			}
+		}
+		this.lastFrame = now;
+		this.tickTime = 0;
+
+		var ctx = world.context;
+		ctx.save();
+		ctx.lineWidth = 1;
+		if(this.enabled.boxes)
+		{
+			this.renderBoxes(world);
+		}
+		if(this.enabled.gradients)
+		{
+			this.renderGradients(world);
+		}
+		if(this.enabled.velocities)
+		{
+			this.renderVelocities(world);
+		}
+		if(this.enabled.contacts)
+		{
+			this.renderContacts(world);
+		}
+		ctx.restore();
+
+		// Text and graph, in screen orientation (y goes down).
+		world.resetScreenContext();
+		ctx.save();
+		this.renderClock(world);
+		if(this.enabled.graph)
+		{
+			this.renderGraph(world);
+		}
+		ctx.restore();
+		world.resetCartesianContext();
+	};
+
+	// Boxes from xMin/xMax/yMin/yMax: What the broad phase and boundsFor start from.
+	// Rem: Moved along with the objects, drawn between two ticks (see WorldObject.renderX).
+	DebugOverlay.prototype.renderBoxes = function(world){
+		var ctx = world.context;
+		var objects = this.objects(world);
+		ctx.strokeStyle = DebugOverlay.COLORS.box;
+		for(var i = 0; i < objects.length; i++)
+		{
+			var obj = objects[i];
+			var x = obj.xMin() + obj.renderX(world.alpha) - obj.x;
+			var y = obj.yMin() + obj.renderY(world.alpha) - obj.y;
+			ctx.strokeRect(x, y, obj.xMax() - obj.xMin(), obj.yMax() - obj.yMin());
+		}
+	};
+
+	// Normals along the inner face of waving walls, tilted by the slope of the wave (see WorldObject.normalAt).
+	DebugOverlay.prototype.renderGradients = function(world){
+		var ctx = world.context;
+		var step = DebugOverlay.GRADIENT_STEP;
+		ctx.strokeStyle = DebugOverlay.COLORS.gradient;
+		ctx.beginPath();
+		for(var i = 0; i < world.walls.length; i++)
+		{
+			var wall = world.walls[i];
+			if( ! wall.faceAt || wall.wave.amplitude == 0)
+			{
+				continue;
+			}
+			for(var y = wall.yMin(); y <= wall.yMax(); y += step)
+			{
+				var x = wall.faceAt(y);
+				var slope = wall.xGradientAt(x, y);
+				var norm = Math.sqrt(1 + slope * slope);
+				ctx.moveTo(x, y);
+				ctx.lineTo(x + 0.5 * step * wall.face / norm, y - 0.5 * step * wall.face * slope / norm);
+			}
+		}
+		ctx.stroke();
+	};
+
+	DebugOverlay.prototype.renderVelocities = function(world){
+		var ctx = world.context;
+		var objects = world.balls.concat(world.getHorizontalSurfaces());
+		var scale = DebugOverlay.VELOCITY_TICKS;
+		ctx.strokeStyle = DebugOverlay.COLORS.velocity;
+		ctx.beginPath();
+		for(var i = 0; i < objects.length; i++)
+		{
+			var obj = objects[i];
+			if(obj.dx == 0 && obj.dy == 0)
+			{
+				continue;
+			}
+			var x = obj.renderX(world.alpha);
+			var y = obj.renderY(world.alpha);
+			ctx.moveTo(x, y);
+			ctx.lineTo(x + scale * obj.dx, y + scale * obj.dy);
+		}
+		ctx.stroke();
+	};
+
+	// Recent contacts: A dot where the ball touched, and the normal it bounced on. Older ones fade away.
+	DebugOverlay.prototype.renderContacts = function(world){
+		var ctx = world.context;
+		var now = world.match.ticks;
+		this.contacts = this.contacts.filter(function(c) {
+			return c.tick <= now && now - c.tick < DebugOverlay.CONTACT_TICKS;
+		});
+		ctx.strokeStyle = DebugOverlay.COLORS.contact;
+		ctx.fillStyle = DebugOverlay.COLORS.contact;
+		for(var i = 0; i < this.contacts.length; i++)
+		{
+			var contact = this.contacts[i];
+			ctx.globalAlpha = 1 - (now - contact.tick) / DebugOverlay.CONTACT_TICKS;
+			ctx.beginPath();
+			ctx.arc(contact.point.x, contact.point.y, contact.paddle ? 3 : 2, 0, 2 * Math.PI, false);
+			ctx.fill();
+			ctx.beginPath();
+			ctx.moveTo(contact.point.x, contact.point.y);
+			ctx.lineTo(contact.point.x + 15 * contact.normal.x, contact.point.y + 15 * contact.normal.y);
+			ctx.stroke();
+		}
+		ctx.globalAlpha = 1;
+	};
+
+	// Clock of the world (t, used by the obstacles) and of the match, and what's in play. Top left corner.
+	DebugOverlay.prototype.renderClock = function(world){
+		var ctx = world.context;
+		var lines = [
+			't ' + world.t + '  tick ' + world.match.ticks,
+			'balls ' + world.balls.length + '  walls ' + world.walls.length + '  pickups ' + world.pickups.length,
+		];
+		ctx.font = world.font(9, 'normal');
+		ctx.textAlign = 'left';
+		ctx.textBaseline = 'top';
+		ctx.fillStyle = world.color.primary;
+		for(var i = 0; i < lines.length; i++)
+		{
+			ctx.fillText(lines[i], 8, 8 + 14 * i);
+		}
+	};
+
+	// Time per frame (light bars) and time spent in ticks (dark bars), one bar per frame. Top right corner.
+	// The line is the time of one frame at 60 frames per second.
+	DebugOverlay.prototype.renderGraph = function(world){
+		var ctx = world.context;
+		var width = DebugOverlay.GRAPH_FRAMES;
+		var height = 50;
+		var x = world.xLen() - width - 8;
+		var y = 8;
+		var msToHeight = height / 50;
+
+		ctx.fillStyle = DebugOverlay.COLORS.graph;
+		ctx.fillRect(x, y, width, height);
+		for(var i = 0; i < this.history.length; i++)
+		{
+			var entry = this.history[i];
+			var frameHeight = Math.min(height, entry.frame * msToHeight);
+			var tickHeight = Math.min(height, entry.ticks * msToHeight);
+			ctx.fillStyle = DebugOverlay.COLORS.box;
+			ctx.fillRect(x + i, y + height - frameHeight, 1, frameHeight);
+			ctx.fillStyle = DebugOverlay.COLORS.velocity;
+			ctx.fillRect(x + i, y + height - tickHeight, 1, tickHeight);
+		}
+		ctx.fillStyle = DebugOverlay.COLORS.contact;
+		ctx.fillRect(x, y + height - 1000 / 60 * msToHeight, width, 1);
+
+		var frames = this.history.reduce(function(sum, entry) { return sum + entry.frame; }, 0);
+		var ticks = this.history.reduce(function(sum, entry) { return sum + entry.ticks; }, 0);
+		ctx.font = world.font(9, 'normal');
+		ctx.textAlign = 'right';
+		ctx.textBaseline = 'top';
+		ctx.fillStyle = world.color.primary;
+		ctx.fillText(
+			(frames > 0 ? Math.round(1000 * this.history.length / frames) : 0) + ' fps  '
+				+ (this.history.length > 0 ? (ticks / this.history.length).toFixed(2) : '0.00') + ' ms in ticks',
+			x + width,
+			y + height + 4
+		);
+	};
+
+	//--------------------------------------------
+	// DebugConsole
+	//--------------------------------------------
+	/**
+	 * Commands typed by hand, one line at a time (see DebugConsole.execute). Type help for the list.
+	 * Options:
+	 *		loop: Loop of the game, to pause and step it (see loop.js). Without it, step advances the world with no
+	 *			inputs.
+	 *		overlay: DebugOverlay to show and hide.
+	 **/
+	function DebugConsole(world, options)
+	{
+		if( ! world)
+		{
+			throw new Error('Usage: Provide the world to debug. Got: ' + world);
+		}
+		options = options || {};
+
+		this.world = world;
+		this.loop = options.loop || null;
+		this.overlay = options.overlay || null;
+	}
+
+	// Commands, by name: Arguments, what it does, and the name of the method running it.
+	DebugConsole.COMMANDS = {
+		help: {usage: '', description: 'List the commands', method: 'help'},
+		spawn: {usage: '[variant] [x y [dx dy]]', description: 'Drop a ball, in the middle or at (x, y)', method: 'spawn'},
+		wall: {usage: 'x y xLen yLen', description: 'Place a wall centered on (x, y)', method: 'wall'},
+		clear: {usage: 'balls|walls', description: 'Remove the balls, or the walls placed by hand', method: 'clear'},
+		get: {usage: 'setting', description: 'Show a setting. Ex: get physics.magnus', method: 'get'},
+		set: {usage: 'setting value', description: 'Change a setting. Ex: set physics.magnus 0.01', method: 'set'},
+		pause: {usage: '', description: 'Freeze the simulation', method: 'pause'},
+		resume: {usage: '', description: 'Start the simulation again', method: 'resume'},
+		step: {usage: '[ticks]', description: 'Pause, then advance by the given number of ticks (1 by default)', method: 'step'},
+		speed: {usage: 'scale', description: 'Simulation speed relative to real time. Ex: speed 0.25', method: 'speed'},
+		overlay: {usage: '[layer]', description: 'Show or hide the overlay, or one of its layers', method: 'toggleOverlay'},
+	};
+
+	/**
+	 * Run a command. Ex: "spawn heavy 484 250 0 -3"
+	 * Returns what the command has to say (a line of text, or several).
+	 * Note: Bad commands throw an error saying how to use them.
+	 **/
+	DebugConsole.prototype.execute = function(line){
+		var args = String(line).trim().split(/\s+/).filter(function(arg) { return arg.length > 0; });
+		if(args.length < 1)
+		{
+			return '';
+		}
+		var name = args.shift();
+		if( ! DebugConsole.COMMANDS.hasOwnProperty(name))
+		{
+			throw new Error('Usage: Unknown command. Expected one of: ' + Object.keys(DebugConsole.COMMANDS).join(', ')
+				+ '. Got: ' + name);
+		}
+		return this[DebugConsole.COMMANDS[name].method](args);
+	};
+
+	DebugConsole.prototype.help = function(){
+		var lines = [];
+		for(var name in DebugConsole.COMMANDS)
+		{
+			var command = DebugConsole.COMMANDS[name];
+			lines.push((name + ' ' + command.usage).trim() + ': ' + command.description);
+		}
+		return lines.join('\n');
+	};
+
+	// Numbers of a command, by position. Throws when one isn't a number.
+	function numbers(args, usage)
+	{
+		return args.map(function(arg) {
+			var value = Number(arg);
+			if( ! isFinite(value))
+			{
+				throw new Error('Usage: ' + usage + '. Got: ' + args.join(' '));
+			}
+			return value;
+		});
+	}
+
+	// Balls start from the middle of the arena, toward the bottom player, unless told otherwise.
+	DebugConsole.prototype.spawn = function(args){
+		var usage = 'spawn ' + DebugConsole.COMMANDS.spawn.usage;
+		var world = this.world;
+		var variant = args.length > 0 && WavePad.Ball.variants.hasOwnProperty(args[0]) ? args.shift() : 'normal';
+		if([0, 2, 4].indexOf(args.length) < 0)
+		{
+			throw new Error('Usage: ' + usage + '. Got: ' + args.join(' '));
+		}
+		var values = numbers(args, usage);
+		var x = values.length > 0 ? values[0] : world.xMiddle();
+		var y = values.length > 0 ? values[1] : world.yMiddle();
+		var ball = new WavePad.Ball(x, y, world.settings.ballRadius, variant);
+		ball.dx = values.length > 2 ? values[2] : 0;
+		ball.dy = values.length > 2 ? values[3] : -1 * world.settings.spawner.speed * ball.speed;
+		ball.restitution *= world.settings.ballRestitution;
+		world.balls.push(ball);
+		world.emit('ballSpawned', {ball: ball, server: null});
+		return 'Dropped a ' + ball.variant + ' ball at (' + ball.x + ', ' + ball.y + ')';
+	};
+
+	// Walls placed by hand stay until the next match, whatever happens to the random obstacles.
+	DebugConsole.prototype.wall = function(args){
+		var usage = 'wall ' + DebugConsole.COMMANDS.wall.usage;
+		if(args.length != 4)
+		{
+			throw new Error('Usage: ' + usage + '. Got: ' + args.join(' '));
+		}
+		var values = numbers(args, usage);
+		var world = this.world;
+
+		// The inner face looks toward the middle of the arena.
+		var wall = new WavePad.Wall(values[0], values[1], values[2], values[3], values[0] < world.xMiddle() ? 1 : -1);
+		wall.placedByHand = true;
+
+		// Rem: New lists, so that the broad phase sees the change (see World.surfacesNear).
+		world.defaultWalls = world.defaultWalls.concat([wall]);
+		world.walls = world.walls.concat([wall]);
+		return 'Placed a wall at (' + wall.x + ', ' + wall.y + ')';
+	};
+
+	DebugConsole.prototype.clear = function(args){
+		var world = this.world;
+		switch(args[0])
+		{
+			case 'balls':
+				var count = world.balls.length;
+				world.balls = [];
+				return 'Removed ' + count + ' balls';
+			case 'walls':
+				var placed = function(wall) { return ! wall.placedByHand; };
+				var before = world.walls.length;
+				world.defaultWalls = world.defaultWalls.filter(placed);
+				world.walls = world.walls.filter(placed);
+				return 'Removed ' + (before - world.walls.length) + ' walls';
+			default:
+				throw new Error('Usage: clear ' + DebugConsole.COMMANDS.clear.usage + '. Got: ' + args.join(' '));
+		}
+	};
+
+	// Object holding the setting at the given path, and the name of the setting in it. Ex: physics.magnus
+	DebugConsole.prototype.findSetting = function(path){
+		var names = String(path).split('.');
+		var holder = this.world.settings;
+		for(var i = 0; i < names.length - 1; i++)
+		{
+			holder = holder[names[i]];
+			if( ! holder || typeof holder !== 'object')
+			{
+				break;
+			}
+		}
+		var name = names[names.length - 1];
+		if( ! holder || typeof holder !== 'object' || ! holder.hasOwnProperty(name))
+		{
+			throw new Error('Usage: Unknown setting (see World.defaultSettings). Got: ' + path);
+		}
+		return {holder: holder, name: name};
+	};
+
+	DebugConsole.prototype.get = function(args){
+		if(args.length != 1)
+		{
+			throw new Error('Usage: get ' + DebugConsole.COMMANDS.get.usage + '. Got: ' + args.join(' '));
+		}
+		var setting = this.findSetting(args[0]);
+		return args[0] + ' = ' + JSON.stringify(setting.holder[setting.name]);
+	};
+
+	// Note: The value is read as JSON when it can be (numbers, true, false, objects). It must be of the same type as
+	//			the current value. Settings read once per match (ex: paddleXLen) only apply to the next one.
+	DebugConsole.prototype.set = function(args){
+		if(args.length < 2)
+		{
+			throw new Error('Usage: set ' + DebugConsole.COMMANDS.set.usage + '. Got: ' + args.join(' '));
+		}
+		var setting = this.findSetting(args[0]);
+		var text = args.slice(1).join(' ');
+		var value;
+		try
+		{
+			value = JSON.parse(text);
+		}
+		catch(error)
+		{
+			value = text;
+		}
+		var current = setting.holder[setting.name];
+		if(current !== null && typeof value !== typeof current)
+		{
+			throw new Error('Usage: ' + args[0] + ' must be of type ' + typeof current + '. Got: ' + text);
+		}
+		setting.holder[setting.name] = value;
+		return args[0] + ' = ' + JSON.stringify(value);
+	};
+
+	DebugConsole.prototype.pause = function(){
+		if(this.loop)
+		{
+			this.loop.pause();
+		}
+		return 'Paused at tick ' + this.world.match.ticks;
+	};
+
+	DebugConsole.prototype.resume = function(){
+		if(this.loop)
+		{
+			this.loop.resume();
+		}
+		return 'Running';
+	};
+
+	DebugConsole.prototype.step = function(args){
+		var ticks = args.length > 0 ? Number(args[0]) : 1;
+		if( ! (Number.isInteger(ticks) && ticks >= 1))
+		{
+			throw new Error('Usage: step ' + DebugConsole.COMMANDS.step.usage + '. Got: ' + args.join(' '));
+		}
+		for(var i = 0; i < ticks; i++)
+		{
+			if(this.loop)
+			{
+				this.loop.pause();
+				this.loop.stepOnce();
+			}
+			else
+			{
+				this.world.step({});
+			}
+		}
+		return 'Tick ' + this.world.match.ticks;
+	};
+
+	DebugConsole.prototype.speed = function(args){
+		var scale = Number(args[0]);
+		if( ! this.loop || args.length != 1 || ! isFinite(scale))
+		{
+			throw new Error('Usage: speed ' + DebugConsole.COMMANDS.speed.usage + ', with the loop. Got: ' + args.join(' '));
+		}
+		return 'Speed x' + this.loop.setTimeScale(scale);
+	};
+
+	DebugConsole.prototype.toggleOverlay = function(args){
+		if( ! this.overlay)
+		{
+			throw new Error('Usage: overlay needs a DebugOverlay. Got: ' + this.overlay);
+		}
+		if(args.length > 0)
+		{
+			this.overlay.toggleLayer(args[0]);
+			return args[0] + (this.overlay.enabled[args[0]] ? ' shown' : ' hidden');
+		}
+		this.overlay.toggle();
+		return 'Overlay ' + (this.overlay.visible ? 'shown' : 'hidden');
+	};
+
+	return {
+		DebugOverlay: DebugOverlay,
+		DebugConsole: DebugConsole,
+	};
+
+}));
@@ -0,0 +1,605 @@
+/**
+ * Level editor for WavePad: Lay out an arena on the game's canvas, then play it right away.
+ *
+ * The editor works on level data (see levels.js). Every change rebuilds the world from the data (only its walls
+ * while dragging), so what you see is what you play: the preview is drawn by World.render and "play" starts a regular
+ * match on the same world.
+ *
+ * Tools (on the canvas):
+ *		select: Click a wall to select it. Drag it to move it, drag its top right corner to resize it.
+ *		wall: Click and drag to draw a new wall (box, left or right wall).
+ *		paddle: Click to place the paddle of the current player.
+ *		spawn: Click to place where the current player serves balls from.
+ * Keys: Ctrl+Z to undo, Ctrl+Y (or Ctrl+Shift+Z) to redo, Delete to remove the selected wall.
+ *
+ * The panel (optional) holds the controls, found by their attributes:
+ *		[data-tool]: Pick a tool. Ex: <button data-tool="select">
+ *		[data-command]: undo, redo, delete, save, play or edit.
+ *		[name=wallType], [name=player]: Type of the new walls, player of the paddle and spawn tools.
+ *		[data-field]: x, y, xLen or yLen of the selected wall.
+ *		input[type=file]: Load a level.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'), require('./levels.js'));
+	}
+	else
+	{
+		root.WavePad.Editor = factory(root.WavePad, root.WavePad.Level);
+	}
+}(this, function (WavePad, Level) {
+
+	//--------------------------------------------
+	// Editor
+	//--------------------------------------------
+	/**
+	 * world: The world to edit and play in.
+	 * Options:
+	 *		data: Level data to start from. Defaults to the classic arena (see Editor.emptyLevel).
+	 *		panel: Element holding the controls of the editor (see above).
+	 **/
+	function Editor(world, options)
+	{
+		options = options || {};
+
+		this.world = world;
+		this.data = options.data ? JSON.parse(JSON.stringify(options.data)) : Editor.emptyLevel(world);
+		this.panel = options.panel || null;
+		this.canvas = null;
+
+		// While active, the editor renders the world and the loop doesn't update it.
+		this.active = false;
+
+		this.tool = 'wall';
+		this.wallType = 'box';
+		this.player = 'player1';
+
+		// Index of the selected wall in data.walls, or -1.
+		this.selected = -1;
+
+		// Current drag: {mode: 'create', 'move' or 'resize', start: {x, y}, wall: copy of the wall before the drag}
+		this.drag = null;
+
+		// Previous and undone states of the data, as JSON.
+		this.undoStack = [];
+		this.redoStack = [];
+
+		this.onPointerDown = this.handlePointerDown.bind(this);
+		this.onPointerMove = this.handlePointerMove.bind(this);
+		this.onPointerUp = this.handlePointerUp.bind(this);
+		this.onKeyDown = this.handleKeyDown.bind(this);
+		this.onPanelClick = this.handlePanelClick.bind(this);
+		this.onPanelChange = this.handlePanelChange.bind(this);
+	}
+
+	// Most states kept for undo.
+	Editor.MAX_UNDO = 100;
+
+	// Distance from the corner of a wall that grabs it for resizing, in world units.
+	Editor.HANDLE_SIZE = 10;
+
+	// Smallest wall that can be drawn. Shorter drags are taken for clicks.
+	Editor.MIN_WALL_LEN = 4;
+
+	Editor.TOOLS = ['select', 'wall', 'paddle', 'spawn'];
+
+	// Types of walls the editor draws (see levels.js for every type of wall).
+	Editor.WALL_TYPES = ['box', 'left', 'right'];
+
+	// Level data for the classic arena of the given world: Its two lateral walls.
+	Editor.emptyLevel = function(world){
+		return {
+			name: 'Untitled',
+			walls: [
+				{type: 'left', x: 0, y: world.yMiddle(), xLen: world.settings.wallXLen, yLen: world.yLen()},
+				{type: 'right', x: world.xLen() - 1, y: world.yMiddle(), xLen: world.settings.wallXLen, yLen: world.yLen()},
+			],
+			players: {},
+		};
+	};
+
+	Editor.prototype.attach = function(canvas){
+		this.detach();
+		this.canvas = canvas;
+
+		canvas.addEventListener("pointerdown", this.onPointerDown);
+		canvas.addEventListener("pointermove", this.onPointerMove);
+		canvas.addEventListener("pointerup", this.onPointerUp);
+		canvas.addEventListener("pointercancel", this.onPointerUp);
+		window.addEventListener("keydown", this.onKeyDown);
+
+		if(this.panel)
+		{
+			this.panel.addEventListener("click", this.onPanelClick);
+			this.panel.addEventListener("change", this.onPanelChange);
+		}
+	};
+
+	Editor.prototype.detach = function(){
+		if( ! this.canvas)
+		{
+			return;
+		}
+		this.canvas.removeEventListener("pointerdown", this.onPointerDown);
+		this.canvas.removeEventListener("pointermove", this.onPointerMove);
+		this.canvas.removeEventListener("pointerup", this.onPointerUp);
+		this.canvas.removeEventListener("pointercancel", this.onPointerUp);
+		window.removeEventListener("keydown", this.onKeyDown);
+
+		if(this.panel)
+		{
+			this.panel.removeEventListener("click", this.onPanelClick);
+			this.panel.removeEventListener("change", this.onPanelChange);
+		}
+		this.canvas = null;
+		this.drag = null;
+	};
+
+	// Start editing: The world shows the layout being edited and stands still.
+	Editor.prototype.open = function(){
+		this.active = true;
+		this.preview();
+	};
+
+	// Play a match on the edited layout, from the current state of the editor.
+	Editor.prototype.play = function(){
+		this.active = false;
+		this.drag = null;
+		this.preview();
+	};
+
+	// Rebuild the world from the data: A new match on the edited layout.
+	// Note: Level validates the data. An invalid change throws before the world is touched.
+	Editor.prototype.preview = function(){
+		var options = Object.assign({}, this.world.options, {level: new Level(this.data)});
+		this.world.init(options);
+		this.refreshPanel();
+	};
+
+	// Rebuild the walls only, while a drag goes on. The match is started again once it's over (see handlePointerUp).
+	// Rem: A new match on every move would restart the recording and the statistics, and serve again.
+	Editor.prototype.previewWalls = function(){
+		var world = this.world;
+		new Level(this.data).buildWalls(world);
+		world.walls = world.defaultWalls;
+		this.refreshPanel();
+	};
+
+	//--------------------------------------------
+	// Changes, undo and redo
+	//--------------------------------------------
+	// Remember the current state, before changing it.
+	Editor.prototype.remember = function(){
+		this.undoStack.push(JSON.stringify(this.data));
+		if(this.undoStack.length > Editor.MAX_UNDO)
+		{
+			this.undoStack.shift();
+		}
+		this.redoStack = [];
+	};
+
+	// Change the data with the given function. The change can be undone.
+	Editor.prototype.change = function(apply){
+		this.remember();
+		apply.call(this, this.data);
+		this.preview();
+	};
+
+	Editor.prototype.undo = function(){
+		if(this.undoStack.length < 1)
+		{
+			return false;
+		}
+		this.redoStack.push(JSON.stringify(this.data));
+		this.data = JSON.parse(this.undoStack.pop());
+		this.selected = Math.min(this.selected, this.data.walls.length - 1);
+		this.preview();
+		return true;
+	};
+
+	Editor.prototype.redo = function(){
+		if(this.redoStack.length < 1)
+		{
+			return false;
+		}
+		this.undoStack.push(JSON.stringify(this.data));
+		this.data = JSON.parse(this.redoStack.pop());
+		this.selected = Math.min(this.selected, this.data.walls.length - 1);
+		this.preview();
+		return true;
+	};
+
+	//--------------------------------------------
+	// Editing
+	//--------------------------------------------
+	Editor.prototype.setTool = function(tool){
+		if(Editor.TOOLS.indexOf(tool) < 0)
+		{
+			throw new Error('Usage: Unknown tool. Expected one of: ' + Editor.TOOLS.join(', ') + '. Got: ' + tool);
+		}
+		this.tool = tool;
+		this.refreshPanel();
+	};
+
+	Editor.prototype.setWallType = function(type){
+		if(Editor.WALL_TYPES.indexOf(type) < 0)
+		{
+			throw new Error('Usage: Unknown wall type. Expected one of: ' + Editor.WALL_TYPES.join(', ') + '. Got: ' + type);
+		}
+		this.wallType = type;
+	};
+
+	// Selected wall data, or null.
+	Editor.prototype.selectedWall = function(){
+		return this.selected >= 0 ? this.data.walls[this.selected] : null;
+	};
+
+	// Index of the wall at the given point (the one drawn last, on top), or -1.
+	// Note: Walls of the world are built in the order of the data (see Level.build).
+	Editor.prototype.wallAt = function(point){
+		var walls = this.world.defaultWalls;
+		for(var i = walls.length - 1; i >= 0; i--)
+		{
+			if(point.x >= walls[i].xMin() && point.x <= walls[i].xMax()
+				&& point.y >= walls[i].yMin() && point.y <= walls[i].yMax())
+			{
+				return i;
+			}
+		}
+		return -1;
+	};
+
+	// Set a field (x, y, xLen or yLen) of the selected wall. Lengths are at least 1.
+	Editor.prototype.setField = function(field, value){
+		var wall = this.selectedWall();
+		if( ! wall || ! (field in wall) || ! isFinite(value))
+		{
+			return;
+		}
+		this.change(function() {
+			wall[field] = field == 'xLen' || field == 'yLen' ? Math.max(1, Math.round(value)) : Math.round(value);
+		});
+	};
+
+	Editor.prototype.removeSelected = function(){
+		if(this.selected < 0)
+		{
+			return;
+		}
+		var index = this.selected;
+		this.selected = -1;
+		this.change(function(data) {
+			data.walls.splice(index, 1);
+		});
+	};
+
+	// Place the paddle or the spawn point of the current player.
+	Editor.prototype.placePlayer = function(what, point){
+		var player = this.player;
+		this.change(function(data) {
+			data.players = data.players || {};
+			data.players[player] = data.players[player] || {};
+			data.players[player][what] = {x: Math.round(point.x), y: Math.round(point.y)};
+		});
+	};
+
+	// Box around two corners, as wall data of the current type.
+	Editor.prototype.wallBetween = function(a, b){
+		var wall = {
+			type: this.wallType,
+			x: Math.round(0.5 * (a.x + b.x)),
+			y: Math.round(0.5 * (a.y + b.y)),
+			xLen: Math.max(1, Math.round(Math.abs(b.x - a.x))),
+			yLen: Math.max(1, Math.round(Math.abs(b.y - a.y))),
+		};
+		// Drawn lateral walls are flat. Without this, they would wave with the world's settings.
+		if(wall.type != 'box')
+		{
+			wall.wave = null;
+		}
+		return wall;
+	};
+
+	//--------------------------------------------
+	// Pointer
+	//--------------------------------------------
+	// Position of a pointer event in world coordinates (see PointerControls.toWorld).
+	Editor.prototype.toWorld = function(event){
+		var rect = this.canvas.getBoundingClientRect();
+		var canvasX = (event.clientX - rect.left) * this.canvas.width / rect.width;
+		var canvasY = (event.clientY - rect.top) * this.canvas.height / rect.height;
+		return this.world.toWorld(canvasX, canvasY);
+	};
+
+	Editor.prototype.handlePointerDown = function(event){
+		if( ! this.active)
+		{
+			return;
+		}
+		var point = this.toWorld(event);
+		event.preventDefault();
+
+		switch(this.tool)
+		{
+			case 'paddle':
+			case 'spawn':
+				this.placePlayer(this.tool, point);
+				return;
+			case 'wall':
+				this.remember();
+				this.data.walls.push(this.wallBetween(point, point));
+				this.selected = this.data.walls.length - 1;
+				this.drag = {mode: 'create', start: point};
+				break;
+			case 'select':
+				this.selected = this.wallAt(point);
+				var wall = this.selectedWall();
+				if( ! wall)
+				{
+					this.refreshPanel();
+					return;
+				}
+				var corner = this.world.defaultWalls[this.selected];
+				var resize = 'xLen' in wall
+					&& Math.abs(point.x - corner.xMax()) <= Editor.HANDLE_SIZE
+					&& Math.abs(point.y - corner.yMax()) <= Editor.HANDLE_SIZE;
+
+				this.remember();
+				this.drag = {mode: resize ? 'resize' : 'move', start: point, wall: Object.assign({}, wall)};
+				break;
+		}
+
+		if(this.canvas.setPointerCapture)
+		{
+			this.canvas.setPointerCapture(event.pointerId);
+		}
+		this.previewWalls();
+	};
+
+	// Drags change the data directly: The whole drag is undone at once.
+	Editor.prototype.handlePointerMove = function(event){
+		if( ! this.active || ! this.drag)
+		{
+			return;
+		}
+		var point = this.toWorld(event);
+		var drag = this.drag;
+		var wall = this.selectedWall();
+
+		switch(drag.mode)
+		{
+			case 'create':
+				this.data.walls[this.selected] = this.wallBetween(drag.start, point);
+				break;
+			case 'move':
+				wall.x = Math.round(drag.wall.x + point.x - drag.start.x);
+				wall.y = Math.round(drag.wall.y + point.y - drag.start.y);
+				break;
+			case 'resize':
+				// The opposite corner stays in place.
+				wall.xLen = Math.max(1, Math.round(drag.wall.xLen + point.x - drag.start.x));
+				wall.yLen = Math.max(1, Math.round(drag.wall.yLen + point.y - drag.start.y));
+				wall.x = Math.round(drag.wall.x + 0.5 * (wall.xLen - drag.wall.xLen));
+				wall.y = Math.round(drag.wall.y + 0.5 * (wall.yLen - drag.wall.yLen));
+				break;
+		}
+		this.previewWalls();
+	};
+
+	Editor.prototype.handlePointerUp = function(event){
+		if( ! this.drag)
+		{
+			return;
+		}
+		var drag = this.drag;
+		this.drag = null;
+
+		// A click with the wall tool draws nothing.
+		var wall = this.selectedWall();
+		if(drag.mode == 'create' && (wall.xLen < Editor.MIN_WALL_LEN || wall.yLen < Editor.MIN_WALL_LEN))
+		{
+			this.data = JSON.parse(this.undoStack.pop());
+			this.selected = -1;
+			this.previewWalls();
+			return;
+		}
+		// A click selecting a wall changes nothing: Nothing to undo, the match goes on.
+		if(JSON.stringify(this.data) == this.undoStack[this.undoStack.length - 1])
+		{
+			this.undoStack.pop();
+			this.refreshPanel();
+			return;
+		}
+		this.preview();
+	};
+
+	Editor.prototype.handleKeyDown = function(event){
+		if( ! this.active || /^(INPUT|SELECT|TEXTAREA)$/.test(event.target && event.target.tagName))
+		{
+			return;
+		}
+		var ctrl = event.ctrlKey || event.metaKey;
+
+		if(ctrl && event.code == 'KeyZ')
+		{
+			event.shiftKey ? this.redo() : this.undo();
+		}
+		else if(ctrl && event.code == 'KeyY')
+		{
+			this.redo();
+		}
+		else if(event.code == 'Delete' || event.code == 'Backspace')
+		{
+			this.removeSelected();
+		}
+		else
+		{
+			return;
+		}
+		event.preventDefault();
+	};
+
+	//--------------------------------------------
+	// Save and load
+	//--------------------------------------------
+	Editor.prototype.toJSON = function(){
+		return JSON.stringify(this.data, null, '\t');
+	};
+
+	// Replace the layout with the given JSON text. Throws an error naming the bad field when invalid.
+	// Note: Loading can be undone.
+	Editor.prototype.load = function(text){
+		var level = Level.fromJSON(text);
+		this.selected = -1;
+		this.change(function() {
+			this.data = level.data;
+		});
+	};
+
+	// Download the layout as a JSON file.
+	Editor.prototype.save = function(){
+		var blob = new Blob([this.toJSON()], {type: 'application/json'});
+		var link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = (this.data.name || 'level').toLowerCase().replace(/[^\w-]+/g, '-') + '.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(link.href);
+	};
+
+	//--------------------------------------------
+	// Panel
+	//--------------------------------------------
+	Editor.prototype.handlePanelClick = function(event){
+		var target = event.target;
+		if(target.hasAttribute('data-tool'))
+		{
+			this.setTool(target.getAttribute('data-tool'));
+			return;
+		}
+
+		switch(target.getAttribute('data-command'))
+		{
+			case 'undo':
+				this.undo();
+				break;
+			case 'redo':
+				this.redo();
+				break;
+			case 'delete':
+				this.removeSelected();
+				break;
+			case 'save':
+				this.save();
+				break;
+			case 'play':
+				this.play();
+				break;
+			case 'edit':
+				this.open();
+				break;
+		}
+	};
+
+	Editor.prototype.handlePanelChange = function(event){
+		var target = event.target;
+
+		if(target.type == 'file')
+		{
+			if(target.files.length < 1)
+			{
+				return;
+			}
+			var editor = this;
+			target.files[0].text()
+				.then(function(text) {
+					editor.load(text);
+				})
+				.catch(function(error) {
+					window.alert(error.message);
+				});
+			target.value = '';
+		}
+		else if(target.name == 'wallType')
+		{
+			this.setWallType(target.value);
+		}
+		else if(target.name == 'player')
+		{
+			this.player = target.value;
+		}
+		else if(target.hasAttribute('data-field'))
+		{
+			this.setField(target.getAttribute('data-field'), parseFloat(target.value));
+		}
+	};
+
+	// Show the state of the editor in the panel: current tool, fields of the selected wall, playing or editing.
+	Editor.prototype.refreshPanel = function(){
+		if( ! this.panel)
+		{
+			return;
+		}
+		var wall = this.selectedWall();
+
+		var tool = this.tool;
+		this.panel.querySelectorAll('[data-tool]').forEach(function(button) {
+			button.classList.toggle('active', button.getAttribute('data-tool') == tool);
+		});
+		this.panel.querySelectorAll('[data-field]').forEach(function(input) {
+			var field = input.getAttribute('data-field');
+			input.disabled = ! (wall && field in wall);
+			input.value = wall && field in wall ? wall[field] : '';
+		});
+		this.panel.classList.toggle('playing', ! this.active);
+	};
+
+	//--------------------------------------------
+	// Rendering
+	//--------------------------------------------
+	// Render the layout: The world as it stands, the selected wall, paddles and spawn points.
+	Editor.prototype.render = function(){
+		var world = this.world;
+		var ctx = world.context;
+		world.render(1);
+
+		// Spawn points
+		var players = this.data.players || {};
+		ctx.strokeStyle = world.color.primary;
+		ctx.lineWidth = 2;
+		for(var codeName in players)
+		{
+			if(players[codeName].spawn)
+			{
+				ctx.beginPath();
+				ctx.arc(players[codeName].spawn.x, players[codeName].spawn.y, world.settings.ballRadius, 0, 2 * Math.PI, false);
+				ctx.stroke();
+			}
+		}
+
+		// Selected wall, with its resize handle.
+		var selected = this.selected >= 0 ? world.defaultWalls[this.selected] : null;
+		if(selected)
+		{
+			ctx.strokeRect(selected.xMin(), selected.yMin(), selected.xLen, selected.yLen);
+			if('xLen' in this.selectedWall())
+			{
+				var size = Editor.HANDLE_SIZE;
+				ctx.fillStyle = world.color.primary;
+				ctx.fillRect(selected.xMax() - 0.5 * size, selected.yMax() - 0.5 * size, size, size);
+			}
+		}
+
+		world.renderMessage('Editing: ' + this.tool);
+	};
+
+	return Editor;
+
+}));
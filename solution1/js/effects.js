@@ -0,0 +1,352 @@
+/**
+ * Visual effects for WavePad: Ball trails, particle bursts on hits and goals, and screen shake on goals.
+ *
+ * Effects follow the game events (see World.on) and draw themselves over the world once it is drawn (the rendered
+ * event). They never touch the simulation and never draw from the world's random number generator: Matches and
+ * replays are the same with or without them.
+ * Each effect can be turned off for slow devices (see Effects.setEnabled).
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.WavePad.Effects = factory();
+	}
+}(this, function () {
+
+	//--------------------------------------------
+	// Effects
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		enabled: Effects turned on, by name. Defaults to Effects.defaultEnabled. Ex: {shake: false}
+	 *		random: function() Random number in [0, 1), for the looks only. Defaults to Math.random.
+	 *		now: function() Current time, in ms. Defaults to performance.now.
+	 **/
+	function Effects(options)
+	{
+		options = options || {};
+
+		this.random = options.random || Math.random;
+		this.now = options.now || defaultNow;
+
+		// Recent positions of each ball, oldest first: {x, y, time}
+		this.trails = new Map();
+
+		// Particles in flight: {x, y, dx, dy, size, color, born, life} Speeds in world units per second.
+		this.particles = [];
+
+		// Screen shake in progress: {start, duration, magnitude}, or null.
+		this.shaking = null;
+
+		// Time of the last frame drawn.
+		this.lastFrame = null;
+
+		// World we listen to, and our listeners (see Effects.attach).
+		this.world = null;
+		this.subscriptions = [];
+
+		this.enabled = Object.assign({}, Effects.defaultEnabled);
+		for(var name in options.enabled)
+		{
+			this.setEnabled(name, options.enabled[name]);
+		}
+	}
+
+	Effects.NAMES = ['trails', 'particles', 'shake'];
+
+	Effects.defaultEnabled = {
+		trails: true,
+		particles: true,
+		shake: true,
+	};
+
+	// Effect of each game event: Name of the method showing it (see World.EVENTS).
+	Effects.HANDLERS = {
+		matchStarted: 'clear',
+		paddleHit: 'burstOnPaddle',
+		wallHit: 'burstOnWall',
+		goalScored: 'burstOnGoal',
+		pickupCollected: 'burstOnPickup',
+		rendered: 'render',
+	};
+
+	// How long a trail is, in ms.
+	Effects.TRAIL_DURATION = 120;
+
+	// Most particles in flight at once. Beyond, new bursts replace the oldest particles.
+	Effects.MAX_PARTICLES = 300;
+
+	// Screen shake on goals: Largest shift, in world units, and how long it lasts, in ms.
+	Effects.SHAKE = {magnitude: 8, duration: 350};
+
+	function defaultNow()
+	{
+		return typeof performance !== 'undefined' ? performance.now() : Date.now();
+	}
+
+	Effects.prototype.attach = function(world){
+		this.detach();
+		this.world = world;
+		for(var type in Effects.HANDLERS)
+		{
+			var listener = this[Effects.HANDLERS[type]].bind(this);
+			this.subscriptions.push({type: type, listener: world.on(type, listener)});
+		}
+	};
+
+	Effects.prototype.detach = function(){
+		if( ! this.world)
+		{
+			return;
+		}
+		for(var i = 0; i < this.subscriptions.length; i++)
+		{
+			this.world.off(this.subscriptions[i].type, this.subscriptions[i].listener);
+		}
+		this.subscriptions = [];
+		this.clear();
+		this.world = null;
+	};
+
+	// Forget every effect in progress (ex: a new match).
+	Effects.prototype.clear = function(){
+		this.trails.clear();
+		this.particles = [];
+		this.shaking = null;
+		if(this.world)
+		{
+			this.world.offset = {x: 0, y: 0};
+		}
+	};
+
+	Effects.prototype.setEnabled = function(name, enabled){
+		if(Effects.NAMES.indexOf(name) < 0)
+		{
+			throw new Error('Usage: Unknown effect. Expected one of: ' + Effects.NAMES.join(', ') + '. Got: ' + name);
+		}
+		this.enabled[name] = !! enabled;
+		if(enabled)
+		{
+			return;
+		}
+		// Stop what's in progress.
+		switch(name)
+		{
+			case 'trails':
+				this.trails.clear();
+				break;
+			case 'particles':
+				this.particles = [];
+				break;
+			case 'shake':
+				this.shaking = null;
+				if(this.world)
+				{
+					this.world.offset = {x: 0, y: 0};
+				}
+				break;
+		}
+	};
+
+	Effects.prototype.toggle = function(name){
+		this.setEnabled(name, ! this.enabled[name]);
+	};
+
+	//--------------------------------------------
+	// Particles
+	//--------------------------------------------
+	/**
+	 * Throw particles from a point.
+	 * options:
+	 *		count: Number of particles.
+	 *		color: CSS colour.
+	 *		speed: Largest speed, in world units per second.
+	 *		life: How long they live, in ms.
+	 *		direction: {x, y} Main direction (ex: a contact normal). Defaults to every direction.
+	 *		spread: Largest deviation from the direction, in radians. Defaults to PI (every direction).
+	 **/
+	Effects.prototype.burst = function(x, y, options){
+		if( ! this.enabled.particles)
+		{
+			return;
+		}
+		var now = this.now();
+		var direction = options.direction ? Math.atan2(options.direction.y, options.direction.x) : 0;
+		var spread = options.direction ? (options.spread || 0.5 * Math.PI) : Math.PI;
+		for(var i = 0; i < options.count; i++)
+		{
+			var angle = direction + (2 * this.random() - 1) * spread;
+			var speed = options.speed * (0.3 + 0.7 * this.random());
+			this.particles.push({
+				x: x,
+				y: y,
+				dx: speed * Math.cos(angle),
+				dy: speed * Math.sin(angle),
+				size: 1 + 2 * this.random(),
+				color: options.color,
+				born: now,
+				life: options.life * (0.5 + 0.5 * this.random()),
+			});
+		}
+		if(this.particles.length > Effects.MAX_PARTICLES)
+		{
+			this.particles.splice(0, this.particles.length - Effects.MAX_PARTICLES);
+		}
+	};
+
+	Effects.prototype.burstOnPaddle = function(event){
+		var point = event.contact.point;
+		this.burst(point.x, point.y, {
+			count: 12,
+			color: event.world.ballColor(event.ball),
+			speed: 120,
+			life: 400,
+			direction: event.contact.normal,
+		});
+	};
+
+	Effects.prototype.burstOnWall = function(event){
+		var point = event.contact.point;
+		this.burst(point.x, point.y, {
+			count: 6,
+			color: event.world.ballColor(event.ball),
+			speed: 80,
+			life: 300,
+			direction: event.contact.normal,
+		});
+	};
+
+	// A goal: Fireworks where the ball went in, and the screen shakes.
+	Effects.prototype.burstOnGoal = function(event){
+		var world = event.world;
+		this.burst(event.ball.x, event.ball.y, {
+			count: 40,
+			color: world.color.primary,
+			speed: 220,
+			life: 700,
+		});
+		this.burst(event.ball.x, event.ball.y, {
+			count: 20,
+			color: world.color.background,
+			speed: 160,
+			life: 500,
+		});
+		if(this.enabled.shake)
+		{
+			this.shaking = {start: this.now(), duration: Effects.SHAKE.duration, magnitude: Effects.SHAKE.magnitude};
+		}
+	};
+
+	Effects.prototype.burstOnPickup = function(event){
+		this.burst(event.pickup.x, event.pickup.y, {
+			count: 20,
+			color: event.world.pickupColor(event.effect),
+			speed: 140,
+			life: 500,
+		});
+	};
+
+	//--------------------------------------------
+	// Rendering
+	//--------------------------------------------
+	// Draw every effect over the world, just drawn (the rendered event).
+	Effects.prototype.render = function(event){
+		var world = event.world;
+		var now = this.now();
+		var elapsed = this.lastFrame === null ? 0 : Math.min(100, now - this.lastFrame);
+		this.lastFrame = now;
+
+		if(this.enabled.trails)
+		{
+			this.renderTrails(world, event.alpha, now);
+		}
+		if(this.particles.length > 0)
+		{
+			this.renderParticles(world, now, elapsed / 1000);
+		}
+		this.shake(world, now);
+	};
+
+	// Faded copies of each ball along its recent positions.
+	Effects.prototype.renderTrails = function(world, alpha, now){
+		var ctx = world.context;
+		var trails = new Map();
+		for(var i = 0; i < world.balls.length; i++)
+		{
+			var ball = world.balls[i];
+			var trail = (this.trails.get(ball) || []).filter(function(p) { return p.time >= now - Effects.TRAIL_DURATION; });
+
+			// Rem: The newest position is the ball itself, drawn by the world: Only older ones are drawn here.
+			ctx.fillStyle = world.ballColor(ball);
+			for(var j = 0; j < trail.length; j++)
+			{
+				var f = (j + 1) / (trail.length + 1);
+				ctx.globalAlpha = 0.4 * f;
+				ctx.beginPath();
+				ctx.arc(trail[j].x, trail[j].y, ball.radius * (0.5 + 0.5 * f), 0, 2 * Math.PI, false);
+				ctx.fill();
+			}
+			ctx.globalAlpha = 1;
+
+			trail.push({x: ball.renderX(alpha), y: ball.renderY(alpha), time: now});
+			trails.set(ball, trail);
+		}
+
+		// Balls gone (scored, cleared) leave no trail behind.
+		this.trails = trails;
+	};
+
+	Effects.prototype.renderParticles = function(world, now, seconds){
+		var ctx = world.context;
+		var alive = [];
+		for(var i = 0; i < this.particles.length; i++)
+		{
+			var p = this.particles[i];
+			var age = (now - p.born) / p.life;
+			if(age >= 1)
+			{
+				continue;
+			}
+			p.x += p.dx * seconds;
+			p.y += p.dy * seconds;
+			ctx.globalAlpha = 1 - age;
+			ctx.fillStyle = p.color;
+			ctx.fillRect(p.x - 0.5 * p.size, p.y - 0.5 * p.size, p.size, p.size);
+			alive.push(p);
+		}
+		ctx.globalAlpha = 1;
+		this.particles = alive;
+	};
+
+	// Shift the next frame at random, less and less until the shake is over (see World.offset).
+	Effects.prototype.shake = function(world, now){
+		if( ! this.shaking)
+		{
+			return;
+		}
+		var left = 1 - (now - this.shaking.start) / this.shaking.duration;
+		if(left <= 0 || ! this.enabled.shake)
+		{
+			this.shaking = null;
+			world.offset = {x: 0, y: 0};
+			return;
+		}
+		var magnitude = this.shaking.magnitude * left;
+		world.offset = {
+			x: (2 * this.random() - 1) * magnitude,
+			y: (2 * this.random() - 1) * magnitude,
+		};
+	};
+
+	return Effects;
+
+}));
@@ -0,0 +1,291 @@
+/**
+ * Input layer for WavePad: Turns keyboard and gamepad input into abstract actions, by player.
+ *
+ * The world never sees keys or buttons, only actions (see World.step):
+ *		{player1: {left: true, right: false, serve: false}, player2: {...}}
+ * Players 3 and 4 play the left and right sides of the four players mode (see modes.js): left goes down, right up.
+ * Keys are identified with KeyboardEvent.code (physical keys: "KeyA" is the same key on QWERTY and AZERTY).
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.WavePad.Input = factory();
+	}
+}(this, function () {
+
+	//--------------------------------------------
+	// Input
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		bindings: Keys of each action, by player code name. Defaults to Input.defaultBindings.
+	 *		gamepads: Index of the gamepad of each player, by player code name. Defaults to Input.defaultGamepads.
+	 *		getGamepads: function() Returns the connected gamepads. Defaults to navigator.getGamepads.
+	 **/
+	function Input(options)
+	{
+		options = options || {};
+
+		this.bindings = {};
+		var bindings = options.bindings || Input.defaultBindings;
+		for(var codeName in bindings)
+		{
+			for(var action in bindings[codeName])
+			{
+				this.bind(codeName, action, bindings[codeName][action]);
+			}
+		}
+
+		this.gamepads = Object.assign({}, options.gamepads || Input.defaultGamepads);
+		this.getGamepads = options.getGamepads || defaultGetGamepads;
+
+		// Keys currently down, by code.
+		this.keysDown = {};
+
+		// Waiting for a key to bind to an action (see Input.listenForBinding).
+		this.pendingBinding = null;
+
+		// Other sources of actions (ex: pointer controls). See Input.addSource.
+		this.sources = [];
+
+		this.target = null;
+		this.onKeyDown = this.handleKeyDown.bind(this);
+		this.onKeyUp = this.handleKeyUp.bind(this);
+		this.onBlur = this.reset.bind(this);
+	}
+
+	// Abstract actions a player can do.
+	Input.ACTIONS = ['left', 'right', 'serve'];
+
+	Input.defaultBindings = {
+		player1: {
+			left: ['ArrowLeft'],
+			right: ['ArrowRight'],
+			serve: ['ArrowUp', 'Space'],
+		},
+		player2: {
+			left: ['KeyA'],
+			right: ['KeyD'],
+			serve: ['KeyW'],
+		},
+		player3: {
+			left: ['KeyK'],
+			right: ['KeyI'],
+			serve: ['KeyL'],
+		},
+		player4: {
+			left: ['Numpad2'],
+			right: ['Numpad8'],
+			serve: ['Numpad4'],
+		},
+	};
+
+	Input.defaultGamepads = {
+		player1: 0,
+		player2: 1,
+		player3: 2,
+		player4: 3,
+	};
+
+	// Stick position under which the stick is considered at rest.
+	Input.DEAD_ZONE = 0.3;
+
+	// Buttons of the standard gamepad layout (see https://w3c.github.io/gamepad/#remapping).
+	Input.BUTTONS = {
+		serve: [0],		// A (or cross)
+		left: [14],		// D-pad left
+		right: [15],	// D-pad right
+	};
+
+	function defaultGetGamepads()
+	{
+		if(typeof navigator !== 'undefined' && navigator.getGamepads)
+		{
+			return navigator.getGamepads();
+		}
+		return [];
+	}
+
+	// Listen to the keyboard events of the given target (usually window).
+	Input.prototype.attach = function(target){
+		this.detach();
+		this.target = target;
+		target.addEventListener("keydown", this.onKeyDown);
+		target.addEventListener("keyup", this.onKeyUp);
+		target.addEventListener("blur", this.onBlur);
+	};
+
+	Input.prototype.detach = function(){
+		if( ! this.target)
+		{
+			return;
+		}
+		this.target.removeEventListener("keydown", this.onKeyDown);
+		this.target.removeEventListener("keyup", this.onKeyUp);
+		this.target.removeEventListener("blur", this.onBlur);
+		this.target = null;
+	};
+
+	// Forget every key. Use case: Losing focus means missing keyup events.
+	Input.prototype.reset = function(){
+		this.keysDown = {};
+	};
+
+	// Bind the given key codes to an action of a player, replacing previous keys.
+	Input.prototype.bind = function(codeName, action, codes){
+		if(Input.ACTIONS.indexOf(action) < 0)
+		{
+			throw new Error('Usage: Unknown action. Expected one of: ' + Input.ACTIONS.join(', ') + '. Got: ' + action);
+		}
+		codes = Array.isArray(codes) ? codes : [codes];
+
+		this.bindings[codeName] = this.bindings[codeName] || {};
+		this.bindings[codeName][action] = codes.slice();
+	};
+
+	// Bind the next key pressed to an action of a player. The key is removed from other actions.
+	// callback: function(code) Called once the key is bound.
+	// Note: Escape cancels.
+	Input.prototype.listenForBinding = function(codeName, action, callback){
+		this.pendingBinding = {
+			codeName: codeName,
+			action: action,
+			callback: callback || function() {},
+		};
+	};
+
+	// Player and action bound to the given key code, or null.
+	Input.prototype.actionOf = function(code){
+		for(var codeName in this.bindings)
+		{
+			for(var action in this.bindings[codeName])
+			{
+				if(this.bindings[codeName][action].indexOf(code) >= 0)
+				{
+					return {codeName: codeName, action: action};
+				}
+			}
+		}
+		return null;
+	};
+
+	Input.prototype.handleKeyDown = function(event){
+		if(this.pendingBinding)
+		{
+			var pending = this.pendingBinding;
+			this.pendingBinding = null;
+			if(event.code != 'Escape')
+			{
+				this.unbindKey(event.code);
+				this.bind(pending.codeName, pending.action, [event.code]);
+				pending.callback(event.code);
+			}
+			event.preventDefault();
+			return;
+		}
+
+		this.keysDown[event.code] = true;
+
+		// Don't scroll the page with the arrows or the space bar while playing.
+		if(this.actionOf(event.code))
+		{
+			event.preventDefault();
+		}
+	};
+
+	Input.prototype.handleKeyUp = function(event){
+		delete this.keysDown[event.code];
+	};
+
+	// Remove the given key code from every action.
+	Input.prototype.unbindKey = function(code){
+		for(var codeName in this.bindings)
+		{
+			for(var action in this.bindings[codeName])
+			{
+				this.bindings[codeName][action] = this.bindings[codeName][action].filter(function(c) { return c != code; });
+			}
+		}
+	};
+
+	// Add a source of actions. A source is an object with a contribute(inputs) method, adding its own actions
+	// to the inputs read from the keyboard and gamepads (see PointerControls).
+	Input.prototype.addSource = function(source){
+		this.sources.push(source);
+	};
+
+	Input.prototype.removeSource = function(source){
+		this.sources = this.sources.filter(function(s) { return s !== source; });
+	};
+
+	// Abstract actions of every player, for the current tick. Ex: {player1: {left: true, right: false, serve: false}}
+	Input.prototype.read = function(){
+		var inputs = {};
+
+		// Keyboard
+		var keysDown = this.keysDown;
+		var isDown = function(code) { return !! keysDown[code]; };
+		for(var codeName in this.bindings)
+		{
+			inputs[codeName] = {};
+			for(var i = 0; i < Input.ACTIONS.length; i++)
+			{
+				var action = Input.ACTIONS[i];
+				var codes = this.bindings[codeName][action] || [];
+				inputs[codeName][action] = codes.some(isDown);
+			}
+		}
+
+		// Gamepads
+		var pads = this.getGamepads() || [];
+		for(var codeName in this.gamepads)
+		{
+			var pad = pads[this.gamepads[codeName]];
+			if( ! pad || ! pad.connected)
+			{
+				continue;
+			}
+			var actions = readGamepad(pad);
+			inputs[codeName] = inputs[codeName] || {};
+			for(var action in actions)
+			{
+				inputs[codeName][action] = inputs[codeName][action] || actions[action];
+			}
+		}
+
+		// Other sources
+		for(var i = 0; i < this.sources.length; i++)
+		{
+			this.sources[i].contribute(inputs);
+		}
+
+		return inputs;
+	};
+
+	// Abstract actions from the stick, d-pad and buttons of a gamepad.
+	function readGamepad(pad)
+	{
+		var stick = pad.axes && pad.axes.length > 0 ? pad.axes[0] : 0;
+		var pressed = function(indexes) {
+			return indexes.some(function(i) { return pad.buttons[i] && pad.buttons[i].pressed; });
+		};
+
+		return {
+			left: stick < -1 * Input.DEAD_ZONE || pressed(Input.BUTTONS.left),
+			right: stick > Input.DEAD_ZONE || pressed(Input.BUTTONS.right),
+			serve: pressed(Input.BUTTONS.serve),
+		};
+	}
+
+	return Input;
+
+}));
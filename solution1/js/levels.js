@@ -0,0 +1,381 @@
+/**
+ * Levels for WavePad: Arena layouts described as plain data (JSON), so new arenas don't need new code.
+ *
+ * A level describes the walls of the arena, where paddles, goals and served balls go, and the rules of the random
+ * obstacles. Anything left out keeps the classic layout. Bundled levels live in solution1/levels/*.json.
+ *
+ *		{
+ *			"name": "Pinball",
+ *			"size": {"width": 968, "height": 500},
+ *			"walls": [
+ *				{"type": "left", "x": 0, "y": 250, "xLen": 200, "yLen": 500},
+ *				{"type": "right", "x": 967, "y": 250, "xLen": 200, "yLen": 500, "wave": null},
+ *				{"type": "box", "x": 484, "y": 250, "xLen": 40, "yLen": 40},
+ *				{"type": "moving", "x": 300, "y": 250, "xLen": 60, "yLen": 10, "path": {"dx": 300, "dy": 0, "period": 4}},
+ *				{"type": "angled", "x": 484, "y": 150, "length": 120, "thickness": 10, "angle": 30}
+ *			],
+ *			"players": {
+ *				"player1": {"paddle": {"x": 484, "y": 6}, "goal": {"x": 484, "y": 1, "xLen": 968, "yLen": 1}, "spawn": {"x": 484, "y": 50}}
+ *			},
+ *			"obstacles": {
+ *				"interval": 2, "chance": 0.25, "accumulateChance": 0.2,
+ *				"walls": [{"type": "box", "x": [200, 700], "y": [100, 400], "xLen": 20, "yLen": [20, 120], "chance": 0.5}]
+ *			}
+ *		}
+ *
+ * Walls:
+ *		left, right: Lateral walls, their inner face toward the arena. Without wave, they use the world's wallWave
+ *			setting (right walls half a wave late). "wave": null for a flat wall.
+ *		box: A rectangle that stands still.
+ *		moving: A rectangle moving back and forth along a path (see MovingWall).
+ *		angled: A rotated wall. angle is in degrees (counter clockwise).
+ * Obstacle walls take ranges as well as numbers: [min, max] is rolled with the world's random number generator.
+ * Their chance (in [0, 1]) is the odds of each one showing up. They replace the classic random walls.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'));
+	}
+	else
+	{
+		root.WavePad.Level = factory(root.WavePad);
+	}
+}(this, function (WavePad) {
+
+	//--------------------------------------------
+	// Validation
+	//--------------------------------------------
+	// Error raised by invalid level data. field is the path to the bad value. Ex: "walls[2].xLen"
+	function invalid(field, expected, value)
+	{
+		var error = new Error('Invalid level: ' + field + ' must be ' + expected + '. Got: ' + JSON.stringify(value));
+		error.field = field;
+		return error;
+	}
+
+	function isObject(value)
+	{
+		return value !== null && typeof value === 'object' && ! Array.isArray(value);
+	}
+
+	function isNumber(value)
+	{
+		return typeof value === 'number' && isFinite(value);
+	}
+
+	// A number, or a range [min, max] when ranges are allowed. min is optional (1 for lengths).
+	function checkNumber(data, field, path, options)
+	{
+		options = options || {};
+		var value = data[field];
+		var min = isNumber(options.min) ? options.min : -Infinity;
+		var expected = 'a number' + (min > -Infinity ? ' greater or equal to ' + min : '')
+			+ (options.ranges ? ', or a range [min, max] of such numbers' : '');
+
+		if(isNumber(value) && value >= min)
+		{
+			return;
+		}
+		if(options.ranges && Array.isArray(value) && value.length == 2
+			&& value.every(function(v) { return isNumber(v) && v >= min; }) && value[0] <= value[1])
+		{
+			return;
+		}
+		throw invalid(path + field, expected, value);
+	}
+
+	function checkObject(data, field, path, optional)
+	{
+		if(optional && data[field] === undefined)
+		{
+			return false;
+		}
+		if( ! isObject(data[field]))
+		{
+			throw invalid(path + field, 'an object', data[field]);
+		}
+		return true;
+	}
+
+	function checkChance(data, field, path)
+	{
+		if(data[field] !== undefined && ! (isNumber(data[field]) && data[field] >= 0 && data[field] <= 1))
+		{
+			throw invalid(path + field, 'a number in [0, 1]', data[field]);
+		}
+	}
+
+	// Fields of each type of wall: name -> minimum value.
+	var WALL_FIELDS = {
+		left: {x: null, y: null, xLen: 1, yLen: 1},
+		right: {x: null, y: null, xLen: 1, yLen: 1},
+		box: {x: null, y: null, xLen: 1, yLen: 1},
+		moving: {x: null, y: null, xLen: 1, yLen: 1},
+		angled: {x: null, y: null, length: 1, thickness: 1, angle: null},
+	};
+
+	// ranges: Allow [min, max] ranges instead of numbers (random obstacles).
+	function checkWall(wall, path, ranges)
+	{
+		if( ! isObject(wall))
+		{
+			throw invalid(path.slice(0, -1), 'an object', wall);
+		}
+		var fields = WALL_FIELDS[wall.type];
+		if( ! fields)
+		{
+			throw invalid(path + 'type', 'one of ' + Object.keys(WALL_FIELDS).join(', '), wall.type);
+		}
+		for(var field in fields)
+		{
+			checkNumber(wall, field, path, {min: fields[field], ranges: ranges});
+		}
+
+		if((wall.type == 'left' || wall.type == 'right') && wall.wave !== null && checkObject(wall, 'wave', path, true))
+		{
+			checkNumber(wall.wave, 'amplitude', path + 'wave.', {min: 0});
+			checkNumber(wall.wave, 'frequency', path + 'wave.');
+			checkNumber(wall.wave, 'wavelength', path + 'wave.', {min: 1});
+			if(wall.wave.phase !== undefined)
+			{
+				checkNumber(wall.wave, 'phase', path + 'wave.');
+			}
+		}
+
+		if(wall.type == 'moving')
+		{
+			checkObject(wall, 'path', path);
+			checkNumber(wall.path, 'dx', path + 'path.');
+			checkNumber(wall.path, 'dy', path + 'path.');
+			checkNumber(wall.path, 'period', path + 'path.', {min: 0.1});
+			if(wall.path.phase !== undefined)
+			{
+				checkNumber(wall.path, 'phase', path + 'path.');
+			}
+		}
+
+		if(ranges)
+		{
+			checkChance(wall, 'chance', path);
+		}
+	}
+
+	function checkWalls(data, field, path, ranges)
+	{
+		if( ! Array.isArray(data[field]))
+		{
+			throw invalid(path + field, 'an array', data[field]);
+		}
+		for(var i = 0; i < data[field].length; i++)
+		{
+			checkWall(data[field][i], path + field + '[' + i + '].', ranges);
+		}
+	}
+
+	// Throws an error naming the bad field when the given level data is invalid.
+	function validate(data)
+	{
+		if( ! isObject(data))
+		{
+			throw invalid('level', 'an object', data);
+		}
+		if(typeof data.name !== 'string' || data.name.length < 1)
+		{
+			throw invalid('name', 'a non empty string', data.name);
+		}
+
+		if(checkObject(data, 'size', '', true))
+		{
+			checkNumber(data.size, 'width', 'size.', {min: 1});
+			checkNumber(data.size, 'height', 'size.', {min: 1});
+		}
+
+		checkWalls(data, 'walls', '');
+
+		if(checkObject(data, 'players', '', true))
+		{
+			for(var codeName in data.players)
+			{
+				var path = 'players.' + codeName + '.';
+				checkObject(data.players, codeName, 'players.');
+				var player = data.players[codeName];
+
+				if(checkObject(player, 'paddle', path, true))
+				{
+					checkNumber(player.paddle, 'x', path + 'paddle.');
+					checkNumber(player.paddle, 'y', path + 'paddle.');
+				}
+				if(checkObject(player, 'goal', path, true))
+				{
+					checkNumber(player.goal, 'x', path + 'goal.');
+					checkNumber(player.goal, 'y', path + 'goal.');
+					checkNumber(player.goal, 'xLen', path + 'goal.', {min: 1});
+					checkNumber(player.goal, 'yLen', path + 'goal.', {min: 1});
+				}
+				if(checkObject(player, 'spawn', path, true))
+				{
+					checkNumber(player.spawn, 'x', path + 'spawn.');
+					checkNumber(player.spawn, 'y', path + 'spawn.');
+				}
+			}
+		}
+
+		if(checkObject(data, 'obstacles', '', true))
+		{
+			if(data.obstacles.interval !== undefined)
+			{
+				checkNumber(data.obstacles, 'interval', 'obstacles.', {min: 0.1});
+			}
+			checkChance(data.obstacles, 'chance', 'obstacles.');
+			checkChance(data.obstacles, 'accumulateChance', 'obstacles.');
+			checkWalls(data.obstacles, 'walls', 'obstacles.', true);
+		}
+	}
+
+	//--------------------------------------------
+	// Level
+	//--------------------------------------------
+	/**
+	 * A validated level, ready to be given to a world: world.init({level: level}).
+	 * data: The level description (see above). Throws an error naming the bad field when invalid.
+	 * Note: The world calls build when it starts a match, getRandomWalls for new obstacles and spawnFor when serving.
+	 **/
+	function Level(data)
+	{
+		validate(data);
+
+		// Keep our own copy: Changing the data afterwards doesn't change the level.
+		this.data = JSON.parse(JSON.stringify(data));
+		this.name = this.data.name;
+		this.size = this.data.size || null;
+	}
+
+	// Parse a level from JSON text.
+	Level.fromJSON = function(text){
+		var data;
+		try
+		{
+			data = JSON.parse(text);
+		}
+		catch(error)
+		{
+			throw new Error('Invalid level: Not valid JSON. ' + error.message);
+		}
+		return new Level(data);
+	};
+
+	Level.validate = validate;
+
+	// Lay out the arena of the given world. Called by World.init, once the players are in place.
+	Level.prototype.build = function(world){
+		this.buildWalls(world);
+
+		var players = this.data.players || {};
+		for(var i = 0; i < world.players.length; i++)
+		{
+			var player = world.players[i];
+			var layout = players[player.codeName];
+			if( ! layout)
+			{
+				continue;
+			}
+			if(layout.paddle)
+			{
+				player.body.x = player.body.prevX = layout.paddle.x;
+				player.body.y = player.body.prevY = layout.paddle.y;
+			}
+			if(layout.goal)
+			{
+				player.goal = new WavePad.Goal(layout.goal.x, layout.goal.y, layout.goal.xLen, layout.goal.yLen, player);
+			}
+		}
+
+		var obstacles = this.data.obstacles || {};
+		['interval', 'chance', 'accumulateChance'].forEach(function(rule) {
+			if(obstacles[rule] !== undefined)
+			{
+				world.settings.obstacles[rule] = obstacles[rule];
+			}
+		});
+	};
+
+	// Only the walls of the arena, without starting anything. Ex: Redrawing a wall dragged in the editor.
+	Level.prototype.buildWalls = function(world){
+		world.defaultWalls = this.data.walls.map(function(wall) { return createWall(wall, world); });
+	};
+
+	// New random obstacles. Without obstacles in the level, there are none.
+	Level.prototype.getRandomWalls = function(world){
+		var templates = this.data.obstacles ? this.data.obstacles.walls : [];
+		var walls = [];
+		for(var i = 0; i < templates.length; i++)
+		{
+			if(templates[i].chance !== undefined && world.random() >= templates[i].chance)
+			{
+				continue;
+			}
+			walls.push(createWall(roll(templates[i], world), world));
+		}
+		return walls;
+	};
+
+	// Where to serve balls from, for the given player, or null for the classic spawn point.
+	Level.prototype.spawnFor = function(player, world){
+		var players = this.data.players || {};
+		var layout = players[player.codeName];
+		return layout && layout.spawn ? {x: layout.spawn.x, y: layout.spawn.y} : null;
+	};
+
+	// A copy of the given wall template, with a value picked in each range.
+	function roll(template, world)
+	{
+		var wall = {};
+		for(var field in template)
+		{
+			var value = template[field];
+			wall[field] = Array.isArray(value) ? value[0] + world.random() * (value[1] - value[0]) : value;
+		}
+		return wall;
+	}
+
+	function createWall(wall, world)
+	{
+		switch(wall.type)
+		{
+			case 'left':
+				return new WavePad.LeftWall(wall.x, wall.y, wall.xLen, wall.yLen, waveOf(wall, world, 0));
+			case 'right':
+				// Half a wave late, like the classic arena (see World.getDefaultWalls).
+				return new WavePad.RightWall(wall.x, wall.y, wall.xLen, wall.yLen, waveOf(wall, world, Math.PI));
+			case 'box':
+				return new WavePad.MovingWall(wall.x, wall.y, wall.xLen, wall.yLen);
+			case 'moving':
+				return new WavePad.MovingWall(wall.x, wall.y, wall.xLen, wall.yLen, wall.path);
+			case 'angled':
+				return new WavePad.AngledWall(wall.x, wall.y, wall.length, wall.thickness, wall.angle * Math.PI / 180);
+		}
+	}
+
+	// Wave of a lateral wall: Its own, none (null), or the world's setting shifted by the given phase.
+	function waveOf(wall, world, phase)
+	{
+		if(wall.wave === null)
+		{
+			return {amplitude: 0};
+		}
+		if(wall.wave)
+		{
+			return wall.wave;
+		}
+		return Object.assign({}, world.settings.wallWave, {phase: world.settings.wallWave.phase + phase});
+	}
+
+	return Level;
+
+}));
@@ -0,0 +1,197 @@
+/**
+ * Fixed timestep loop controller for WavePad.
+ *
+ * The simulation always advances by whole ticks (WavePad.TICKS_PER_SECOND by default), whatever the refresh rate
+ * of the screen. Frames are rendered as often as the browser allows, interpolating positions between the last two
+ * ticks (see WorldObject.renderX).
+ * Based on https://gafferongames.com/post/fix_your_timestep/
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'));
+	}
+	else
+	{
+		root.WavePad.Loop = factory(root.WavePad);
+	}
+}(this, function (WavePad) {
+
+	//--------------------------------------------
+	// Loop
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		update: function() Advance the simulation by one tick. Required.
+	 *		render: function(alpha) Draw the current state. alpha in [0, 1] is the progress toward the next tick.
+	 *		tickRate: Ticks per second. Defaults to WavePad.TICKS_PER_SECOND.
+	 *		timeScale: Simulation speed relative to real time. 1 by default, 0.25 for slow motion.
+	 *		maxFrameTime: Longest frame taken into account, in ms. Avoids a spiral of death after a long freeze
+	 *			(ex: when the tab was in the background).
+	 *		requestFrame, cancelFrame: Frame scheduler. Default to window.requestAnimationFrame/cancelAnimationFrame.
+	 **/
+	function Loop(options)
+	{
+		options = options || {};
+
+		if(typeof options.update !== 'function')
+		{
+			throw new Error('Usage: options.update must be a function. Got: ' + options.update);
+		}
+		this.update = options.update;
+		this.render = options.render || function() {};
+
+		var tickRate = options.tickRate || WavePad.TICKS_PER_SECOND;
+		if( ! (isFinite(tickRate) && tickRate > 0))
+		{
+			throw new Error('Usage: options.tickRate must be a finite number greater than 0. Got: ' + tickRate);
+		}
+		// Duration of one tick, in ms.
+		this.tickDuration = 1000 / tickRate;
+		this.maxFrameTime = options.maxFrameTime || 250;
+
+		this.timeScale = 1;
+		this.setTimeScale(options.timeScale || 1);
+
+		this.requestFrame = options.requestFrame || defaultRequestFrame();
+		this.cancelFrame = options.cancelFrame || defaultCancelFrame();
+
+		this.running = false;
+		this.paused = false;
+		this.frameId = null;
+		this.lastTime = null;
+		this.accumulator = 0;
+		this.ticks = 0;
+
+		// Keep a bound version of frame, to give to the scheduler.
+		this.onFrame = this.frame.bind(this);
+	}
+
+	Loop.MIN_TIME_SCALE = 0.05;
+	Loop.MAX_TIME_SCALE = 4;
+
+	function defaultRequestFrame()
+	{
+		if(typeof window !== 'undefined' && window.requestAnimationFrame)
+		{
+			return window.requestAnimationFrame.bind(window);
+		}
+		return function(callback) {
+			return setTimeout(function() { callback(Date.now()); }, 1000/60);
+		};
+	}
+
+	function defaultCancelFrame()
+	{
+		if(typeof window !== 'undefined' && window.cancelAnimationFrame)
+		{
+			return window.cancelAnimationFrame.bind(window);
+		}
+		return clearTimeout;
+	}
+
+	// Start requesting frames. Does nothing if already running.
+	Loop.prototype.start = function(){
+		if(this.running)
+		{
+			return;
+		}
+		this.running = true;
+		this.lastTime = null;
+		this.frameId = this.requestFrame(this.onFrame);
+	};
+
+	// Stop requesting frames. The loop can be started again later.
+	Loop.prototype.stop = function(){
+		this.running = false;
+		if(this.frameId !== null)
+		{
+			this.cancelFrame(this.frameId);
+			this.frameId = null;
+		}
+	};
+
+	// Stop for good and forget the callbacks.
+	Loop.prototype.destroy = function(){
+		this.stop();
+		this.update = function() {};
+		this.render = function() {};
+	};
+
+	// Freeze the simulation. Frames are still rendered.
+	Loop.prototype.pause = function(){
+		this.paused = true;
+	};
+
+	Loop.prototype.resume = function(){
+		this.paused = false;
+		// Don't catch up on the time spent paused.
+		this.accumulator = 0;
+	};
+
+	Loop.prototype.togglePause = function(){
+		if(this.paused)
+		{
+			this.resume();
+		}
+		else
+		{
+			this.pause();
+		}
+	};
+
+	// Advance by exactly one tick. Use case: Inspecting bounces frame by frame while paused.
+	Loop.prototype.stepOnce = function(){
+		this.update();
+		this.ticks++;
+		this.render(1);
+	};
+
+	// Simulation speed relative to real time. Ex: 0.25 for slow motion. Clamped to [MIN_TIME_SCALE, MAX_TIME_SCALE].
+	Loop.prototype.setTimeScale = function(timeScale){
+		if( ! isFinite(timeScale))
+		{
+			throw new Error('Usage: timeScale must be a finite number. Got: ' + timeScale);
+		}
+		this.timeScale = Math.min(Loop.MAX_TIME_SCALE, Math.max(Loop.MIN_TIME_SCALE, timeScale));
+		return this.timeScale;
+	};
+
+	// One frame: run as many ticks as the elapsed time allows, then render.
+	// now: Timestamp of the frame, in ms.
+	Loop.prototype.frame = function(now){
+		if( ! this.running)
+		{
+			return;
+		}
+		this.frameId = this.requestFrame(this.onFrame);
+
+		var elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+		this.lastTime = now;
+
+		if(this.paused)
+		{
+			// Show the exact state of the last tick.
+			this.render(1);
+			return;
+		}
+
+		this.accumulator += Math.min(Math.max(elapsed, 0), this.maxFrameTime) * this.timeScale;
+		while(this.accumulator >= this.tickDuration)
+		{
+			this.update();
+			this.ticks++;
+			this.accumulator -= this.tickDuration;
+		}
+
+		this.render(this.accumulator / this.tickDuration);
+	};
+
+	return Loop;
+
+}));
@@ -0,0 +1,679 @@
+/**
+ * Browser glue for WavePad: canvas, keyboard and animation loop.
+ * The simulation itself lives in wavepad.js (window.WavePad), the loop controller in loop.js, the input layer
+ * in input.js, the pointer controls in touch.js, the level format in levels.js, the game modes in modes.js, the
+ * level editor in editor.js, the sound in audio.js, the replays in replay.js, online play in net.js, the menus in
+ * scenes.js, the visual effects in effects.js, the settings and statistics in settings.js and the debug tools in
+ * debug.js. They must be loaded first.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (WavePad) {
+
+	//--------------------------------------------
+	// Configure the canvas
+	//--------------------------------------------
+	var canvas = document.getElementById('wavepad');
+	if( ! canvas || ! canvas.getContext)
+	{
+		console.log('Failed to get canvas.');
+		return;
+	}
+	console.log('Loading Wavepad.');
+
+	var context = canvas.getContext('2d');
+
+	//--------------------------------------------
+	// Create the world and all things to be.
+	//--------------------------------------------
+	var world = new WavePad.World(canvas, context, {seed: Date.now()});
+
+	var params = new URLSearchParams(window.location.search);
+
+	// Preferences and statistics, kept between visits (see settings.js). Options in the URL come first.
+	// Play as someone else with wavepad.html?profile=Alice (statistics are kept by profile).
+	var store = new WavePad.Settings.SettingsStore();
+	if(store.error)
+	{
+		console.log('Saved settings ignored: ' + store.error);
+	}
+	if(params.has('profile'))
+	{
+		try
+		{
+			store.setProfile(params.get('profile'));
+		}
+		catch(error)
+		{
+			console.log(error.message);
+		}
+	}
+
+	// Playtesters can pick the mode, the game mode and the computer's strategy in the URL. Ex: wavepad.html?mode=versus,
+	// wavepad.html?game=breakout (see World.games) or wavepad.html?difficulty=hard
+	var options = {};
+	['mode', 'game', 'difficulty'].forEach(function(name) {
+		if(params.has(name))
+		{
+			options[name] = params.get(name);
+		}
+	});
+
+	// More balls: wavepad.html?balls=multiball (see World.spawnerPresets).
+	if(params.has('balls'))
+	{
+		var spawner = WavePad.World.spawnerPresets[params.get('balls')];
+		if(spawner)
+		{
+			options.spawner = spawner;
+		}
+		else
+		{
+			console.log('Unknown balls: ' + params.get('balls') + '. Expected one of: '
+				+ Object.keys(WavePad.World.spawnerPresets).join(', '));
+		}
+	}
+
+	// Power-ups: wavepad.html?pickups (see Pickup.effects).
+	if(params.has('pickups'))
+	{
+		options.pickups = {enabled: true};
+	}
+	var urlOptions = options;
+	options = store.worldOptions(urlOptions);
+	try
+	{
+		world.init(options);
+	}
+	catch(error)
+	{
+		// Saved options the world refuses would break every visit: Forget them.
+		store.error = 'Saved options of the world dropped: ' + error.message;
+		console.log(store.error);
+		store.clearWorldOptions();
+		options = store.worldOptions(urlOptions);
+		world.init(options);
+	}
+
+	// Designers open the level editor with wavepad.html?editor (see editor.js).
+	var editor = null;
+	if(params.has('editor'))
+	{
+		var panel = document.getElementById('editor');
+		panel.classList.remove('hidden');
+		editor = new WavePad.Editor(world, {panel: panel});
+		editor.open();
+	}
+
+	// Online matches against someone else, hosted by the server (see net.js): wavepad.html?online
+	// Note: The arena stands still until the match starts. The server picks the seed and runs the match.
+	var online = null;
+	var onlinePanel = document.getElementById('online');
+	if(params.has('online') && onlinePanel)
+	{
+		onlinePanel.classList.remove('hidden');
+		var onlineStatus = onlinePanel.querySelector('.online-status');
+		online = new WavePad.Net.OnlineClient(world, {
+			onStatus: function(status, client) {
+				onlineStatus.textContent = client.message || onlineMessages[status] || '';
+			},
+		});
+		onlinePanel.querySelector('[data-command=create]').addEventListener('click', function() {
+			online.create({
+				balls: onlinePanel.querySelector('[name=balls]').value,
+				level: onlinePanel.querySelector('[name=level]').value,
+				pickups: onlinePanel.querySelector('[name=pickups]').checked,
+			});
+		});
+		onlinePanel.querySelector('[data-command=join]').addEventListener('click', function() {
+			online.join(onlinePanel.querySelector('[name=code]').value);
+		});
+	}
+
+	// Shown while not playing online.
+	var onlineMessages = {
+		idle: 'Create a room, or join one with its code',
+		connecting: 'Connecting...',
+		lobby: 'Create a room, or join one with its code',
+		closed: 'Not connected',
+	};
+
+	// Bundled levels live in solution1/levels. Ex: wavepad.html?level=pinball
+	// Note: The classic arena plays until the level is loaded.
+	var levelName = params.get('level');
+	if(levelName && /^[\w-]+$/.test(levelName))
+	{
+		fetch('/wavepad/solution1/levels/' + levelName + '.json')
+			.then(function(response) {
+				if( ! response.ok)
+				{
+					throw new Error('HTTP ' + response.status);
+				}
+				return response.text();
+			})
+			.then(function(text) {
+				if(editor)
+				{
+					editor.load(text);
+					return;
+				}
+				options.level = WavePad.Level.fromJSON(text);
+				world.init(options);
+			})
+			.catch(function(error) {
+				console.log('Failed to load level ' + levelName + ': ' + error.message);
+			});
+	}
+
+	// Size the canvas' backing store to its size on screen, times the device pixel ratio (sharp on HiDPI screens).
+	// The world keeps its logical size: it is only scaled and letterboxed (see World.fitTo).
+	// Note: Zooming the page changes the device pixel ratio and fires a resize event too.
+	var resize = function() {
+		var rect = canvas.getBoundingClientRect();
+		var ratio = window.devicePixelRatio || 1;
+		canvas.width = Math.max(1, Math.round(rect.width * ratio));
+		canvas.height = Math.max(1, Math.round(rect.height * ratio));
+
+		// Resizing the canvas resets its context.
+		world.fitTo(canvas.width, canvas.height);
+		if(replayPlayer)
+		{
+			replayPlayer.world.fitTo(canvas.width, canvas.height);
+		}
+		world.resetCartesianContext();
+	};
+	resize();
+
+	//--------------------------------------------
+	// Keyboard, gamepads and touch
+	//--------------------------------------------
+	// Player 1: Arrows, up or space to serve. Player 2: A/D, W to serve. Gamepads 1 and 2.
+	// Players added since the keys were saved (ex: players 3 and 4) get their default keys.
+	var keys = store.preferences().keys;
+	var input = new WavePad.Input({bindings: keys ? Object.assign({}, WavePad.Input.defaultBindings, keys) : null});
+	input.attach(window);
+
+	// Drag to move, tap to serve. On-screen buttons on touch screens (the top ones only make sense in versus mode).
+	var pointer = new WavePad.PointerControls(world, {
+		buttons: document.querySelectorAll('.touch-controls [data-action]'),
+	});
+	pointer.attach(canvas);
+	input.addSource(pointer);
+
+	if(editor)
+	{
+		editor.attach(canvas);
+	}
+
+	var player2Controls = document.querySelector('.player2-controls');
+	if(player2Controls && world.settings.mode != 'versus')
+	{
+		player2Controls.classList.add('hidden');
+	}
+
+	//--------------------------------------------
+	// Sound
+	//--------------------------------------------
+	// Sound effects follow the game events. Background music with wavepad.html?music (or the B key).
+	// Note: The mute setting is remembered between visits.
+	var audio = new WavePad.Audio({muted: store.preferences().sound.muted, music: params.has('music')});
+	audio.attach(world);
+
+	// Browsers only play sound once the player did something on the page.
+	var resumeAudio = function() {
+		audio.resume();
+	};
+	window.addEventListener("pointerdown", resumeAudio);
+
+	// Key to start a new online match, once the previous one is over.
+	var restartKey = 'Enter';
+
+	// Keys of the sound controls.
+	var soundKeys = {
+		mute: 'KeyM',
+		music: 'KeyB',
+	};
+
+	//--------------------------------------------
+	// Replays
+	//--------------------------------------------
+	// Every match is recorded. R downloads the replay of the current match (or of the last one).
+	// Drop a replay file on the page to watch it. The loop controls work while watching (pause, step, speed).
+	var recorder = new WavePad.Recorder(world);
+	recorder.attach();
+
+	// Replay being watched, or null while playing.
+	var replayPlayer = null;
+
+	// Keys while watching a replay.
+	var replayKeys = {
+		save: 'KeyR',
+		back: 'ArrowLeft',		// 5 seconds back.
+		forward: 'ArrowRight',	// 5 seconds forward.
+		start: 'Home',
+		quit: 'Escape',
+	};
+
+	var watchReplay = function(replay) {
+		replayPlayer = new WavePad.ReplayPlayer(replay, canvas, context);
+		replayPlayer.world.setTheme(world.theme);
+		loop.resume();
+	};
+
+	var quitReplay = function() {
+		replayPlayer = null;
+		world.resetCartesianContext();
+	};
+
+	// Apply the replay controls, while watching. Returns true when the key was used.
+	var controlReplay = function(code) {
+		switch(code)
+		{
+			case replayKeys.back:
+				replayPlayer.seekBy(-5);
+				return true;
+			case replayKeys.forward:
+				replayPlayer.seekBy(5);
+				return true;
+			case replayKeys.start:
+				replayPlayer.seek(0);
+				return true;
+			case replayKeys.quit:
+				quitReplay();
+				return true;
+			default:
+				return false;
+		}
+	};
+
+	var onDragOver = function(event) {
+		event.preventDefault();
+	};
+
+	var onDrop = function(event) {
+		event.preventDefault();
+		var files = event.dataTransfer ? event.dataTransfer.files : [];
+		if(files.length < 1)
+		{
+			return;
+		}
+		files[0].text()
+			.then(function(text) {
+				watchReplay(WavePad.Replay.fromJSON(text));
+			})
+			.catch(function(error) {
+				window.alert(error.message);
+			});
+	};
+
+	//--------------------------------------------
+	// Visual effects
+	//--------------------------------------------
+	// Trails, particles and screen shake, turned on and off in the settings.
+	var effects = new WavePad.Effects({enabled: store.preferences().effects});
+	effects.attach(world);
+
+	//--------------------------------------------
+	// Statistics
+	//--------------------------------------------
+	// Matches, rallies and goals of the profile, shown in the stats screen. Only the matches played here count:
+	// Online, the server plays the match.
+	var stats = new WavePad.Settings.StatsRecorder(store);
+	stats.attach(world);
+
+	//--------------------------------------------
+	// Scenes
+	//--------------------------------------------
+	// Title screen, menus, pause and game over (see scenes.js). The menus' choices start from the URL, then from
+	// the last visit.
+	var choices = Object.assign({}, store.preferences().choices);
+	['mode', 'difficulty'].forEach(function(name) {
+		if(options[name])
+		{
+			choices[name] = options[name];
+		}
+	});
+	// Game modes have their own entries in the menu (ex: ?game=breakout, or ?game=fourPlayers&mode=versus).
+	for(var name in WavePad.Scenes.SceneManager.MODES)
+	{
+		var entry = WavePad.Scenes.SceneManager.MODES[name].options;
+		if(options.game && entry.game == options.game && entry.mode == (options.mode || 'computer'))
+		{
+			choices.mode = name;
+		}
+	}
+
+	// Themes: wavepad.html?theme=highContrast (see World.themes).
+	var theme = params.get('theme');
+	if(theme && WavePad.World.themes.hasOwnProperty(theme))
+	{
+		choices.theme = theme;
+	}
+	var scenes = new WavePad.Scenes.SceneManager(world, {
+		input: input,
+		matchOptions: options,
+		choices: choices,
+		onStep: function() {
+			recorder.record();
+		},
+		effects: effects,
+		store: store,
+	});
+
+	// Links with game options (ex: ?mode=versus) and the level editor go straight to the match.
+	var skipTitle = ['mode', 'game', 'difficulty', 'balls', 'pickups', 'level', 'editor'].some(function(name) {
+		return params.has(name);
+	});
+	scenes.start(skipTitle ? new WavePad.Scenes.PlayScene() : new WavePad.Scenes.TitleScene());
+
+	// Scenes are on, unless something else holds the canvas (online match, replay or editor).
+	var scenesActive = function() {
+		return ! online && ! replayPlayer && ! (editor && editor.active);
+	};
+
+	var onCanvasPointerDown = function(event) {
+		if(scenesActive())
+		{
+			scenes.handlePointer(pointer.toWorld(event));
+		}
+	};
+	canvas.addEventListener("pointerdown", onCanvasPointerDown);
+
+	// Keys of the loop controls.
+	var controlKeys = {
+		pause: 'KeyP',
+		step: 'KeyN',		// One tick at a time, while paused.
+		slower: 'Minus',
+		faster: 'Equal',
+		normal: 'Digit0',	// Back to normal speed.
+	};
+
+	// Translate the keys and buttons currently down into abstract inputs for the world.
+	var readInputs = function() {
+		return input.read();
+	};
+
+	//--------------------------------------------
+	// The loop: Fixed timestep physics, interpolated rendering.
+	//--------------------------------------------
+	var loop = new WavePad.Loop({
+		update: function() {
+			// Online, the server runs the match: Send our inputs (the player 1 controls, whichever paddle is ours).
+			if(online)
+			{
+				online.tick(readInputs().player1);
+				return;
+			}
+			if(replayPlayer)
+			{
+				replayPlayer.step();
+				return;
+			}
+			// The layout stands still while editing.
+			if(editor && editor.active)
+			{
+				return;
+			}
+			scenes.update(readInputs());
+		},
+		render: function(alpha) {
+			if(online)
+			{
+				online.render(alpha);
+				if( ! online.isPlaying())
+				{
+					world.renderMessage(online.message || onlineMessages[online.status]);
+				}
+				else if(world.isMatchOver())
+				{
+					world.renderMessage('Press Enter to play again');
+				}
+				return;
+			}
+			if(replayPlayer)
+			{
+				replayPlayer.render(alpha);
+				if(loop.paused)
+				{
+					replayPlayer.world.renderMessage('Paused (P to resume, arrows to seek, Escape to quit)');
+				}
+				else if(loop.timeScale != 1)
+				{
+					replayPlayer.world.renderMessage('Speed x' + loop.timeScale);
+				}
+				else if(replayPlayer.isOver())
+				{
+					replayPlayer.world.renderMessage('End of the replay (Home to watch again, Escape to quit)');
+				}
+				return;
+			}
+			if(editor && editor.active)
+			{
+				editor.render();
+				return;
+			}
+			scenes.render(alpha);
+			if(loop.paused)
+			{
+				world.renderMessage('Paused (P to resume, N to step)');
+			}
+			else if(loop.timeScale != 1)
+			{
+				world.renderMessage('Speed x' + loop.timeScale);
+			}
+		},
+	});
+	// Rem: Created after the scenes, since it runs them.
+	scenes.loop = loop;
+
+	// Apply the loop controls. Returns true when the key was used.
+	var controlLoop = function(code) {
+		switch(code)
+		{
+			case controlKeys.pause:
+				loop.togglePause();
+				return true;
+			case controlKeys.step:
+				if(loop.paused)
+				{
+					loop.stepOnce();
+				}
+				return true;
+			case controlKeys.slower:
+				loop.setTimeScale(loop.timeScale / 2);
+				return true;
+			case controlKeys.faster:
+				loop.setTimeScale(loop.timeScale * 2);
+				return true;
+			case controlKeys.normal:
+				loop.setTimeScale(1);
+				return true;
+			default:
+				return false;
+		}
+	};
+
+	//--------------------------------------------
+	// Debug tools
+	//--------------------------------------------
+	// The backquote key shows the debug overlay and its console (see debug.js). Opened from the start with
+	// wavepad.html?debug
+	var debugKey = 'Backquote';
+	var debug = new WavePad.Debug.DebugOverlay({visible: params.has('debug')});
+	debug.attach(world);
+	debug.watch(loop);
+	var debugConsole = new WavePad.Debug.DebugConsole(world, {loop: loop, overlay: debug});
+
+	var debugPanel = document.getElementById('debug');
+	var debugLog = debugPanel ? debugPanel.querySelector('.debug-log') : null;
+	var debugCommand = debugPanel ? debugPanel.querySelector('[name=command]') : null;
+	var showDebugPanel = function() {
+		if(debugPanel)
+		{
+			debugPanel.classList.toggle('hidden', ! debug.visible);
+		}
+	};
+	showDebugPanel();
+
+	// Run the command typed in the console, with Enter. Newest lines last.
+	var onDebugCommand = function(event) {
+		if(event.key != 'Enter')
+		{
+			return;
+		}
+		var line = debugCommand.value;
+		var output;
+		try
+		{
+			output = debugConsole.execute(line);
+		}
+		catch(error)
+		{
+			output = error.message;
+		}
+		debugLog.textContent += '> ' + line + '\n' + (output ? output + '\n' : '');
+		debugLog.scrollTop = debugLog.scrollHeight;
+		debugCommand.value = '';
+	};
+	if(debugCommand)
+	{
+		debugCommand.addEventListener("keydown", onDebugCommand);
+	}
+
+	//--------------------------------------------
+	// Event listeners
+	//--------------------------------------------
+	// Note: Player actions are handled by the input layer. This is for the keys controlling the game itself.
+	var onKeyDown = function(event) {
+		if(event.repeat || input.pendingBinding)
+		{
+			return;
+		}
+		// Typing in a field (ex: the room code) isn't playing.
+		if(event.target && /^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName))
+		{
+			return;
+		}
+		audio.resume();
+		if(event.code == debugKey)
+		{
+			debug.toggle();
+			showDebugPanel();
+			return;
+		}
+		// Rem: Before the other keys, so that a key being bound in the settings does nothing else.
+		if(scenesActive() && scenes.handleKey(event.code))
+		{
+			event.preventDefault();
+			return;
+		}
+		if(event.code == soundKeys.mute)
+		{
+			store.setPreferences({sound: {muted: audio.toggleMute()}});
+			return;
+		}
+		if(event.code == soundKeys.music)
+		{
+			audio.toggleMusic();
+			return;
+		}
+		if(online)
+		{
+			// Rem: The loop controls don't apply, the server keeps the time.
+			if(event.code == restartKey && online.isPlaying() && world.isMatchOver())
+			{
+				online.restart();
+			}
+			return;
+		}
+		if(controlLoop(event.code))
+		{
+			return;
+		}
+		if(replayPlayer)
+		{
+			controlReplay(event.code);
+			return;
+		}
+		if(event.code == replayKeys.save)
+		{
+			recorder.save();
+		}
+	};
+
+	window.addEventListener("keydown", onKeyDown);
+	window.addEventListener("resize", resize);
+	window.addEventListener("dragover", onDragOver);
+	window.addEventListener("drop", onDrop);
+
+	//--------------------------------------------
+	// Start and tear down
+	//--------------------------------------------
+	var teardown = function() {
+		loop.destroy();
+		input.detach();
+		pointer.detach();
+		audio.destroy();
+		effects.detach();
+		stats.detach();
+		debug.detach();
+		recorder.detach();
+		canvas.removeEventListener("pointerdown", onCanvasPointerDown);
+		if(online)
+		{
+			online.close();
+		}
+		if(editor)
+		{
+			editor.detach();
+		}
+		if(debugCommand)
+		{
+			debugCommand.removeEventListener("keydown", onDebugCommand);
+		}
+		window.removeEventListener("keydown", onKeyDown);
+		window.removeEventListener("resize", resize);
+		window.removeEventListener("pointerdown", resumeAudio);
+		window.removeEventListener("dragover", onDragOver);
+		window.removeEventListener("drop", onDrop);
+	};
+
+	window.onload = function() {
+		loop.start();
+	};
+
+	// Rem: A page kept in the back/forward cache (event.persisted) comes back as it was left, the loop included.
+	// Only leaving it for good tears the game down.
+	var onPageHide = function(event) {
+		if( ! event.persisted)
+		{
+			teardown();
+		}
+	};
+	window.addEventListener("pagehide", onPageHide);
+
+	// Handle on the running game, for the browser console.
+	WavePad.game = {
+		world: world,
+		loop: loop,
+		input: input,
+		pointer: pointer,
+		audio: audio,
+		recorder: recorder,
+		editor: editor,
+		online: online,
+		scenes: scenes,
+		effects: effects,
+		store: store,
+		stats: stats,
+		debug: debug,
+		debugConsole: debugConsole,
+		watchReplay: watchReplay,
+		quitReplay: quitReplay,
+		teardown: teardown,
+	};
+
+}(window.WavePad));
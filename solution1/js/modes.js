@@ -0,0 +1,363 @@
+/**
+ * Game modes for WavePad: Breakout, Survival and four players, on top of the classic game (see GameMode).
+ *
+ * Each mode lays out its own arena, keeps its own score and decides when its match is over. Modes register
+ * themselves in World.games, then a match picks one by name: world.init({game: 'breakout'}).
+ *		breakout: Alone against rows of bricks. Bricks take a few hits to break, the top rows more. Break them all
+ *			before losing your lives.
+ *		survival: Alone against the clock. Obstacles pile up and balls get faster, up to a top speed: One point per
+ *			second survived.
+ *		fourPlayers: A square arena with a paddle and a goal on every side. The left and right paddles move up
+ *			and down (see Paddle.axis). Computers play them, or players 3 and 4 in versus mode (see Input).
+ * Rules of each mode are in its rules property. Ex: WavePad.Modes.Breakout.rules.lives = 5
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'));
+	}
+	else
+	{
+		root.WavePad.Modes = factory(root.WavePad);
+	}
+}(this, function (WavePad) {
+
+	var GameMode = WavePad.GameMode;
+	var TICKS_PER_SECOND = WavePad.TICKS_PER_SECOND;
+
+	//--------------------------------------------
+	// Brick
+	//--------------------------------------------
+	/**
+	 * A wall that breaks after a number of hits. It fades as it takes hits.
+	 * Note: points are credited to the player who breaks it.
+	 **/
+	function Brick(x, y, xLen, yLen, hitPoints, points)
+	{
+		WavePad.MovingWall.call(this, x, y, xLen, yLen);
+
+		if( ! (hitPoints >= 1))
+		{
+			throw new Error('Usage: hitPoints must be a number greater or equal to 1. Got: ' + hitPoints);
+		}
+		this.hitPoints = Math.round(hitPoints);
+		this.maxHitPoints = this.hitPoints;
+		this.points = isFinite(points) ? points : this.hitPoints;
+	}
+
+	Brick.prototype = Object.create(WavePad.MovingWall.prototype);
+	Brick.prototype.constructor = Brick;
+
+	// Take a hit. Returns true when the brick breaks.
+	Brick.prototype.hit = function(){
+		this.hitPoints = Math.max(0, this.hitPoints - 1);
+		return this.isBroken();
+	};
+
+	Brick.prototype.isBroken = function(){
+		return this.hitPoints <= 0;
+	};
+
+	Brick.prototype.render = function(world) {
+		var ctx = world.context;
+		ctx.globalAlpha = 0.35 + 0.65 * this.hitPoints / this.maxHitPoints;
+		WavePad.MovingWall.prototype.render.call(this, world);
+		ctx.globalAlpha = 1;
+	};
+
+	//--------------------------------------------
+	// Solo
+	//--------------------------------------------
+	/**
+	 * One player at the bottom, a wall at the top, and a few lives: Every ball in your goal costs one.
+	 * The match is over when no life is left. Nobody wins it (see GameMode.result).
+	 * Note: Base of the single player modes. Points and time limits of the match are off: Modes end the match.
+	 **/
+	function SoloMode()
+	{
+		GameMode.call(this);
+		this.lives = this.rules.lives;
+	}
+
+	SoloMode.prototype = Object.create(GameMode.prototype);
+	SoloMode.prototype.constructor = SoloMode;
+
+	SoloMode.prototype.rules = {
+		lives: 3,
+	};
+
+	SoloMode.prototype.setup = function(world){
+		var settings = world.settings;
+		world.players = [
+			new WavePad.Player(
+				new WavePad.Paddle(
+					world.xMiddle(),
+					Math.round(0.5 * settings.paddleYLen) + settings.goalYLen, //Bottom + Half the paddle + goal height.
+					settings.paddleXLen,
+					settings.paddleYLen
+				),
+				new WavePad.Goal(world.xMiddle(), 1, world.xLen(), settings.goalYLen),
+				'player1',
+				'You'
+			),
+		];
+		settings.match.pointsToWin = 0;
+		settings.match.timeLimit = 0;
+
+		// Lateral walls, closed at the top.
+		world.defaultWalls = world.getDefaultWalls().concat([
+			new WavePad.MovingWall(world.xMiddle(), world.yLen() - 5, world.xLen(), 10),
+		]);
+	};
+
+	SoloMode.prototype.scorePoint = function(world, ball, goal){
+		this.lives = Math.max(0, this.lives - 1);
+		return null;
+	};
+
+	SoloMode.prototype.result = function(world){
+		return this.lives > 0 ? null : {winner: null};
+	};
+
+	SoloMode.prototype.status = function(world){
+		return 'Lives ' + this.lives;
+	};
+
+	//--------------------------------------------
+	// Breakout
+	//--------------------------------------------
+	/**
+	 * Rows of bricks under the top wall. Bricks of the top rows take more hits (see rules.rows), and give as many
+	 * points. You win when every brick is broken. No random obstacles.
+	 * Note: Levels replace the walls of the arena (see Level.build), bricks included: Only the lives can end the
+	 *			match then.
+	 **/
+	function Breakout()
+	{
+		SoloMode.call(this);
+		this.bricks = [];
+	}
+
+	Breakout.prototype = Object.create(SoloMode.prototype);
+	Breakout.prototype.constructor = Breakout;
+
+	Breakout.rules = Breakout.prototype.rules = {
+		lives: 3,
+		rows: [3, 2, 2, 1, 1],	//Hits to break the bricks of each row, from the top.
+		columns: 10,
+		brickYLen: 16,
+		gap: 4,					//Space around bricks.
+		top: 40,					//Space between the top of the world and the first row.
+	};
+
+	Breakout.prototype.setup = function(world){
+		SoloMode.prototype.setup.call(this, world);
+		world.settings.obstacles.chance = 0;
+
+		// Keep clear of the waves of the lateral walls.
+		var rules = this.rules;
+		var bounds = world.getArenaBounds();
+		var margin = world.settings.wallWave.amplitude + rules.gap;
+		var xMin = bounds.xMin + margin;
+		var xLen = (bounds.xMax - margin - xMin) / rules.columns;
+		for(var row = 0; row < rules.rows.length; row++)
+		{
+			var y = world.yLen() - rules.top - (row + 0.5) * (rules.brickYLen + rules.gap);
+			for(var column = 0; column < rules.columns; column++)
+			{
+				this.bricks.push(new Brick(
+					xMin + (column + 0.5) * xLen,
+					y,
+					xLen - rules.gap,
+					rules.brickYLen,
+					rules.rows[row]
+				));
+			}
+		}
+		world.defaultWalls = world.defaultWalls.concat(this.bricks);
+	};
+
+	// Bricks the balls hit during this tick take a hit. Broken ones leave the arena.
+	Breakout.prototype.update = function(world){
+		var broken = [];
+		for(var i = 0; i < world.balls.length; i++)
+		{
+			var ball = world.balls[i];
+			for(var j = 0; ! ball.heldBy && j < ball.contacts.length; j++)
+			{
+				var brick = ball.contacts[j].surface;
+				if(brick instanceof Brick && ! brick.isBroken() && brick.hit())
+				{
+					(ball.sender || world.players[0]).score += brick.points;
+					broken.push(brick);
+				}
+			}
+		}
+		if(broken.length < 1)
+		{
+			return;
+		}
+
+		// Rem: New lists, so the world knows its walls changed (see World.surfacesNear).
+		var standing = function(wall) { return broken.indexOf(wall) < 0; };
+		this.bricks = this.bricks.filter(standing);
+		world.defaultWalls = world.defaultWalls.filter(standing);
+		world.walls = world.walls.filter(standing);
+	};
+
+	Breakout.prototype.result = function(world){
+		if(this.bricks.length < 1)
+		{
+			return {winner: world.players[0]};
+		}
+		return SoloMode.prototype.result.call(this, world);
+	};
+
+	//--------------------------------------------
+	// Survival
+	//--------------------------------------------
+	/**
+	 * Random obstacles never clear: They pile up, the oldest ones crumbling past rules.maxWalls. Every second, balls
+	 * and serves get a little faster and you score a point.
+	 * Note: Balls and serves never go faster than the physics.maxSpeed setting, or rules.maxSpeed when it is 0 (no
+	 *			limit): The match would never end otherwise.
+	 **/
+	function Survival()
+	{
+		SoloMode.call(this);
+	}
+
+	Survival.prototype = Object.create(SoloMode.prototype);
+	Survival.prototype.constructor = Survival;
+
+	Survival.rules = Survival.prototype.rules = {
+		lives: 3,
+		interval: 3,		//Seconds between new obstacles.
+		maxWalls: 12,		//Most random obstacles at once.
+		speedUp: 0.01,		//Share of speed gained every second.
+		maxSpeed: 16,		//Top speed of balls when the physics.maxSpeed setting is 0 (no limit).
+	};
+
+	Survival.prototype.setup = function(world){
+		SoloMode.prototype.setup.call(this, world);
+		var obstacles = world.settings.obstacles;
+		obstacles.interval = this.rules.interval;
+		obstacles.chance = 1;
+		obstacles.accumulateChance = 1;
+
+		var physics = world.settings.physics;
+		physics.maxSpeed = physics.maxSpeed > 0 ? physics.maxSpeed : this.rules.maxSpeed;
+		world.settings.spawner.speed = Math.min(world.settings.spawner.speed, physics.maxSpeed);
+	};
+
+	Survival.prototype.update = function(world){
+		if(world.randomWalls.length > this.rules.maxWalls)
+		{
+			world.randomWalls = world.randomWalls.slice(-1 * this.rules.maxWalls);
+			world.walls = world.defaultWalls.concat(world.randomWalls);
+		}
+
+		var maxSpeed = world.settings.physics.maxSpeed;
+		var rate = 1;
+		// Rem: The clock of the match moves on after us (see World.update).
+		if((world.match.ticks + 1) % TICKS_PER_SECOND == 0)
+		{
+			world.players[0].score++;
+			rate = 1 + this.rules.speedUp;
+			var spawner = world.settings.spawner;
+			spawner.speed = Math.min(spawner.speed * rate, maxSpeed);
+		}
+
+		// Rem: Every tick. Balls are only held to the top speed before they move (see Ball.applyForces): A paddle
+		// hit can throw them faster.
+		for(var i = 0; i < world.balls.length; i++)
+		{
+			var ball = world.balls[i];
+			var speed = Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy);
+			var target = Math.min(speed * rate, maxSpeed);
+			if(speed > 0 && target != speed)
+			{
+				// Rem: Same direction, only the speed changes.
+				ball.dx *= target / speed;
+				ball.dy *= target / speed;
+			}
+		}
+	};
+
+	//--------------------------------------------
+	// Four players
+	//--------------------------------------------
+	/**
+	 * A square arena, a paddle and a goal on each side, boxes in the corners. The top paddle is the usual opponent
+	 * (computer or player 2). The left and right ones move up and down: Computers, or players 3 and 4 in versus mode.
+	 * Scoring and the end of the match are the classic ones: The last player to touch the ball scores.
+	 **/
+	function FourPlayers()
+	{
+		GameMode.call(this);
+	}
+
+	FourPlayers.prototype = Object.create(GameMode.prototype);
+	FourPlayers.prototype.constructor = FourPlayers;
+
+	FourPlayers.prototype.size = {width: 560, height: 560};
+
+	FourPlayers.rules = FourPlayers.prototype.rules = {
+		corner: 60,		//Size of the boxes in the corners.
+		serveAngle: 30,	//Least angle of serves, in degrees (see World.defaultSettings.spawner): Straight serves would
+							//only ever meet one paddle.
+	};
+
+	FourPlayers.prototype.setup = function(world){
+		GameMode.prototype.setup.call(this, world);
+
+		var settings = world.settings;
+		settings.spawner.angle = Math.max(settings.spawner.angle, this.rules.serveAngle);
+
+		// The classic strategy only tracks balls sideways.
+		var versus = settings.mode == 'versus';
+		var difficulty = settings.difficulty == 'classic' ? 'hard' : settings.difficulty;
+		var x = settings.goalYLen + Math.round(0.5 * settings.paddleYLen);
+		var side = function(x, goalX, codeName, name) {
+			var paddle = new WavePad.Paddle(x, world.yMiddle(), settings.paddleYLen, settings.paddleXLen, 'y');
+			var goal = new WavePad.Goal(goalX, world.yMiddle(), settings.goalYLen, world.yLen());
+			return versus
+				? new WavePad.Player(paddle, goal, codeName, name)
+				: new WavePad.Computer(paddle, goal, codeName, name, WavePad.createStrategy(difficulty));
+		};
+		world.players = world.players.concat([
+			side(x, 1, 'player3', 'Left'),
+			side(world.xLen() - x, world.xLen() - 1, 'player4', 'Right'),
+		]);
+
+		// No lateral walls: Goals all around.
+		var c = this.rules.corner;
+		world.defaultWalls = [
+			new WavePad.MovingWall(0.5 * c, 0.5 * c, c, c),
+			new WavePad.MovingWall(world.xLen() - 0.5 * c, 0.5 * c, c, c),
+			new WavePad.MovingWall(0.5 * c, world.yLen() - 0.5 * c, c, c),
+			new WavePad.MovingWall(world.xLen() - 0.5 * c, world.yLen() - 0.5 * c, c, c),
+		];
+	};
+
+	//--------------------------------------------
+	// Registration
+	//--------------------------------------------
+	WavePad.World.games.breakout = Breakout;
+	WavePad.World.games.survival = Survival;
+	WavePad.World.games.fourPlayers = FourPlayers;
+
+	return {
+		Brick: Brick,
+		SoloMode: SoloMode,
+		Breakout: Breakout,
+		Survival: Survival,
+		FourPlayers: FourPlayers,
+	};
+
+}));
@@ -0,0 +1,644 @@
+/**
+ * Online play for WavePad: Two browsers, one match, played on a server (see solution1/server/server.js).
+ *
+ * The server is authoritative: It runs the only real simulation. Clients send their abstract inputs every tick
+ * (see World.step) and receive snapshots of the world. To feel responsive anyway:
+ *		- Prediction: The client moves its own paddle right away, with the same code as the server (Player.move).
+ *		- Reconciliation: Snapshots tell the last input the server applied. The client starts over from the server's
+ *			paddle and applies its inputs still on their way again.
+ *		- Interpolation: The opponent and the balls are shown a little in the past, between two snapshots, so they
+ *			move smoothly whatever the network does.
+ *
+ * Messages are JSON objects with a type:
+ *		client --> server: create {options}, join {code}, input {seq, input}, restart
+ *		server --> client: created {code}, start {code, codeName, options}, state {acks, snapshot},
+ *			restart {seed, ticks}, left, error {message}
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'), require('./levels.js'));
+	}
+	else
+	{
+		root.WavePad.Net = factory(root.WavePad, root.WavePad.Level);
+	}
+}(this, function (WavePad, Level) {
+
+	// Path of the WebSocket endpoint on the server.
+	var PATH = '/wavepad/online';
+
+	// Room codes: No letters that look alike (I and 1, O and 0).
+	var CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+	var CODE_LENGTH = 4;
+
+	function round(value)
+	{
+		return Math.round(100 * value) / 100;
+	}
+
+	function lerp(a, b, f)
+	{
+		return a + f * (b - a);
+	}
+
+	//--------------------------------------------
+	// Snapshots
+	//--------------------------------------------
+	// Walls as plain data, to rebuild them on the other side (see createWall).
+	function describeWall(wall)
+	{
+		if(wall instanceof WavePad.Wall)
+		{
+			return {
+				type: wall.face > 0 ? 'left' : 'right',
+				x: wall.x, y: wall.y, xLen: wall.xLen, yLen: wall.yLen,
+				wave: wall.wave,
+				t: wall.t,
+			};
+		}
+		if(wall instanceof WavePad.AngledWall)
+		{
+			return {type: 'angled', x: wall.x, y: wall.y, length: wall.length, thickness: wall.thickness, angle: wall.angle};
+		}
+		if(wall instanceof WavePad.MovingWall)
+		{
+			return {
+				type: 'moving',
+				x: wall.originX, y: wall.originY, xLen: wall.xLen, yLen: wall.yLen,
+				path: wall.path,
+				t: wall.t,
+			};
+		}
+		throw new Error('Usage: Unknown kind of wall. Got: ' + (wall && wall.constructor ? wall.constructor.name : wall));
+	}
+
+	function createWall(data)
+	{
+		var wall;
+		switch(data.type)
+		{
+			case 'left':
+				wall = new WavePad.LeftWall(data.x, data.y, data.xLen, data.yLen, data.wave);
+				break;
+			case 'right':
+				wall = new WavePad.RightWall(data.x, data.y, data.xLen, data.yLen, data.wave);
+				break;
+			case 'angled':
+				return new WavePad.AngledWall(data.x, data.y, data.length, data.thickness, data.angle);
+			case 'moving':
+				wall = new WavePad.MovingWall(data.x, data.y, data.xLen, data.yLen, data.path);
+				wall.moveTo(data.t);
+				wall.savePosition();
+				break;
+			default:
+				throw new Error('Usage: Unknown kind of wall. Got: ' + data.type);
+		}
+		wall.t = data.t;
+		return wall;
+	}
+
+	// State of the world, as plain data.
+	function takeSnapshot(world)
+	{
+		return {
+			match: {
+				ticks: world.match.ticks,
+				over: world.match.over,
+				winner: world.match.winner ? world.match.winner.codeName : null,
+			},
+			players: world.players.map(function(player) {
+				return {
+					codeName: player.codeName,
+					x: round(player.body.x),
+					y: player.body.y,
+					xLen: player.body.xLen,
+					score: player.score,
+					reversed: player.reversed,
+					shielded: player.goal.isShielded(),
+				};
+			}),
+			balls: world.balls.map(function(ball) {
+				return {
+					x: round(ball.x),
+					y: round(ball.y),
+					dx: round(ball.dx),
+					dy: round(ball.dy),
+					rotation: round(ball.rotation),
+					angle: round(ball.angle),
+					radius: ball.radius,
+					variant: ball.variant,
+					heldBy: ball.heldBy ? ball.heldBy.codeName : null,
+				};
+			}),
+			defaultWalls: world.defaultWalls.length,
+			walls: world.walls.map(describeWall),
+			wallsFrozen: world.wallsFrozen,
+			pickups: world.pickups.map(function(pickup) {
+				return {
+					x: pickup.x,
+					y: pickup.y,
+					radius: pickup.radius,
+					effect: pickup.effect,
+				};
+			}),
+			effects: world.effects.map(function(active) {
+				return {
+					name: active.name,
+					player: active.player.codeName,
+					expiresAt: active.expiresAt,
+				};
+			}),
+		};
+	}
+
+	// Put the world in the state of the given snapshot (see takeSnapshot).
+	// skip: Code name of a player whose paddle position is left alone (ex: the one predicted by the client).
+	// Note: For display only. The world isn't meant to be stepped afterwards.
+	function applySnapshot(world, snapshot, skip)
+	{
+		var playerOf = function(codeName) {
+			return world.players.find(function(player) { return player.codeName == codeName; }) || null;
+		};
+
+		world.match.ticks = snapshot.match.ticks;
+		world.match.over = snapshot.match.over;
+		world.match.winner = playerOf(snapshot.match.winner);
+
+		for(var i = 0; i < snapshot.players.length; i++)
+		{
+			var data = snapshot.players[i];
+			var player = playerOf(data.codeName);
+			if( ! player)
+			{
+				continue;
+			}
+			if(data.codeName != skip)
+			{
+				player.body.x = data.x;
+				player.body.y = data.y;
+				player.body.savePosition();
+			}
+			player.body.xLen = data.xLen;
+			player.score = data.score;
+			player.reversed = data.reversed;
+			player.goal.isSensor = ! data.shielded;
+		}
+		world.scores = world.players.map(function(player) { return player.score; });
+
+		world.balls = snapshot.balls.map(function(data) {
+			var ball = new WavePad.Ball(data.x, data.y, data.radius, data.variant);
+			ball.dx = data.dx;
+			ball.dy = data.dy;
+			ball.rotation = data.rotation;
+			ball.angle = data.angle;
+			ball.heldBy = playerOf(data.heldBy);
+			ball.savePosition();
+			return ball;
+		});
+
+		world.walls = snapshot.walls.map(createWall);
+		world.defaultWalls = world.walls.slice(0, snapshot.defaultWalls);
+		world.randomWalls = world.walls.slice(snapshot.defaultWalls);
+		world.wallsFrozen = snapshot.wallsFrozen;
+
+		world.pickups = snapshot.pickups.map(function(data) {
+			return new WavePad.Pickup(data.x, data.y, data.radius, data.effect);
+		});
+		world.effects = snapshot.effects
+			.filter(function(data) { return playerOf(data.player); })
+			.map(function(data) {
+				return {
+					name: data.name,
+					effect: WavePad.Pickup.effects[data.name],
+					player: playerOf(data.player),
+					state: null,
+					expiresAt: data.expiresAt,
+				};
+			});
+	}
+
+	//--------------------------------------------
+	// Options
+	//--------------------------------------------
+	// Options of a room, as chosen in the lobby: {balls: 'multiball', pickups: true, level: 'pinball'}
+	// Returns the options of World.init, as plain data (levels given by the loadLevel function, as JSON data).
+	function roomOptions(choices, loadLevel)
+	{
+		choices = choices || {};
+		var options = {mode: 'versus'};
+		if(choices.balls)
+		{
+			if( ! WavePad.World.spawnerPresets.hasOwnProperty(choices.balls))
+			{
+				throw new Error('Unknown balls: ' + choices.balls + '. Expected one of: '
+					+ Object.keys(WavePad.World.spawnerPresets).join(', '));
+			}
+			options.spawner = WavePad.World.spawnerPresets[choices.balls];
+		}
+		if(choices.pickups)
+		{
+			options.pickups = {enabled: true};
+		}
+		if(choices.level)
+		{
+			if( ! /^[\w-]+$/.test(choices.level))
+			{
+				throw new Error('Invalid level name: ' + choices.level);
+			}
+			options.level = new Level(loadLevel(choices.level)).data;
+		}
+		return options;
+	}
+
+	// Options of World.init from their plain data (see roomOptions).
+	function parseOptions(data)
+	{
+		var options = Object.assign({}, data);
+		if(options.level)
+		{
+			options.level = new Level(options.level);
+		}
+		return options;
+	}
+
+	function createCode(randomInt)
+	{
+		var code = '';
+		for(var i = 0; i < CODE_LENGTH; i++)
+		{
+			code += CODE_LETTERS[randomInt(CODE_LETTERS.length)];
+		}
+		return code;
+	}
+
+	// Only the actions the simulation knows about. Ex: {left: true, targetX: 312, targetY: 40}
+	function cleanInput(input)
+	{
+		input = input || {};
+		var clean = {
+			left: !! input.left,
+			right: !! input.right,
+			serve: !! input.serve,
+		};
+		if(isFinite(input.targetX))
+		{
+			clean.targetX = +input.targetX;
+		}
+		if(isFinite(input.targetY))
+		{
+			clean.targetY = +input.targetY;
+		}
+		return clean;
+	}
+
+	//--------------------------------------------
+	// OnlineClient
+	//--------------------------------------------
+	/**
+	 * Plays a match hosted by the server, showing it in the given world.
+	 * Options:
+	 *		url: Address of the server's WebSocket. Defaults to the page's server (see Net.PATH).
+	 *		WebSocket: WebSocket constructor. Defaults to window.WebSocket.
+	 *		interpolationDelay: How far in the past others are shown, in ms. Defaults to OnlineClient.INTERPOLATION_DELAY.
+	 *		now: function() Current time, in ms. Defaults to performance.now.
+	 *		onStatus: function(status, client) Called when the status changes (see OnlineClient.status).
+	 **/
+	function OnlineClient(world, options)
+	{
+		options = options || {};
+
+		this.world = world;
+		this.url = options.url || defaultUrl();
+		this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+		this.interpolationDelay = isFinite(options.interpolationDelay)
+			? options.interpolationDelay
+			: OnlineClient.INTERPOLATION_DELAY;
+		this.now = options.now || defaultNow;
+		this.onStatus = options.onStatus || function() {};
+
+		// idle, connecting, lobby (connected), waiting (for an opponent), playing, closed.
+		this.status = 'idle';
+		this.message = '';
+		this.socket = null;
+
+		// Room code, and the player we are in the room.
+		this.code = null;
+		this.codeName = null;
+
+		// Inputs sent, but not applied by the server yet: {seq, input}
+		this.seq = 0;
+		this.pending = [];
+
+		// Snapshots received, oldest first: {time, snapshot}
+		this.snapshots = [];
+
+		// Waiting for the connection to send a request.
+		this.queued = [];
+	}
+
+	OnlineClient.INTERPOLATION_DELAY = 100;
+
+	// Most inputs waiting for the server. Beyond, the connection is too slow anyway: Forget the oldest.
+	OnlineClient.MAX_PENDING = 120;
+
+	// How long snapshots are kept, in ms.
+	OnlineClient.BUFFER_DURATION = 1000;
+
+	function defaultUrl()
+	{
+		if(typeof location === 'undefined')
+		{
+			return 'ws://localhost:8080' + PATH;
+		}
+		return (location.protocol == 'https:' ? 'wss://' : 'ws://') + location.host + PATH;
+	}
+
+	function defaultNow()
+	{
+		return typeof performance !== 'undefined' ? performance.now() : Date.now();
+	}
+
+	OnlineClient.prototype.setStatus = function(status, message){
+		this.status = status;
+		this.message = message || '';
+		this.onStatus(status, this);
+	};
+
+	OnlineClient.prototype.connect = function(){
+		if(this.socket)
+		{
+			return;
+		}
+		if( ! this.WebSocket)
+		{
+			this.setStatus('closed', 'This browser can\'t play online (no WebSocket).');
+			return;
+		}
+		this.setStatus('connecting');
+		this.socket = new this.WebSocket(this.url);
+		this.socket.onopen = this.handleOpen.bind(this);
+		this.socket.onmessage = this.handleMessage.bind(this);
+		this.socket.onclose = this.handleClose.bind(this);
+	};
+
+	OnlineClient.prototype.close = function(){
+		if(this.socket)
+		{
+			this.socket.onclose = null;
+			this.socket.close();
+			this.socket = null;
+		}
+		this.setStatus('closed');
+	};
+
+	OnlineClient.prototype.send = function(message){
+		if(this.socket && this.socket.readyState === 1)
+		{
+			this.socket.send(JSON.stringify(message));
+		}
+		else
+		{
+			this.queued.push(message);
+			this.connect();
+		}
+	};
+
+	// Open a new room. Choices: {balls, pickups, level} (see roomOptions).
+	OnlineClient.prototype.create = function(choices){
+		this.send({type: 'create', options: choices || {}});
+	};
+
+	OnlineClient.prototype.join = function(code){
+		this.send({type: 'join', code: String(code || '').trim().toUpperCase()});
+	};
+
+	// Ask for a new match, once the current one is over.
+	OnlineClient.prototype.restart = function(){
+		this.send({type: 'restart'});
+	};
+
+	OnlineClient.prototype.isPlaying = function(){
+		return this.status == 'playing';
+	};
+
+	OnlineClient.prototype.localPlayer = function(){
+		var codeName = this.codeName;
+		return this.world.players.find(function(player) { return player.codeName == codeName; }) || null;
+	};
+
+	OnlineClient.prototype.handleOpen = function(){
+		this.setStatus('lobby');
+		var queued = this.queued;
+		this.queued = [];
+		for(var i = 0; i < queued.length; i++)
+		{
+			this.send(queued[i]);
+		}
+	};
+
+	OnlineClient.prototype.handleClose = function(){
+		this.socket = null;
+		this.setStatus('closed', 'Disconnected from the server.');
+	};
+
+	OnlineClient.prototype.handleMessage = function(event){
+		var message;
+		try
+		{
+			message = JSON.parse(event.data);
+		}
+		catch(error)
+		{
+			return;
+		}
+
+		switch(message.type)
+		{
+			case 'created':
+				this.code = message.code;
+				this.setStatus('waiting', 'Room ' + message.code + ': Waiting for an opponent.');
+				break;
+			case 'start':
+				this.start(message);
+				break;
+			case 'state':
+				this.receiveState(message);
+				break;
+			case 'restart':
+				this.startOver(message);
+				break;
+			case 'left':
+				this.setStatus('lobby', 'Your opponent left.');
+				break;
+			case 'error':
+				this.setStatus(this.status == 'playing' ? 'playing' : 'lobby', message.message);
+				break;
+		}
+	};
+
+	// Lay out the match the server is about to play.
+	OnlineClient.prototype.start = function(message){
+		this.code = message.code;
+		this.codeName = message.codeName;
+		this.seq = 0;
+		this.pending = [];
+		this.snapshots = [];
+		this.world.init(parseOptions(message.options));
+		this.setStatus('playing', 'Room ' + message.code + ': You are ' + this.localPlayer().name + '.');
+	};
+
+	// The server started a new match in the room: Forget the inputs and snapshots of the previous one.
+	// Note: Sequence numbers go on. The server counts the inputs of the previous match as applied.
+	OnlineClient.prototype.startOver = function(message){
+		if(this.status != 'playing')
+		{
+			return;
+		}
+		this.pending = [];
+		this.snapshots = [];
+		if(isFinite(message.seed))
+		{
+			this.world.reseed(message.seed);
+		}
+		this.world.restart();
+		this.world.match.ticks = message.ticks || 0;
+	};
+
+	// A new snapshot: Keep it to show it later, and set our paddle right.
+	OnlineClient.prototype.receiveState = function(message){
+		if(this.status != 'playing')
+		{
+			return;
+		}
+		var now = this.now();
+		this.snapshots.push({time: now, snapshot: message.snapshot});
+		while(this.snapshots.length > 2 && this.snapshots[1].time < now - OnlineClient.BUFFER_DURATION)
+		{
+			this.snapshots.shift();
+		}
+		this.reconcile(message.snapshot, message.acks[this.codeName] || 0);
+	};
+
+	// Start over from the paddle of the server, then apply the inputs it didn't get yet.
+	OnlineClient.prototype.reconcile = function(snapshot, ack){
+		var player = this.localPlayer();
+		var codeName = this.codeName;
+		var data = snapshot.players.find(function(p) { return p.codeName == codeName; });
+		if( ! player || ! data)
+		{
+			return;
+		}
+		this.pending = this.pending.filter(function(p) { return p.seq > ack; });
+
+		player.body.x = data.x;
+		player.body.xLen = data.xLen;
+		player.reversed = data.reversed;
+		for(var i = 0; i < this.pending.length; i++)
+		{
+			this.predict(this.pending[i].input);
+		}
+	};
+
+	OnlineClient.prototype.predict = function(input){
+		var player = this.localPlayer();
+		this.world.inputs = {};
+		this.world.inputs[this.codeName] = input;
+		player.move(this.world);
+	};
+
+	// One tick: Send our inputs and move our paddle right away.
+	OnlineClient.prototype.tick = function(input){
+		if(this.status != 'playing')
+		{
+			return;
+		}
+		input = cleanInput(input);
+		this.seq++;
+		this.send({type: 'input', seq: this.seq, input: input});
+
+		this.pending.push({seq: this.seq, input: input});
+		if(this.pending.length > OnlineClient.MAX_PENDING)
+		{
+			this.pending.shift();
+		}
+
+		this.localPlayer().body.savePosition();
+		this.predict(input);
+	};
+
+	// Show the world as it was interpolationDelay ms ago, except for our own paddle (predicted).
+	OnlineClient.prototype.render = function(alpha){
+		var world = this.world;
+		if(this.snapshots.length < 1)
+		{
+			world.render(alpha);
+			return;
+		}
+
+		// Snapshots around the time to show. Before the first one, or after the last one, show the closest.
+		var time = this.now() - this.interpolationDelay;
+		var next = this.snapshots.findIndex(function(s) { return s.time >= time; });
+		var to = this.snapshots[next < 0 ? this.snapshots.length - 1 : next];
+		var from = next > 0 ? this.snapshots[next - 1] : to;
+		var f = to.time > from.time ? (time - from.time) / (to.time - from.time) : 1;
+
+		applySnapshot(world, to.snapshot, this.codeName);
+
+		// Others: In between the two snapshots.
+		for(var i = 0; i < from.snapshot.players.length; i++)
+		{
+			var data = from.snapshot.players[i];
+			var player = world.players.find(function(p) { return p.codeName == data.codeName; });
+			if(player && player.codeName != this.codeName)
+			{
+				player.body.x = lerp(data.x, player.body.x, f);
+				player.body.savePosition();
+			}
+		}
+		if(from.snapshot.balls.length == world.balls.length)
+		{
+			for(var i = 0; i < world.balls.length; i++)
+			{
+				world.balls[i].x = lerp(from.snapshot.balls[i].x, world.balls[i].x, f);
+				world.balls[i].y = lerp(from.snapshot.balls[i].y, world.balls[i].y, f);
+				world.balls[i].angle = lerp(from.snapshot.balls[i].angle, world.balls[i].angle, f);
+				world.balls[i].savePosition();
+			}
+		}
+
+		// Our ball waits on our paddle, where we see it.
+		var local = this.localPlayer();
+		for(var i = 0; i < world.balls.length; i++)
+		{
+			if(world.balls[i].heldBy === local)
+			{
+				world.balls[i].x = local.body.renderX(alpha);
+				world.balls[i].savePosition();
+			}
+		}
+
+		world.render(alpha);
+	};
+
+	return {
+		PATH: PATH,
+		CODE_LETTERS: CODE_LETTERS,
+		CODE_LENGTH: CODE_LENGTH,
+		describeWall: describeWall,
+		createWall: createWall,
+		takeSnapshot: takeSnapshot,
+		applySnapshot: applySnapshot,
+		roomOptions: roomOptions,
+		parseOptions: parseOptions,
+		createCode: createCode,
+		cleanInput: cleanInput,
+		OnlineClient: OnlineClient,
+	};
+
+}));
@@ -0,0 +1,462 @@
+/**
+ * Replays for WavePad: Record a match, play it back, share it as a small JSON file.
+ *
+ * The simulation is deterministic: The same seed and the same inputs always play the same match. A replay is just
+ * the seed of the match and the inputs of every tick, run-length encoded (players hold keys for many ticks):
+ *
+ *		{
+ *			"version": 1,
+ *			"seed": 2718281828,
+ *			"size": {"width": 968, "height": 500},
+ *			"options": {"difficulty": "hard"},
+ *			"ticks": 5400,
+ *			"inputs": {
+ *				"player1": [[120, 0], [35, 1], [1, 4], [60, 8, 312.5], ...]
+ *			}
+ *		}
+ *
+ * Each run is [ticks, actions, targetX, targetY]: actions are bits (left 1, right 2, serve 4, targetX 8, targetY 16).
+ * targetX and targetY are only there with their bit, in that order (see PointerControls).
+ * Playing back means simulating the match again: Seeking backward starts over from the first tick.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'), require('./levels.js'));
+	}
+	else
+	{
+		var replay = factory(root.WavePad, root.WavePad.Level);
+		root.WavePad.Replay = replay.Replay;
+		root.WavePad.Recorder = replay.Recorder;
+		root.WavePad.ReplayPlayer = replay.ReplayPlayer;
+	}
+}(this, function (WavePad, Level) {
+
+	// Actions, by bit.
+	var ACTIONS = {
+		left: 1,
+		right: 2,
+		serve: 4,
+	};
+	var TARGET_X = 8;
+	var TARGET_Y = 16;
+
+	// Actions of a player for one tick, as a run of length 1. Ex: {left: true} --> [1, 1]
+	function encodeInput(input)
+	{
+		input = input || {};
+		var bits = 0;
+		for(var action in ACTIONS)
+		{
+			bits |= input[action] ? ACTIONS[action] : 0;
+		}
+		// Rem: Targets aren't rounded. A paddle a hundredth of a pixel away is enough to play another match.
+		var run = [1, bits];
+		if(isFinite(input.targetX))
+		{
+			run[1] |= TARGET_X;
+			run.push(input.targetX);
+		}
+		if(isFinite(input.targetY))
+		{
+			run[1] |= TARGET_Y;
+			run.push(input.targetY);
+		}
+		return run;
+	}
+
+	function decodeInput(run)
+	{
+		var input = {};
+		for(var action in ACTIONS)
+		{
+			input[action] = (run[1] & ACTIONS[action]) != 0;
+		}
+		var next = 2;
+		if(run[1] & TARGET_X)
+		{
+			input.targetX = run[next++];
+		}
+		if(run[1] & TARGET_Y)
+		{
+			input.targetY = run[next++];
+		}
+		return input;
+	}
+
+	// Options of World.init, as plain data. Levels are kept as their JSON description.
+	function serializeOptions(options)
+	{
+		var data = {};
+		for(var name in options)
+		{
+			if(name == 'level')
+			{
+				data.level = options.level ? options.level.data : null;
+			}
+			else
+			{
+				data[name] = options[name];
+			}
+		}
+		return JSON.parse(JSON.stringify(data));
+	}
+
+	function invalid(message)
+	{
+		return new Error('Invalid replay: ' + message);
+	}
+
+	// Throw an error telling what's wrong with the given replay data.
+	function validate(data)
+	{
+		if( ! data || typeof data !== 'object')
+		{
+			throw invalid('Expected an object. Got: ' + data);
+		}
+		if(data.version !== Replay.VERSION)
+		{
+			throw invalid('Unsupported version. Expected ' + Replay.VERSION + '. Got: ' + data.version);
+		}
+		if( ! (Number.isInteger(data.seed) && data.seed >= 0))
+		{
+			throw invalid('seed must be an integer greater or equal to 0. Got: ' + data.seed);
+		}
+		if( ! (data.size && data.size.width >= 1 && data.size.height >= 1))
+		{
+			throw invalid('size must have a width and height greater or equal to 1. Got: ' + JSON.stringify(data.size));
+		}
+		if( ! (Number.isInteger(data.ticks) && data.ticks >= 0))
+		{
+			throw invalid('ticks must be an integer greater or equal to 0. Got: ' + data.ticks);
+		}
+		if( ! data.inputs || typeof data.inputs !== 'object')
+		{
+			throw invalid('inputs must be an object, by player. Got: ' + data.inputs);
+		}
+		for(var codeName in data.inputs)
+		{
+			var runs = data.inputs[codeName];
+			var total = 0;
+			for(var i = 0; i < (Array.isArray(runs) ? runs.length : 0); i++)
+			{
+				var run = runs[i];
+				var targets = Array.isArray(run) ? ((run[1] & TARGET_X) ? 1 : 0) + ((run[1] & TARGET_Y) ? 1 : 0) : 0;
+				if( ! (Array.isArray(run) && Number.isInteger(run[0]) && run[0] >= 1 && Number.isInteger(run[1])
+					&& run.length == 2 + targets && run.slice(2).every(isFinite)))
+				{
+					throw invalid('inputs.' + codeName + '[' + i + '] must be [ticks, actions], followed by targetX and targetY'
+						+ ' when their bit is set. Got: ' + JSON.stringify(run));
+				}
+				total += run[0];
+			}
+			if(total != data.ticks)
+			{
+				throw invalid('inputs.' + codeName + ' must cover ' + data.ticks + ' ticks. Got: ' + total);
+			}
+		}
+	}
+
+	//--------------------------------------------
+	// Replay
+	//--------------------------------------------
+	/**
+	 * A recorded match, ready to be played back (see ReplayPlayer).
+	 * data: The replay description (see above). Throws an error when invalid.
+	 **/
+	function Replay(data)
+	{
+		validate(data);
+
+		// Keep our own copy: Changing the data afterwards doesn't change the replay.
+		this.data = JSON.parse(JSON.stringify(data));
+		this.seed = this.data.seed;
+		this.size = this.data.size;
+		this.ticks = this.data.ticks;
+
+		// Inputs of every tick, decoded once. Ticks of the same run share the same inputs.
+		this.frames = [];
+		for(var t = 0; t < this.ticks; t++)
+		{
+			this.frames.push({});
+		}
+		for(var codeName in this.data.inputs)
+		{
+			var t = 0;
+			var runs = this.data.inputs[codeName];
+			for(var i = 0; i < runs.length; i++)
+			{
+				var input = decodeInput(runs[i]);
+				for(var n = 0; n < runs[i][0]; n++, t++)
+				{
+					this.frames[t][codeName] = input;
+				}
+			}
+		}
+	}
+
+	// Version 2: Sub-pixel positions and spinning balls. Matches of version 1 would play differently.
+	Replay.VERSION = 2;
+
+	Replay.fromJSON = function(text){
+		var data;
+		try
+		{
+			data = JSON.parse(text);
+		}
+		catch(error)
+		{
+			throw invalid('Not valid JSON. ' + error.message);
+		}
+		return new Replay(data);
+	};
+
+	Replay.validate = validate;
+
+	Replay.prototype.toJSON = function(){
+		return JSON.stringify(this.data);
+	};
+
+	// Inputs of the given tick (see World.step).
+	Replay.prototype.inputsAt = function(tick){
+		return this.frames[tick] || {};
+	};
+
+	// Options of World.init playing this replay.
+	Replay.prototype.createOptions = function(){
+		var options = JSON.parse(JSON.stringify(this.data.options || {}));
+		if(options.level)
+		{
+			if( ! Level)
+			{
+				throw new Error('Usage: This replay plays on a level. Load levels.js first.');
+			}
+			options.level = new Level(options.level);
+		}
+		return options;
+	};
+
+	// Duration, in seconds.
+	Replay.prototype.duration = function(){
+		return this.ticks / WavePad.TICKS_PER_SECOND;
+	};
+
+	//--------------------------------------------
+	// Recorder
+	//--------------------------------------------
+	/**
+	 * Records the matches of a world, from their first tick. Call record after each tick (see World.step).
+	 * Note: Matches already started when the recorder is created aren't recorded. The next one will be.
+	 * Note: Only the current match and the previous one are kept.
+	 **/
+	function Recorder(world)
+	{
+		this.world = world;
+
+		// Recording of the current match, and of the previous one: {match, data}
+		this.current = null;
+		this.previous = null;
+
+		this.onMatchStarted = this.start.bind(this);
+
+		if(world.match.ticks == 0)
+		{
+			this.start();
+		}
+	}
+
+	// Listen to the world, to start a new recording with every match.
+	Recorder.prototype.attach = function(){
+		this.detach();
+		this.world.on('matchStarted', this.onMatchStarted);
+	};
+
+	Recorder.prototype.detach = function(){
+		this.world.off('matchStarted', this.onMatchStarted);
+	};
+
+	// Start recording the current match of the world.
+	// Note: Worlds with a custom random function can't be recorded (their seed is unknown).
+	Recorder.prototype.start = function(){
+		if(this.current && this.current.data.ticks > 0)
+		{
+			this.previous = this.current;
+		}
+		var match = this.world.match;
+		if(match.seed === null)
+		{
+			this.current = null;
+			return;
+		}
+		this.current = {
+			match: match,
+			data: {
+				version: Replay.VERSION,
+				seed: match.seed,
+				size: {width: this.world.size.width, height: this.world.size.height},
+				options: serializeOptions(this.world.options),
+				ticks: 0,
+				inputs: {},
+			},
+		};
+		for(var i = 0; i < this.world.players.length; i++)
+		{
+			if( ! this.world.players[i].isComputer())
+			{
+				this.current.data.inputs[this.world.players[i].codeName] = [];
+			}
+		}
+	};
+
+	// Add the inputs of the last tick of the world. Does nothing when no tick was played since the last call.
+	Recorder.prototype.record = function(){
+		var recording = this.current;
+		if( ! recording || recording.match !== this.world.match || this.world.match.ticks != recording.data.ticks + 1)
+		{
+			return;
+		}
+		recording.data.ticks++;
+
+		for(var codeName in recording.data.inputs)
+		{
+			var runs = recording.data.inputs[codeName];
+			var run = encodeInput(this.world.getInput(codeName));
+			var last = runs[runs.length - 1];
+			if(last && last[1] == run[1] && last[2] === run[2] && last[3] === run[3])
+			{
+				last[0]++;
+			}
+			else
+			{
+				runs.push(run);
+			}
+		}
+	};
+
+	// Replay of the current match, or of the previous one when the current one just started. null if none.
+	Recorder.prototype.replay = function(){
+		var recording = this.current && this.current.data.ticks > 0 ? this.current : this.previous;
+		return recording ? new Replay(recording.data) : null;
+	};
+
+	// Download the replay as a JSON file. Returns false when there is nothing to save.
+	Recorder.prototype.save = function(){
+		var replay = this.replay();
+		if( ! replay)
+		{
+			return false;
+		}
+		var blob = new Blob([replay.toJSON()], {type: 'application/json'});
+		var link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = 'wavepad-replay-' + replay.seed + '.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(link.href);
+		return true;
+	};
+
+	//--------------------------------------------
+	// ReplayPlayer
+	//--------------------------------------------
+	/**
+	 * Plays a replay back in a world of its own, one tick at a time (see ReplayPlayer.step).
+	 * Note: canvas and context are optional, as for World. Pause and speed are up to the loop driving step
+	 *			(see Loop.pause and Loop.setTimeScale).
+	 **/
+	function ReplayPlayer(replay, canvas, context)
+	{
+		this.replay = replay;
+		this.world = new WavePad.World(canvas, context, {
+			width: replay.size.width,
+			height: replay.size.height,
+			seed: replay.seed,
+		});
+
+		// Ticks played so far.
+		this.ticks = 0;
+		this.rewind();
+	}
+
+	// Back to the first tick.
+	ReplayPlayer.prototype.rewind = function(){
+		this.world.reseed(this.replay.seed);
+		this.world.init(this.replay.createOptions());
+		this.ticks = 0;
+	};
+
+	ReplayPlayer.prototype.isOver = function(){
+		return this.ticks >= this.replay.ticks;
+	};
+
+	// Play the next tick. Returns false at the end of the replay.
+	ReplayPlayer.prototype.step = function(){
+		if(this.isOver())
+		{
+			return false;
+		}
+		this.world.step(this.replay.inputsAt(this.ticks));
+		this.ticks++;
+		return true;
+	};
+
+	// Go to the given tick.
+	// Rem: Going back means playing again from the start: The simulation can't run backward.
+	ReplayPlayer.prototype.seek = function(tick){
+		tick = Math.max(0, Math.min(this.replay.ticks, Math.round(tick)));
+		if(tick < this.ticks)
+		{
+			this.rewind();
+		}
+		while(this.ticks < tick)
+		{
+			this.step();
+		}
+	};
+
+	// Move forward (or backward) by the given number of seconds.
+	ReplayPlayer.prototype.seekBy = function(seconds){
+		this.seek(this.ticks + seconds * WavePad.TICKS_PER_SECOND);
+	};
+
+	// Share of the replay played, in [0, 1].
+	ReplayPlayer.prototype.progress = function(){
+		return this.replay.ticks > 0 ? this.ticks / this.replay.ticks : 1;
+	};
+
+	// Draw the world, with a progress bar at the bottom.
+	ReplayPlayer.prototype.render = function(alpha){
+		var world = this.world;
+		world.render(alpha);
+
+		world.resetScreenContext();
+		var context = world.context;
+		context.fillStyle = world.color.wall;
+		context.fillRect(0, world.yLen() - 6, world.xLen(), 6);
+		context.fillStyle = world.color.primary;
+		context.fillRect(0, world.yLen() - 6, this.progress() * world.xLen(), 6);
+
+		context.font = world.font(12, 'normal');
+		context.textAlign = 'right';
+		context.fillText(
+			'Replay ' + (this.ticks / WavePad.TICKS_PER_SECOND).toFixed(1) + 's / ' + this.replay.duration().toFixed(1) + 's',
+			world.xLen() - 12,
+			world.yLen() - 14
+		);
+		world.resetCartesianContext();
+	};
+
+	return {
+		Replay: Replay,
+		Recorder: Recorder,
+		ReplayPlayer: ReplayPlayer,
+	};
+
+}));
@@ -0,0 +1,923 @@
+/**
+ * Scenes for WavePad: Title screen, menus, settings, pause and game over, all drawn on the game's canvas.
+ *
+ * A scene manager keeps a stack of scenes. The top scene gets the ticks and the commands, the scenes below it keep
+ * being drawn when the top one is an overlay (ex: the pause menu, over the frozen match).
+ *		Title --> Mode (vs computer, two players, practice, game modes) --> Play --> Pause / Game over
+ *		Title --> Settings (difficulty, match length, theme, visual effects, controls)
+ *		Title --> Stats (statistics of the profile, see settings.js)
+ *
+ * Commands are the same on every device: up, down, left, right, select, back and pause.
+ *		Keyboard: See SceneManager.KEYS. Gamepads: See SceneManager.BUTTONS (polled every tick).
+ *		Touch and mouse: Tap a menu item to select it, tap the pause button in the corner while playing.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(require('./wavepad.js'), require('./input.js'));
+	}
+	else
+	{
+		root.WavePad.Scenes = factory(root.WavePad, root.WavePad.Input);
+	}
+}(this, function (WavePad, Input) {
+
+	//--------------------------------------------
+	// SceneManager
+	//--------------------------------------------
+	/**
+	 * world: The world the scenes show and play.
+	 * Options:
+	 *		input: The input layer (see Input). Its gamepads navigate the menus, the settings rebind its keys.
+	 *		matchOptions: Options of World.init given to every match (ex: balls, pickups, level). Read when a match
+	 *			starts: Changes made afterwards apply to the next match.
+	 *		choices: Choices of the menus, overwriting SceneManager.defaultChoices. Ex: {mode: 'versus'}
+	 *		onStep: function() Called after every tick played (ex: to record the match).
+	 *		effects: The visual effects (see effects.js), turned on and off in the settings.
+	 *		store: Where the choices, visual effects and keys are kept between visits, and the statistics shown
+	 *			(see settings.js). Without it, nothing is kept and there are no statistics.
+	 *		loop: The loop running the scenes (see loop.js). Leaving the pause menu resumes it, so does pausing
+	 *			while it's paused (ex: from the debug console).
+	 **/
+	function SceneManager(world, options)
+	{
+		options = options || {};
+
+		this.world = world;
+		this.input = options.input || null;
+		this.matchOptions = options.matchOptions || {};
+		this.choices = Object.assign({}, SceneManager.defaultChoices, options.choices);
+		this.onStep = options.onStep || function() {};
+		this.effects = options.effects || null;
+		this.store = options.store || null;
+		this.loop = options.loop || null;
+
+		// Scenes, bottom first. The last one is the current scene.
+		this.stack = [];
+
+		// Commands held on gamepads at the last tick. Only new presses count.
+		this.padCommands = {};
+
+		this.applyTheme();
+	}
+
+	SceneManager.COMMANDS = ['up', 'down', 'left', 'right', 'select', 'back', 'pause'];
+
+	// Keys of each command (KeyboardEvent.code).
+	SceneManager.KEYS = {
+		up: ['ArrowUp', 'KeyW'],
+		down: ['ArrowDown', 'KeyS'],
+		left: ['ArrowLeft', 'KeyA'],
+		right: ['ArrowRight', 'KeyD'],
+		select: ['Enter', 'Space'],
+		back: ['Escape', 'Backspace'],
+		pause: ['KeyP'],
+	};
+
+	// Buttons of each command, in the standard gamepad layout (see Input.BUTTONS).
+	SceneManager.BUTTONS = {
+		up: [12],		// D-pad
+		down: [13],
+		left: [14],
+		right: [15],
+		select: [0],	// A (or cross)
+		back: [1],		// B (or circle)
+		pause: [9],		// Start
+	};
+
+	// Stick position beyond which the stick counts as a d-pad press.
+	SceneManager.STICK_THRESHOLD = 0.5;
+
+	// Ways to play, as options of World.init over the matchOptions.
+	SceneManager.MODES = {
+		computer: {label: 'Vs computer', options: {mode: 'computer', game: 'classic'}},
+		versus: {label: 'Two players', options: {mode: 'versus', game: 'classic'}},
+		practice: {label: 'Practice', options: {mode: 'computer', game: 'classic', match: {pointsToWin: 0, timeLimit: 0}}},
+		// Game modes of modes.js (see World.games).
+		breakout: {label: 'Breakout', options: {mode: 'computer', game: 'breakout'}},
+		survival: {label: 'Survival', options: {mode: 'computer', game: 'survival'}},
+		fourPlayers: {label: 'Four sides (vs computers)', options: {mode: 'computer', game: 'fourPlayers'}},
+		fourPlayersVersus: {label: 'Four sides (4 players)', options: {mode: 'versus', game: 'fourPlayers'}},
+	};
+
+	SceneManager.DIFFICULTIES = ['classic', 'easy', 'medium', 'hard', 'juggler'];
+
+	// Match lengths offered in the settings, in points (see World.defaultSettings.match.pointsToWin).
+	SceneManager.MATCH_LENGTHS = [3, 5, 7, 11, 21];
+
+	SceneManager.defaultChoices = {
+		mode: 'computer',
+		difficulty: 'classic',
+		pointsToWin: 7,
+		theme: 'classic',
+	};
+
+	SceneManager.prototype.current = function(){
+		return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+	};
+
+	SceneManager.prototype.push = function(scene){
+		this.stack.push(scene);
+		scene.enter(this);
+	};
+
+	SceneManager.prototype.pop = function(){
+		var scene = this.stack.pop();
+		if(scene)
+		{
+			scene.exit();
+		}
+		return scene || null;
+	};
+
+	// Forget every scene, then show the given one.
+	SceneManager.prototype.start = function(scene){
+		while(this.stack.length > 0)
+		{
+			this.pop();
+		}
+		this.push(scene);
+	};
+
+	// Options of World.init for a match with the current choices.
+	SceneManager.prototype.createOptions = function(){
+		var mode = SceneManager.MODES[this.choices.mode];
+		if( ! mode)
+		{
+			throw new Error('Usage: Unknown mode. Expected one of: ' + Object.keys(SceneManager.MODES).join(', ')
+				+ '. Got: ' + this.choices.mode);
+		}
+		var options = Object.assign({}, this.matchOptions, mode.options, {difficulty: this.choices.difficulty});
+		options.match = Object.assign(
+			{pointsToWin: this.choices.pointsToWin},
+			this.matchOptions.match,
+			mode.options.match
+		);
+		return options;
+	};
+
+	// Start a new match with the current choices.
+	SceneManager.prototype.play = function(){
+		this.world.init(this.createOptions());
+		this.start(new PlayScene());
+	};
+
+	SceneManager.prototype.applyTheme = function(){
+		this.world.setTheme(this.choices.theme);
+	};
+
+	// Keep the choices, the visual effects and the keys for the next visit.
+	SceneManager.prototype.savePreferences = function(){
+		if( ! this.store)
+		{
+			return;
+		}
+		var preferences = {choices: this.choices};
+		if(this.effects)
+		{
+			preferences.effects = this.effects.enabled;
+		}
+		if(this.input)
+		{
+			preferences.keys = this.input.bindings;
+		}
+		this.store.setPreferences(preferences);
+	};
+
+	// Give a command to the current scene. Returns true when it was used.
+	SceneManager.prototype.command = function(name){
+		if(SceneManager.COMMANDS.indexOf(name) < 0)
+		{
+			throw new Error('Usage: Unknown command. Expected one of: ' + SceneManager.COMMANDS.join(', ') + '. Got: ' + name);
+		}
+		// Rem: The match is already frozen, the pause menu would only hide it.
+		if(name == 'pause' && this.loop && this.loop.paused)
+		{
+			this.loop.resume();
+			return true;
+		}
+		var scene = this.current();
+		return scene ? scene.command(name) : false;
+	};
+
+	// A key was pressed (KeyboardEvent.code). Returns true when it was used.
+	SceneManager.prototype.handleKey = function(code){
+		var scene = this.current();
+		if( ! scene)
+		{
+			return false;
+		}
+		if(scene.handleKey(code))
+		{
+			return true;
+		}
+		for(var name in SceneManager.KEYS)
+		{
+			if(SceneManager.KEYS[name].indexOf(code) >= 0 && this.command(name))
+			{
+				return true;
+			}
+		}
+		return false;
+	};
+
+	// A tap or a click, in world coordinates (see PointerControls.toWorld). Returns true when it was used.
+	SceneManager.prototype.handlePointer = function(position){
+		var scene = this.current();
+		return scene ? scene.pointAt(position) : false;
+	};
+
+	// Commands held on the connected gamepads.
+	SceneManager.prototype.readGamepads = function(){
+		var held = {};
+		var pads = this.input ? this.input.getGamepads() || [] : [];
+		for(var i = 0; i < pads.length; i++)
+		{
+			var pad = pads[i];
+			if( ! pad || ! pad.connected)
+			{
+				continue;
+			}
+			for(var name in SceneManager.BUTTONS)
+			{
+				if(SceneManager.BUTTONS[name].some(function(b) { return pad.buttons[b] && pad.buttons[b].pressed; }))
+				{
+					held[name] = true;
+				}
+			}
+			var axes = pad.axes || [];
+			var threshold = SceneManager.STICK_THRESHOLD;
+			held.left = held.left || axes[0] < -1 * threshold;
+			held.right = held.right || axes[0] > threshold;
+			held.up = held.up || axes[1] < -1 * threshold;
+			held.down = held.down || axes[1] > threshold;
+		}
+		return held;
+	};
+
+	// One tick: Gamepad commands, then the current scene.
+	// inputs: Abstract inputs of the players for this tick (see Input.read).
+	SceneManager.prototype.update = function(inputs){
+		var held = this.readGamepads();
+		for(var name in held)
+		{
+			if(held[name] && ! this.padCommands[name])
+			{
+				this.command(name);
+			}
+		}
+		this.padCommands = held;
+
+		var scene = this.current();
+		if(scene)
+		{
+			scene.update(inputs);
+		}
+	};
+
+	// Draw the current scene, over the scenes below it while it's an overlay.
+	SceneManager.prototype.render = function(alpha){
+		var first = this.stack.length - 1;
+		while(first > 0 && this.stack[first].overlay)
+		{
+			first--;
+		}
+		for(var i = Math.max(0, first); i < this.stack.length; i++)
+		{
+			this.stack[i].render(alpha);
+		}
+	};
+
+	//--------------------------------------------
+	// Scene
+	//--------------------------------------------
+	// Base of every scene. Scenes only do something once entered (see SceneManager.push).
+	function Scene()
+	{
+		this.manager = null;
+	}
+
+	// Overlays are drawn over the scene below them.
+	Scene.prototype.overlay = false;
+
+	Scene.prototype.enter = function(manager){
+		this.manager = manager;
+	};
+
+	Scene.prototype.exit = function(){};
+
+	Scene.prototype.update = function(inputs){};
+
+	Scene.prototype.render = function(alpha){};
+
+	// Returns true when the command was used.
+	Scene.prototype.command = function(name){
+		return false;
+	};
+
+	// Raw keys, before they turn into commands (ex: rebinding a key). Returns true when the key was used.
+	Scene.prototype.handleKey = function(code){
+		return false;
+	};
+
+	// Returns true when the tap was used.
+	Scene.prototype.pointAt = function(position){
+		return false;
+	};
+
+	//--------------------------------------------
+	// MenuScene
+	//--------------------------------------------
+	/**
+	 * A title and a list of items to pick from.
+	 * items: {label, select, change}
+	 *		label: Text of the item, or function() returning it (ex: a setting and its value).
+	 *		select: function() Called when the item is picked. Defaults to change(1).
+	 *		change: function(delta) Optional. Left and right change the value of the item (delta is -1 or 1).
+	 **/
+	function MenuScene(title, items)
+	{
+		Scene.call(this);
+		this.title = title;
+		this.subtitle = '';
+		this.items = items || [];
+		this.selected = 0;
+
+		// Boxes of the items, as last drawn (screen orientation, in world units), to find the tapped item.
+		this.boxes = [];
+	}
+
+	MenuScene.prototype = Object.create(Scene.prototype);
+	MenuScene.prototype.constructor = MenuScene;
+
+	MenuScene.ITEM_HEIGHT = 32;
+	MenuScene.ITEM_WIDTH = 360;
+	MenuScene.HINT = 'Arrows to choose, Enter to select, Escape to go back';
+
+	MenuScene.prototype.labelOf = function(item){
+		return typeof item.label === 'function' ? item.label() : item.label;
+	};
+
+	MenuScene.prototype.selectItem = function(index){
+		var item = this.items[index];
+		if( ! item)
+		{
+			return false;
+		}
+		this.selected = index;
+		if(item.select)
+		{
+			item.select();
+		}
+		else if(item.change)
+		{
+			item.change(1);
+		}
+		return true;
+	};
+
+	// Going back: The previous scene. Overwrite for menus with nowhere to go back to.
+	MenuScene.prototype.back = function(){
+		if(this.manager.stack.length < 2)
+		{
+			return false;
+		}
+		this.manager.pop();
+		return true;
+	};
+
+	MenuScene.prototype.command = function(name){
+		var count = this.items.length;
+		var item = this.items[this.selected];
+		switch(name)
+		{
+			case 'up':
+				this.selected = (this.selected + count - 1) % count;
+				return true;
+			case 'down':
+				this.selected = (this.selected + 1) % count;
+				return true;
+			case 'left':
+			case 'right':
+				if(item && item.change)
+				{
+					item.change(name == 'left' ? -1 : 1);
+					return true;
+				}
+				return false;
+			case 'select':
+				return this.selectItem(this.selected);
+			case 'back':
+				return this.back();
+			default:
+				return false;
+		}
+	};
+
+	MenuScene.prototype.pointAt = function(position){
+		// Rem: Boxes are in the screen's orientation (y going down).
+		var x = position.x;
+		var y = this.manager.world.yLen() - position.y;
+		for(var i = 0; i < this.boxes.length; i++)
+		{
+			var box = this.boxes[i];
+			if(x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height)
+			{
+				return this.selectItem(i);
+			}
+		}
+		return false;
+	};
+
+	MenuScene.prototype.render = function(alpha){
+		var world = this.manager.world;
+		var ctx = world.context;
+
+		// Menus that aren't overlays show the arena, frozen, behind them.
+		if( ! this.overlay)
+		{
+			world.render(1);
+		}
+
+		world.resetScreenContext();
+		ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+		ctx.fillRect(0, 0, world.xLen(), world.yLen());
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'middle';
+
+		// Long menus (ex: the settings) get narrower rows to fit.
+		var height = Math.min(MenuScene.ITEM_HEIGHT, Math.floor((world.yLen() - 140) / Math.max(1, this.items.length)));
+		var width = MenuScene.ITEM_WIDTH;
+		var titleY = Math.max(50, world.yMiddle() - 0.5 * height * this.items.length - 50);
+		ctx.fillStyle = world.color.primary;
+		ctx.font = world.font(32);
+		ctx.fillText(this.title, world.xMiddle(), titleY);
+		if(this.subtitle)
+		{
+			ctx.font = world.font(14);
+			ctx.fillText(this.subtitle, world.xMiddle(), titleY + 36);
+		}
+
+		var top = titleY + (this.subtitle ? 64 : 48);
+		ctx.font = world.font(16);
+		this.boxes = [];
+		for(var i = 0; i < this.items.length; i++)
+		{
+			var box = {x: world.xMiddle() - 0.5 * width, y: top + i * height, width: width, height: height - 4};
+			this.boxes.push(box);
+			if(i == this.selected)
+			{
+				ctx.fillStyle = world.color.primary;
+				ctx.fillRect(box.x, box.y, box.width, box.height);
+				ctx.fillStyle = '#000000';
+			}
+			else
+			{
+				ctx.fillStyle = world.color.primary;
+			}
+			ctx.fillText(this.labelOf(this.items[i]), world.xMiddle(), box.y + 0.5 * box.height);
+		}
+
+		ctx.font = world.font(12, 'normal');
+		ctx.fillStyle = world.color.primary;
+		ctx.fillText(this.hint(), world.xMiddle(), world.yLen() - 20);
+
+		ctx.textBaseline = 'alphabetic';
+		world.resetCartesianContext();
+	};
+
+	// Help line at the bottom of the menu.
+	MenuScene.prototype.hint = function(){
+		return MenuScene.HINT;
+	};
+
+	//--------------------------------------------
+	// Menus
+	//--------------------------------------------
+	// Where everything starts.
+	function TitleScene()
+	{
+		MenuScene.call(this, 'WavePad', []);
+		this.subtitle = 'Slow start. Mad game.';
+	}
+
+	TitleScene.prototype = Object.create(MenuScene.prototype);
+	TitleScene.prototype.constructor = TitleScene;
+
+	TitleScene.prototype.enter = function(manager){
+		MenuScene.prototype.enter.call(this, manager);
+		this.items = [
+			{label: 'Play', select: function() { manager.push(new ModeScene()); }},
+			{label: 'Settings', select: function() { manager.push(new SettingsScene()); }},
+		];
+		if(manager.store)
+		{
+			this.items.push({label: 'Stats', select: function() { manager.push(new StatsScene()); }});
+		}
+	};
+
+	// Pick a way to play, and play.
+	function ModeScene()
+	{
+		var self = this;
+		var items = Object.keys(SceneManager.MODES).map(function(name) {
+			return {
+				label: SceneManager.MODES[name].label,
+				select: function() {
+					self.manager.choices.mode = name;
+					self.manager.savePreferences();
+					self.manager.play();
+				},
+			};
+		});
+		items.push({label: 'Back', select: function() { self.back(); }});
+		MenuScene.call(this, 'Play', items);
+	}
+
+	ModeScene.prototype = Object.create(MenuScene.prototype);
+	ModeScene.prototype.constructor = ModeScene;
+
+	ModeScene.prototype.enter = function(manager){
+		MenuScene.prototype.enter.call(this, manager);
+		this.selected = Math.max(0, Object.keys(SceneManager.MODES).indexOf(manager.choices.mode));
+	};
+
+	// Value after the given one in a list, in the given direction, going around.
+	function cycle(list, value, delta)
+	{
+		var index = list.indexOf(value);
+		return list[(index + delta + list.length) % list.length];
+	}
+
+	// Words of a camel case name, for people. Ex: highContrast --> high contrast
+	function words(name)
+	{
+		return name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+	}
+
+	// Name of a key, for people. Ex: KeyA --> A, ArrowLeft --> Left arrow
+	function keyLabel(code)
+	{
+		return code.replace(/^(Key|Digit)/, '').replace(/^Arrow(\w+)/, '$1 arrow');
+	}
+
+	/**
+	 * Difficulty of the computer, match length, theme, visual effects and keys.
+	 * Rem: Keys are rebound here, rather than with Input.listenForBinding, so the key pressed never reaches the menu.
+	 **/
+	function SettingsScene()
+	{
+		MenuScene.call(this, 'Settings', []);
+
+		// Waiting for a key to bind: {codeName, action}
+		this.binding = null;
+	}
+
+	SettingsScene.prototype = Object.create(MenuScene.prototype);
+	SettingsScene.prototype.constructor = SettingsScene;
+
+	SettingsScene.prototype.enter = function(manager){
+		MenuScene.prototype.enter.call(this, manager);
+		var choices = manager.choices;
+
+		this.items = [
+			{
+				label: function() { return 'Difficulty: ' + choices.difficulty; },
+				change: function(delta) {
+					choices.difficulty = cycle(SceneManager.DIFFICULTIES, choices.difficulty, delta);
+				},
+			},
+			{
+				label: function() { return 'Match: First to ' + choices.pointsToWin; },
+				change: function(delta) {
+					choices.pointsToWin = cycle(SceneManager.MATCH_LENGTHS, choices.pointsToWin, delta);
+				},
+			},
+			{
+				label: function() { return 'Theme: ' + words(choices.theme); },
+				change: function(delta) {
+					choices.theme = cycle(Object.keys(WavePad.World.themes), choices.theme, delta);
+					manager.applyTheme();
+				},
+			},
+		];
+
+		var effects = manager.effects;
+		if(effects)
+		{
+			this.items.push(
+				this.effectItem('Trails', 'trails'),
+				this.effectItem('Particles', 'particles'),
+				this.effectItem('Screen shake', 'shake')
+			);
+		}
+
+		var input = manager.input;
+		if(input)
+		{
+			for(var codeName in input.bindings)
+			{
+				for(var i = 0; i < Input.ACTIONS.length; i++)
+				{
+					this.items.push(this.bindingItem(codeName, Input.ACTIONS[i]));
+				}
+			}
+		}
+		var self = this;
+		this.items.push({label: 'Back', select: function() { self.back(); }});
+	};
+
+	SettingsScene.prototype.exit = function(){
+		this.manager.savePreferences();
+	};
+
+	SettingsScene.prototype.effectItem = function(label, name){
+		var effects = this.manager.effects;
+		return {
+			label: function() { return label + ': ' + (effects.enabled[name] ? 'on' : 'off'); },
+			change: function() { effects.toggle(name); },
+		};
+	};
+
+	SettingsScene.prototype.bindingItem = function(codeName, action){
+		var input = this.manager.input;
+		var player = codeName.replace(/^player(\d+)$/, 'Player $1');
+		var self = this;
+		return {
+			label: function() {
+				return player + ' ' + action + ': ' + (input.bindings[codeName][action] || []).map(keyLabel).join(', ');
+			},
+			select: function() {
+				self.binding = {codeName: codeName, action: action, player: player};
+			},
+		};
+	};
+
+	SettingsScene.prototype.handleKey = function(code){
+		if( ! this.binding)
+		{
+			return false;
+		}
+		var binding = this.binding;
+		this.binding = null;
+		if(code != 'Escape')
+		{
+			this.manager.input.unbindKey(code);
+			this.manager.input.bind(binding.codeName, binding.action, [code]);
+		}
+		return true;
+	};
+
+	// Touch and gamepads can't pick a key: They only cancel.
+	SettingsScene.prototype.command = function(name){
+		if(this.binding)
+		{
+			this.binding = null;
+			return true;
+		}
+		return MenuScene.prototype.command.call(this, name);
+	};
+
+	SettingsScene.prototype.hint = function(){
+		if(this.binding)
+		{
+			return 'Press a key for ' + this.binding.player + ' ' + this.binding.action + ' (Escape to cancel)';
+		}
+		return 'Left and right to change a setting, Enter to pick a key';
+	};
+
+	/**
+	 * Statistics of the current profile (see settings.js). Left and right switch profiles.
+	 * Note: Resetting the statistics takes a second press, in case of a slip.
+	 **/
+	function StatsScene()
+	{
+		MenuScene.call(this, 'Stats', []);
+		this.confirmingReset = false;
+	}
+
+	StatsScene.prototype = Object.create(MenuScene.prototype);
+	StatsScene.prototype.constructor = StatsScene;
+
+	StatsScene.prototype.enter = function(manager){
+		MenuScene.prototype.enter.call(this, manager);
+		this.build();
+	};
+
+	// Items for the statistics of the current profile.
+	StatsScene.prototype.build = function(){
+		var self = this;
+		var store = this.manager.store;
+		var stats = store.stats.bind(store);
+		var layouts = Object.keys(stats().goalsByLayout);
+
+		this.items = [
+			{
+				label: function() { return 'Profile: ' + store.data.profile; },
+				change: function(delta) {
+					store.setProfile(cycle(store.profileNames(), store.data.profile, delta));
+					self.build();
+				},
+			},
+			{label: function() { return 'Matches: ' + stats().matchesPlayed + ' played, ' + stats().matchesWon + ' won'; }},
+			{label: function() {
+				return 'Points: ' + stats().pointsScored + ' scored, ' + stats().pointsConceded + ' conceded';
+			}},
+			{label: function() { return 'Longest rally: ' + stats().longestRally + ' hits'; }},
+			{label: function() { return 'Fastest ball: ' + stats().fastestBall + ' units/s'; }},
+		];
+		for(var i = 0; i < layouts.length; i++)
+		{
+			this.items.push(this.layoutItem(layouts[i]));
+		}
+		this.items.push(
+			{label: 'Export as JSON', select: function() { store.downloadStats(); }},
+			{
+				label: function() { return self.confirmingReset ? 'Reset stats? Select again to confirm' : 'Reset stats'; },
+				select: function() {
+					if(self.confirmingReset)
+					{
+						store.resetStats();
+						self.build();
+						self.selected = self.items.length - 2;
+					}
+					self.confirmingReset = ! self.confirmingReset;
+				},
+			},
+			{label: 'Back', select: function() { self.back(); }}
+		);
+		this.selected = Math.min(this.selected, this.items.length - 1);
+	};
+
+	StatsScene.prototype.layoutItem = function(layout){
+		var store = this.manager.store;
+		return {
+			label: function() { return 'Goals in ' + words(layout) + ': ' + (store.stats().goalsByLayout[layout] || 0); },
+		};
+	};
+
+	StatsScene.prototype.command = function(name){
+		if(name != 'select')
+		{
+			this.confirmingReset = false;
+		}
+		return MenuScene.prototype.command.call(this, name);
+	};
+
+	StatsScene.prototype.hint = function(){
+		return 'Left and right to switch profiles';
+	};
+
+	//--------------------------------------------
+	// Play
+	//--------------------------------------------
+	// The match itself. The pause button in the corner is for touch screens.
+	function PlayScene()
+	{
+		Scene.call(this);
+	}
+
+	PlayScene.prototype = Object.create(Scene.prototype);
+	PlayScene.prototype.constructor = PlayScene;
+
+	// Size of the pause button, in world units.
+	PlayScene.BUTTON_SIZE = 32;
+
+	PlayScene.prototype.update = function(inputs){
+		var world = this.manager.world;
+		world.step(inputs);
+		this.manager.onStep();
+		if(world.isMatchOver())
+		{
+			this.manager.push(new GameOverScene());
+		}
+	};
+
+	PlayScene.prototype.command = function(name){
+		if(name == 'pause' || name == 'back')
+		{
+			this.manager.push(new PauseScene());
+			return true;
+		}
+		return false;
+	};
+
+	// Box of the pause button: Top right corner, in the screen's orientation.
+	PlayScene.prototype.buttonBox = function(){
+		var world = this.manager.world;
+		var size = PlayScene.BUTTON_SIZE;
+		return {x: world.getArenaBounds().xMax - size - 8, y: 8, width: size, height: size};
+	};
+
+	PlayScene.prototype.pointAt = function(position){
+		var box = this.buttonBox();
+		var y = this.manager.world.yLen() - position.y;
+		if(position.x >= box.x && position.x <= box.x + box.width && y >= box.y && y <= box.y + box.height)
+		{
+			return this.command('pause');
+		}
+		return false;
+	};
+
+	PlayScene.prototype.render = function(alpha){
+		var world = this.manager.world;
+		var ctx = world.context;
+		world.render(alpha);
+
+		var box = this.buttonBox();
+		var bar = 0.25 * box.width;
+		world.resetScreenContext();
+		ctx.strokeStyle = world.color.primary;
+		ctx.lineWidth = 2;
+		ctx.strokeRect(box.x, box.y, box.width, box.height);
+		ctx.fillStyle = world.color.primary;
+		ctx.fillRect(box.x + bar, box.y + bar, 0.6 * bar, box.height - 2 * bar);
+		ctx.fillRect(box.x + box.width - 1.6 * bar, box.y + bar, 0.6 * bar, box.height - 2 * bar);
+		world.resetCartesianContext();
+	};
+
+	// Over the frozen match.
+	function PauseScene()
+	{
+		var self = this;
+		MenuScene.call(this, 'Paused', [
+			{label: 'Resume', select: function() { self.manager.pop(); }},
+			{label: 'Restart', select: function() {
+				self.manager.world.restart();
+				self.manager.pop();
+			}},
+			{label: 'Quit', select: function() { self.manager.start(new TitleScene()); }},
+		]);
+	}
+
+	PauseScene.prototype = Object.create(MenuScene.prototype);
+	PauseScene.prototype.constructor = PauseScene;
+	PauseScene.prototype.overlay = true;
+
+	// Pause again to resume.
+	PauseScene.prototype.command = function(name){
+		if(name == 'pause')
+		{
+			this.manager.pop();
+			return true;
+		}
+		return MenuScene.prototype.command.call(this, name);
+	};
+
+	// Rem: Whichever way the menu is left (ex: Escape while the loop was paused), the match goes on.
+	PauseScene.prototype.exit = function(){
+		if(this.manager.loop)
+		{
+			this.manager.loop.resume();
+		}
+	};
+
+	// The result, and what's next.
+	function GameOverScene()
+	{
+		var self = this;
+		MenuScene.call(this, '', [
+			{label: 'Rematch', select: function() { self.manager.play(); }},
+			{label: 'Change mode', select: function() {
+				self.manager.start(new TitleScene());
+				self.manager.push(new ModeScene());
+			}},
+			{label: 'Title screen', select: function() { self.manager.start(new TitleScene()); }},
+		]);
+	}
+
+	GameOverScene.prototype = Object.create(MenuScene.prototype);
+	GameOverScene.prototype.constructor = GameOverScene;
+	GameOverScene.prototype.overlay = true;
+
+	GameOverScene.prototype.enter = function(manager){
+		MenuScene.prototype.enter.call(this, manager);
+		var world = manager.world;
+		this.title = world.match.winner ? world.match.winner.name + ' won!' : 'Game over';
+		this.subtitle = world.players.map(function(player) { return player.name + ' ' + player.score; }).join(' / ');
+	};
+
+	// Nowhere to go back to: The match is over.
+	GameOverScene.prototype.back = function(){
+		return false;
+	};
+
+	return {
+		SceneManager: SceneManager,
+		Scene: Scene,
+		MenuScene: MenuScene,
+		TitleScene: TitleScene,
+		ModeScene: ModeScene,
+		SettingsScene: SettingsScene,
+		StatsScene: StatsScene,
+		PlayScene: PlayScene,
+		PauseScene: PauseScene,
+		GameOverScene: GameOverScene,
+	};
+
+}));
@@ -0,0 +1,735 @@
+/**
+ * Settings and statistics for WavePad, kept between visits.
+ *
+ * The store keeps the player's preferences (choices of the menus, visual effects, keys, sound and options of the
+ * world) and the statistics of each profile, in localStorage. Everything is validated on the way in: Bad options
+ * throw an error naming the bad field, bad preferences in storage are dropped (the game starts with the defaults,
+ * the statistics are kept).
+ * Stored data carries a version. Data of older versions is upgraded (see SettingsStore.migrations).
+ *
+ * Statistics follow the game events (see World.on): matches played and won, points, longest rally, fastest ball
+ * and goals in each arena. The local player is player 1.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory(
+			require('./wavepad.js'),
+			require('./input.js'),
+			require('./effects.js'),
+			require('./scenes.js')
+		);
+	}
+	else
+	{
+		root.WavePad.Settings = factory(root.WavePad, root.WavePad.Input, root.WavePad.Effects, root.WavePad.Scenes);
+	}
+}(this, function (WavePad, Input, Effects, Scenes) {
+
+	//--------------------------------------------
+	// Validation
+	//--------------------------------------------
+	function invalid(field, expected, value)
+	{
+		var error = new Error('Invalid settings: ' + field + ' must be ' + expected + '. Got: ' + JSON.stringify(value));
+		error.field = field;
+		return error;
+	}
+
+	function isPlainObject(value)
+	{
+		return value !== null && typeof value === 'object' && ! Array.isArray(value);
+	}
+
+	function checkObject(field, value)
+	{
+		if( ! isPlainObject(value))
+		{
+			throw invalid(field, 'an object', value);
+		}
+	}
+
+	function checkOneOf(field, list, value)
+	{
+		if(list.indexOf(value) < 0)
+		{
+			throw invalid(field, 'one of ' + list.join(', '), value);
+		}
+	}
+
+	// Ranges of the numeric options of the world, by path. Values the world accepts and the game can be played with:
+	// A saved value the world refuses would break the game on every visit (ex: wallWave.wavelength 0).
+	// Note: Numeric options without a range here can't be kept.
+	var LIMITS = {
+		'ballRadius': [1, 40],
+		'goalYLen': [1, 40],
+		'paddleXLen': [10, 400],
+		'paddleYLen': [2, 40],
+		'wallXLen': [1, 400],
+		'ballRestitution': [0, 1],
+		'paddleSpin': [0, 1],
+		'serveTimeout': [0, 60],
+		'broadPhase.cellSize': [0, 1000],
+		'broadPhase.minWalls': [0, 1000],
+		'physics.paddleFriction': [0, 1],
+		'physics.paddleRestitution': [0, 1],
+		'physics.magnus': [0, 0.1],
+		'physics.spinDecay': [0, 1],
+		'physics.drag': [0, 1],
+		'physics.maxSpeed': [0, 100],
+		'wallWave.amplitude': [0, 100],
+		'wallWave.frequency': [-10, 10],
+		'wallWave.phase': [-100, 100],
+		'wallWave.wavelength': [1, 10000],
+		'match.pointsToWin': [0, 99],
+		'match.timeLimit': [0, 3600],
+		'obstacles.interval': [0.1, 60],
+		'obstacles.chance': [0, 1],
+		'obstacles.accumulateChance': [0, 1],
+		'spawner.max': [1, 50],
+		'spawner.interval': [0, 60],
+		'spawner.speed': [0.5, 20],
+		'spawner.angle': [0, 80],
+		'pickups.interval': [0.1, 60],
+		'pickups.chance': [0, 1],
+		'pickups.max': [0, 20],
+		'pickups.lifetime': [0.1, 600],
+		'pickups.radius': [1, 40],
+	};
+
+	// Options of the world taking one of a few strings, by path.
+	var ENUMS = {
+		'mode': function() { return WavePad.World.MODES; },
+		'game': function() { return Object.keys(WavePad.World.games); },
+		'difficulty': function() { return Scenes.SceneManager.DIFFICULTIES; },
+		'spawner.from': function() { return ['server', 'center']; },
+		'spawner.serveTo': function() { return ['alternate', 'loser']; },
+	};
+
+	// Odds by name, by path: The names they may have.
+	var ODDS = {
+		'spawner.variants': function() { return Object.keys(WavePad.Ball.variants); },
+		'pickups.effects': function() { return Object.keys(WavePad.Pickup.effects); },
+	};
+
+	// Options of World.init that can be kept: Same type as their default (see World.defaultSettings), groups of
+	// options one level deep. Options without a plain default (ex: level) can't be kept.
+	function validateWorldOptions(options)
+	{
+		checkObject('world', options);
+		for(var key in options)
+		{
+			validateWorldOption(key, WavePad.World.defaultSettings[key], options[key]);
+		}
+	}
+
+	function validateWorldOption(path, defaultValue, value)
+	{
+		var field = 'world.' + path;
+		if(ODDS.hasOwnProperty(path))
+		{
+			checkObject(field, value);
+			for(var name in value)
+			{
+				checkOneOf(field + ' names', ODDS[path](), name);
+				if( ! (isFinite(value[name]) && value[name] >= 0))
+				{
+					throw invalid(field + '.' + name, 'a number greater or equal to 0', value[name]);
+				}
+			}
+			return;
+		}
+		if(isPlainObject(defaultValue) && path.indexOf('.') < 0)
+		{
+			checkObject(field, value);
+			for(var key in value)
+			{
+				validateWorldOption(path + '.' + key, defaultValue[key], value[key]);
+			}
+			return;
+		}
+		switch(typeof defaultValue)
+		{
+			case 'number':
+				var limits = LIMITS[path];
+				if( ! limits)
+				{
+					throw invalid(field, 'one of the options that can be saved', value);
+				}
+				if( ! (typeof value === 'number' && value >= limits[0] && value <= limits[1]))
+				{
+					throw invalid(field, 'a number in [' + limits.join(', ') + ']', value);
+				}
+				return;
+			case 'boolean':
+				if(typeof value !== 'boolean')
+				{
+					throw invalid(field, 'true or false', value);
+				}
+				return;
+			case 'string':
+				if(ENUMS.hasOwnProperty(path))
+				{
+					checkOneOf(field, ENUMS[path](), value);
+				}
+				else if(typeof value !== 'string')
+				{
+					throw invalid(field, 'a string', value);
+				}
+				return;
+			default:
+				throw invalid(field, 'one of the options that can be saved', value);
+		}
+	}
+
+	function validateChoices(choices)
+	{
+		checkObject('choices', choices);
+		var checks = {
+			mode: function(value) { checkOneOf('choices.mode', Object.keys(Scenes.SceneManager.MODES), value); },
+			difficulty: function(value) { checkOneOf('choices.difficulty', Scenes.SceneManager.DIFFICULTIES, value); },
+			pointsToWin: function(value) { checkOneOf('choices.pointsToWin', Scenes.SceneManager.MATCH_LENGTHS, value); },
+			theme: function(value) { checkOneOf('choices.theme', Object.keys(WavePad.World.themes), value); },
+		};
+		for(var name in choices)
+		{
+			checkOneOf('choices', Object.keys(checks), name);
+			checks[name](choices[name]);
+		}
+	}
+
+	function validateEffects(effects)
+	{
+		checkObject('effects', effects);
+		for(var name in effects)
+		{
+			checkOneOf('effects', Effects.NAMES, name);
+			if(typeof effects[name] !== 'boolean')
+			{
+				throw invalid('effects.' + name, 'true or false', effects[name]);
+			}
+		}
+	}
+
+	function isKeyCode(code)
+	{
+		return typeof code === 'string' && code.length > 0;
+	}
+
+	// Key bindings, as in Input.bindings. Ex: {player1: {left: ['ArrowLeft'], ...}, ...}
+	function validateKeys(keys)
+	{
+		checkObject('keys', keys);
+		for(var codeName in keys)
+		{
+			if( ! /^player\d+$/.test(codeName))
+			{
+				throw invalid('keys', 'bindings by player code name (ex: player1)', codeName);
+			}
+			checkObject('keys.' + codeName, keys[codeName]);
+			for(var action in keys[codeName])
+			{
+				var field = 'keys.' + codeName + '.' + action;
+				checkOneOf('keys.' + codeName, Input.ACTIONS, action);
+				var codes = keys[codeName][action];
+				if( ! (Array.isArray(codes) && codes.every(isKeyCode)))
+				{
+					throw invalid(field, 'a list of key codes (KeyboardEvent.code)', codes);
+				}
+			}
+		}
+	}
+
+	function validateSound(sound)
+	{
+		checkObject('sound', sound);
+		for(var name in sound)
+		{
+			checkOneOf('sound', ['muted'], name);
+			if(typeof sound[name] !== 'boolean')
+			{
+				throw invalid('sound.' + name, 'true or false', sound[name]);
+			}
+		}
+	}
+
+	// Statistics of a profile, as made by emptyStats.
+	function validateStats(field, stats)
+	{
+		checkObject(field, stats);
+		var empty = emptyStats();
+		for(var name in empty)
+		{
+			if(name == 'goalsByLayout')
+			{
+				checkObject(field + '.' + name, stats[name]);
+				for(var layout in stats[name])
+				{
+					checkCount(field + '.' + name + '.' + layout, stats[name][layout]);
+				}
+			}
+			else
+			{
+				checkCount(field + '.' + name, stats[name]);
+			}
+		}
+	}
+
+	function checkCount(field, value)
+	{
+		if( ! (typeof value === 'number' && isFinite(value) && value >= 0))
+		{
+			throw invalid(field, 'a number greater or equal to 0', value);
+		}
+	}
+
+	function emptyStats()
+	{
+		return {
+			matchesPlayed: 0,
+			matchesWon: 0,
+			pointsScored: 0,
+			pointsConceded: 0,
+			longestRally: 0,	//Most paddle hits of a ball, from its serve to a goal.
+			fastestBall: 0,	//Fastest ball off a paddle, in world units per second.
+			goalsByLayout: {},	//Goals in each arena, by name. Ex: {classic: 12, Pinball: 3}
+		};
+	}
+
+	//--------------------------------------------
+	// SettingsStore
+	//--------------------------------------------
+	/**
+	 * Options:
+	 *		storage: Where the settings are kept between visits (an object like localStorage). Defaults to
+	 *			window.localStorage. null to forget them.
+	 *		key: Key of the settings in storage. Defaults to SettingsStore.STORAGE_KEY.
+	 * Note: Settings saved by a newer version of the game are left alone: The game starts with the defaults, and
+	 *			doesn't save over them. So are settings of an older version without a migration (see salvage).
+	 **/
+	function SettingsStore(options)
+	{
+		options = options || {};
+
+		this.storage = options.hasOwnProperty('storage') ? options.storage : defaultStorage();
+		this.key = options.key || SettingsStore.STORAGE_KEY;
+
+		// Why the stored settings were dropped, or null.
+		this.error = null;
+		this.writable = true;
+
+		this.data = this.load();
+	}
+
+	SettingsStore.VERSION = 1;
+
+	SettingsStore.STORAGE_KEY = 'wavepad.settings';
+
+	SettingsStore.DEFAULT_PROFILE = 'Player';
+
+	// Functions upgrading stored data by one version, by version: migrations[n] turns data of version n into data
+	// of version n + 1. Add one whenever the format changes, then bump SettingsStore.VERSION.
+	SettingsStore.migrations = {};
+
+	/**
+	 * Preferences, by section:
+	 *		choices: Choices of the menus (see SceneManager.defaultChoices).
+	 *		effects: Visual effects turned on, by name (see Effects.defaultEnabled).
+	 *		keys: Key bindings by player (see Input.bindings). null for Input.defaultBindings.
+	 *		sound: {muted} (see Audio.setMuted).
+	 *		world: Options of World.init over its defaults (see World.defaultSettings). Ex: {ballRadius: 10}
+	 **/
+	SettingsStore.defaultPreferences = function(){
+		return {
+			choices: Object.assign({}, Scenes.SceneManager.defaultChoices),
+			effects: Object.assign({}, Effects.defaultEnabled),
+			keys: null,
+			sound: {muted: false},
+			world: {},
+		};
+	};
+
+	SettingsStore.validatePreferences = function(preferences){
+		checkObject('preferences', preferences);
+		var checks = {
+			choices: validateChoices,
+			effects: validateEffects,
+			keys: function(keys) {
+				if(keys !== null)
+				{
+					validateKeys(keys);
+				}
+			},
+			sound: validateSound,
+			world: validateWorldOptions,
+		};
+		for(var section in preferences)
+		{
+			checkOneOf('preferences', Object.keys(checks), section);
+			checks[section](preferences[section]);
+		}
+	};
+
+	SettingsStore.validate = function(data){
+		checkObject('settings', data);
+		if(data.version !== SettingsStore.VERSION)
+		{
+			throw invalid('version', SettingsStore.VERSION, data.version);
+		}
+		SettingsStore.validatePreferences(data.preferences);
+		SettingsStore.validateProfiles(data);
+	};
+
+	// The profiles of stored data, and the current one.
+	SettingsStore.validateProfiles = function(data){
+		if( ! (typeof data.profile === 'string' && data.profile.length > 0))
+		{
+			throw invalid('profile', 'a non empty string', data.profile);
+		}
+		checkObject('profiles', data.profiles);
+		for(var name in data.profiles)
+		{
+			validateStats('profiles.' + name, data.profiles[name]);
+		}
+	};
+
+	// Rem: Reading localStorage throws when the browser blocks it (ex: some private modes).
+	function defaultStorage()
+	{
+		try
+		{
+			return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+		}
+		catch(error)
+		{
+			return null;
+		}
+	}
+
+	SettingsStore.prototype.defaults = function(){
+		var data = {
+			version: SettingsStore.VERSION,
+			preferences: SettingsStore.defaultPreferences(),
+			profile: SettingsStore.DEFAULT_PROFILE,
+			profiles: {},
+		};
+		data.profiles[data.profile] = emptyStats();
+		return data;
+	};
+
+	// Settings in storage, upgraded to the current version. The defaults when there are none, or they're invalid
+	// (see salvage).
+	SettingsStore.prototype.load = function(){
+		var text = null;
+		try
+		{
+			text = this.storage ? this.storage.getItem(this.key) : null;
+		}
+		catch(error)
+		{
+			text = null;
+		}
+		if(text === null)
+		{
+			return this.defaults();
+		}
+		var data = null;
+		try
+		{
+			data = SettingsStore.migrate(JSON.parse(text));
+			if(data.version > SettingsStore.VERSION)
+			{
+				this.writable = false;
+				throw new Error('Settings saved by a newer version of the game (version ' + data.version + ').');
+			}
+		}
+		catch(error)
+		{
+			this.error = error.message;
+			return this.defaults();
+		}
+		try
+		{
+			SettingsStore.validate(data);
+
+			// Preferences added since they were saved get their defaults.
+			data.preferences = Object.assign(SettingsStore.defaultPreferences(), data.preferences);
+			data.preferences.choices = Object.assign(SettingsStore.defaultPreferences().choices, data.preferences.choices);
+			data.profiles[data.profile] = data.profiles[data.profile] || emptyStats();
+			return data;
+		}
+		catch(error)
+		{
+			this.error = error.message;
+			return this.salvage(data);
+		}
+	};
+
+	/**
+	 * The defaults, with the statistics of stored data that didn't validate. Only the preferences are lost.
+	 * Note: Data of an older version without a migration is left alone in storage: A later version may know how to
+	 *			read it. The game plays with what could be kept, and doesn't save over it.
+	 **/
+	SettingsStore.prototype.salvage = function(data){
+		var salvaged = this.defaults();
+		if(data.version !== SettingsStore.VERSION)
+		{
+			this.writable = false;
+		}
+		try
+		{
+			SettingsStore.validateProfiles(data);
+		}
+		catch(error)
+		{
+			return salvaged;
+		}
+		salvaged.profile = data.profile;
+		salvaged.profiles = data.profiles;
+		salvaged.profiles[data.profile] = data.profiles[data.profile] || emptyStats();
+		return salvaged;
+	};
+
+	// Upgrade stored data to the current version, one version at a time.
+	SettingsStore.migrate = function(data){
+		checkObject('settings', data);
+		while(data.version < SettingsStore.VERSION && SettingsStore.migrations.hasOwnProperty(data.version))
+		{
+			data = SettingsStore.migrations[data.version](data);
+		}
+		return data;
+	};
+
+	SettingsStore.prototype.save = function(){
+		if( ! this.writable)
+		{
+			return false;
+		}
+		try
+		{
+			if(this.storage)
+			{
+				this.storage.setItem(this.key, JSON.stringify(this.data));
+			}
+			return true;
+		}
+		catch(error)
+		{
+			// Full or blocked storage: Remember for this session only.
+			return false;
+		}
+	};
+
+	SettingsStore.prototype.preferences = function(){
+		return this.data.preferences;
+	};
+
+	/**
+	 * Change some preferences, and save them. Ex: store.setPreferences({choices: {theme: 'ice'}})
+	 * Note: Sections are merged with the preferences saved before (options of the world one level deep, as in
+	 *			World.init), except for the keys, replaced as a whole. Throws an error on invalid preferences.
+	 **/
+	SettingsStore.prototype.setPreferences = function(preferences){
+		SettingsStore.validatePreferences(preferences);
+		var saved = this.data.preferences;
+		for(var section in preferences)
+		{
+			if(section == 'keys')
+			{
+				saved.keys = preferences.keys ? JSON.parse(JSON.stringify(preferences.keys)) : null;
+			}
+			else if(section == 'world')
+			{
+				for(var key in preferences.world)
+				{
+					saved.world[key] = isPlainObject(saved.world[key]) && isPlainObject(preferences.world[key])
+						? Object.assign(saved.world[key], preferences.world[key])
+						: preferences.world[key];
+				}
+			}
+			else
+			{
+				Object.assign(saved[section], preferences[section]);
+			}
+		}
+		this.save();
+	};
+
+	// Forget the options of the world kept so far (ex: the world refused them).
+	SettingsStore.prototype.clearWorldOptions = function(){
+		this.data.preferences.world = {};
+		this.save();
+	};
+
+	// Options of World.init: The saved options of the world, under the given ones.
+	SettingsStore.prototype.worldOptions = function(options){
+		var merged = JSON.parse(JSON.stringify(this.data.preferences.world));
+		for(var key in options)
+		{
+			merged[key] = isPlainObject(merged[key]) && isPlainObject(options[key])
+				? Object.assign(merged[key], options[key])
+				: options[key];
+		}
+		return merged;
+	};
+
+	//--------------------------------------------
+	// Profiles and statistics
+	//--------------------------------------------
+	SettingsStore.prototype.profileNames = function(){
+		return Object.keys(this.data.profiles);
+	};
+
+	// Play as the given profile, created when new.
+	SettingsStore.prototype.setProfile = function(name){
+		if( ! (typeof name === 'string' && /^[\w -]{1,24}$/.test(name)))
+		{
+			throw new Error('Usage: A profile name has 1 to 24 letters, digits, spaces, - or _. Got: ' + name);
+		}
+		this.data.profile = name;
+		this.data.profiles[name] = this.data.profiles[name] || emptyStats();
+		this.save();
+	};
+
+	// Statistics of the current profile.
+	SettingsStore.prototype.stats = function(){
+		return this.data.profiles[this.data.profile];
+	};
+
+	SettingsStore.prototype.resetStats = function(){
+		this.data.profiles[this.data.profile] = emptyStats();
+		this.save();
+	};
+
+	// Statistics of every profile, as JSON.
+	SettingsStore.prototype.exportStats = function(){
+		return JSON.stringify({
+			version: SettingsStore.VERSION,
+			exportedAt: new Date().toISOString(),
+			profiles: this.data.profiles,
+		}, null, '\t');
+	};
+
+	// Download the statistics as a JSON file.
+	SettingsStore.prototype.downloadStats = function(){
+		var blob = new Blob([this.exportStats()], {type: 'application/json'});
+		var link = document.createElement('a');
+		link.href = URL.createObjectURL(blob);
+		link.download = 'wavepad-stats.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		URL.revokeObjectURL(link.href);
+	};
+
+	//--------------------------------------------
+	// StatsRecorder
+	//--------------------------------------------
+	/**
+	 * Records the statistics of the current profile of the store, from the game events of a world.
+	 * Note: Saved after every goal and at the end of every match.
+	 **/
+	function StatsRecorder(store)
+	{
+		this.store = store;
+
+		// Paddle hits of each ball in play, since its serve.
+		this.rallies = new Map();
+
+		// World we listen to, and our listeners (see StatsRecorder.attach).
+		this.world = null;
+		this.subscriptions = [];
+	}
+
+	// Statistic recorded on each game event: Name of the method recording it (see World.EVENTS).
+	StatsRecorder.HANDLERS = {
+		matchStarted: 'startMatch',
+		paddleHit: 'countHit',
+		goalScored: 'countGoal',
+		matchOver: 'endMatch',
+	};
+
+	StatsRecorder.prototype.attach = function(world){
+		this.detach();
+		this.world = world;
+		for(var type in StatsRecorder.HANDLERS)
+		{
+			var listener = this[StatsRecorder.HANDLERS[type]].bind(this);
+			this.subscriptions.push({type: type, listener: world.on(type, listener)});
+		}
+	};
+
+	StatsRecorder.prototype.detach = function(){
+		if( ! this.world)
+		{
+			return;
+		}
+		for(var i = 0; i < this.subscriptions.length; i++)
+		{
+			this.world.off(this.subscriptions[i].type, this.subscriptions[i].listener);
+		}
+		this.subscriptions = [];
+		this.rallies.clear();
+		this.world = null;
+	};
+
+	// Name of the arena of the match: The level, else the game mode (see World.games).
+	StatsRecorder.prototype.layout = function(world){
+		var level = world.settings.level;
+		return level && level.name ? level.name : world.settings.game;
+	};
+
+	StatsRecorder.prototype.startMatch = function(event){
+		this.rallies.clear();
+	};
+
+	StatsRecorder.prototype.countHit = function(event){
+		var stats = this.store.stats();
+		var ball = event.ball;
+		var rally = (this.rallies.get(ball) || 0) + 1;
+		this.rallies.set(ball, rally);
+		stats.longestRally = Math.max(stats.longestRally, rally);
+
+		var speed = Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy) * WavePad.TICKS_PER_SECOND;
+		stats.fastestBall = Math.max(stats.fastestBall, Math.round(speed));
+	};
+
+	StatsRecorder.prototype.countGoal = function(event){
+		var stats = this.store.stats();
+		var local = event.world.players[0];
+		var layout = this.layout(event.world);
+		stats.goalsByLayout[layout] = (stats.goalsByLayout[layout] || 0) + 1;
+		if(event.scorer === local)
+		{
+			stats.pointsScored++;
+		}
+		if(event.loser === local)
+		{
+			stats.pointsConceded++;
+		}
+		this.rallies.delete(event.ball);
+		this.store.save();
+	};
+
+	StatsRecorder.prototype.endMatch = function(event){
+		var stats = this.store.stats();
+		stats.matchesPlayed++;
+		if(event.winner === event.world.players[0])
+		{
+			stats.matchesWon++;
+		}
+		this.store.save();
+	};
+
+	return {
+		SettingsStore: SettingsStore,
+		StatsRecorder: StatsRecorder,
+		emptyStats: emptyStats,
+	};
+
+}));
@@ -0,0 +1,256 @@
+/**
+ * Touch and pointer controls for WavePad (Pointer Events: touch, pen and mouse alike).
+ *
+ * Drag on the canvas to move the paddle of your side of the world: the bottom half belongs to player 1, the top half
+ * to player 2, so two people can share a tablet, one at each end (with four players, the closest paddle is yours).
+ * Tap to serve.
+ * Optional on-screen buttons (elements with data-player and data-action attributes) hold actions while pressed.
+ *
+ * Works as a source of the input layer (see Input.addSource): it adds abstract actions to those of the keyboard.
+ *		{player1: {targetX: 312, targetY: 40, serve: true}}
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.WavePad.PointerControls = factory();
+	}
+}(this, function () {
+
+	//--------------------------------------------
+	// PointerControls
+	//--------------------------------------------
+	/**
+	 * world: The world whose paddles are controlled. Only human players (not computers) can be controlled.
+	 * Options:
+	 *		buttons: On-screen buttons. Elements with data-player (ex: "player1") and data-action ("left", "right"
+	 *			or "serve") attributes.
+	 **/
+	function PointerControls(world, options)
+	{
+		options = options || {};
+
+		this.world = world;
+		this.buttons = Array.prototype.slice.call(options.buttons || []);
+		this.canvas = null;
+
+		// Pointers dragging a paddle, by pointer id: {codeName, x, startX, startY, startTime}
+		this.pointers = {};
+
+		// Actions held with on-screen buttons, by player code name. Ex: {player1: {left: true}}
+		this.held = {};
+
+		// Serves requested since the last tick, by player code name.
+		this.serves = {};
+
+		this.onPointerDown = this.handlePointerDown.bind(this);
+		this.onPointerMove = this.handlePointerMove.bind(this);
+		this.onPointerUp = this.handlePointerUp.bind(this);
+		this.onButtonDown = this.handleButtonDown.bind(this);
+		this.onButtonUp = this.handleButtonUp.bind(this);
+	}
+
+	// A tap is a short touch that barely moves. Taps serve the ball.
+	PointerControls.TAP_DURATION = 250;	// ms
+	PointerControls.TAP_DISTANCE = 10;	// CSS pixels
+
+	PointerControls.prototype.attach = function(canvas){
+		this.detach();
+		this.canvas = canvas;
+
+		canvas.addEventListener("pointerdown", this.onPointerDown);
+		canvas.addEventListener("pointermove", this.onPointerMove);
+		canvas.addEventListener("pointerup", this.onPointerUp);
+		canvas.addEventListener("pointercancel", this.onPointerUp);
+
+		for(var i = 0; i < this.buttons.length; i++)
+		{
+			this.buttons[i].addEventListener("pointerdown", this.onButtonDown);
+			this.buttons[i].addEventListener("pointerup", this.onButtonUp);
+			this.buttons[i].addEventListener("pointercancel", this.onButtonUp);
+			this.buttons[i].addEventListener("pointerleave", this.onButtonUp);
+		}
+	};
+
+	PointerControls.prototype.detach = function(){
+		if(this.canvas)
+		{
+			this.canvas.removeEventListener("pointerdown", this.onPointerDown);
+			this.canvas.removeEventListener("pointermove", this.onPointerMove);
+			this.canvas.removeEventListener("pointerup", this.onPointerUp);
+			this.canvas.removeEventListener("pointercancel", this.onPointerUp);
+			this.canvas = null;
+		}
+
+		for(var i = 0; i < this.buttons.length; i++)
+		{
+			this.buttons[i].removeEventListener("pointerdown", this.onButtonDown);
+			this.buttons[i].removeEventListener("pointerup", this.onButtonUp);
+			this.buttons[i].removeEventListener("pointercancel", this.onButtonUp);
+			this.buttons[i].removeEventListener("pointerleave", this.onButtonUp);
+		}
+
+		this.pointers = {};
+		this.held = {};
+		this.serves = {};
+	};
+
+	// Position of a pointer event in world coordinates.
+	// Rem: The canvas may be scaled by CSS. Convert to canvas pixels first, then let the world undo its own
+	//			transform (cartesian coordinates, with y going up).
+	PointerControls.prototype.toWorld = function(event){
+		var rect = this.canvas.getBoundingClientRect();
+		var canvasX = (event.clientX - rect.left) * this.canvas.width / rect.width;
+		var canvasY = (event.clientY - rect.top) * this.canvas.height / rect.height;
+		return this.world.toWorld(canvasX, canvasY);
+	};
+
+	// Human player defending the side of the world at the given position (the closest paddle), or null.
+	// Note: Distance across the axis of the paddles (see Paddle.axis): Up and down to those moving sideways.
+	PointerControls.prototype.playerAt = function(position){
+		var distance = function(player) {
+			return player.body.axis == 'y' ? Math.abs(player.body.x - position.x) : Math.abs(player.body.y - position.y);
+		};
+		var best = null;
+		for(var i = 0; i < this.world.players.length; i++)
+		{
+			var player = this.world.players[i];
+			if(player.isComputer())
+			{
+				continue;
+			}
+			if( ! best || distance(player) < distance(best))
+			{
+				best = player;
+			}
+		}
+		return best;
+	};
+
+	// Is the given player already dragged by another pointer?
+	PointerControls.prototype.isDragged = function(codeName){
+		for(var id in this.pointers)
+		{
+			if(this.pointers[id].codeName == codeName)
+			{
+				return true;
+			}
+		}
+		return false;
+	};
+
+	PointerControls.prototype.handlePointerDown = function(event){
+		var position = this.toWorld(event);
+		var player = this.playerAt(position);
+
+		// One pointer per player: A second finger on the same side is ignored.
+		if( ! player || this.isDragged(player.codeName))
+		{
+			return;
+		}
+
+		this.pointers[event.pointerId] = {
+			codeName: player.codeName,
+			x: position.x,
+			y: position.y,
+			startX: event.clientX,
+			startY: event.clientY,
+			startTime: event.timeStamp,
+		};
+		if(this.canvas.setPointerCapture)
+		{
+			this.canvas.setPointerCapture(event.pointerId);
+		}
+		event.preventDefault();
+	};
+
+	PointerControls.prototype.handlePointerMove = function(event){
+		var pointer = this.pointers[event.pointerId];
+		if( ! pointer)
+		{
+			return;
+		}
+		var position = this.toWorld(event);
+		pointer.x = position.x;
+		pointer.y = position.y;
+		event.preventDefault();
+	};
+
+	PointerControls.prototype.handlePointerUp = function(event){
+		var pointer = this.pointers[event.pointerId];
+		if( ! pointer)
+		{
+			return;
+		}
+		delete this.pointers[event.pointerId];
+
+		var moved = Math.abs(event.clientX - pointer.startX) + Math.abs(event.clientY - pointer.startY);
+		if(event.type == 'pointerup'
+			&& event.timeStamp - pointer.startTime <= PointerControls.TAP_DURATION
+			&& moved <= PointerControls.TAP_DISTANCE)
+		{
+			this.serves[pointer.codeName] = true;
+		}
+	};
+
+	PointerControls.prototype.handleButtonDown = function(event){
+		var button = event.currentTarget;
+		var codeName = button.getAttribute('data-player');
+		var action = button.getAttribute('data-action');
+
+		this.held[codeName] = this.held[codeName] || {};
+		this.held[codeName][action] = true;
+		event.preventDefault();
+	};
+
+	PointerControls.prototype.handleButtonUp = function(event){
+		var button = event.currentTarget;
+		var codeName = button.getAttribute('data-player');
+		var action = button.getAttribute('data-action');
+
+		if(this.held[codeName])
+		{
+			delete this.held[codeName][action];
+		}
+	};
+
+	// Add the actions of this tick to the given inputs (see Input.read).
+	PointerControls.prototype.contribute = function(inputs){
+		var add = function(codeName, action, value) {
+			inputs[codeName] = inputs[codeName] || {};
+			inputs[codeName][action] = inputs[codeName][action] || value;
+		};
+
+		for(var id in this.pointers)
+		{
+			inputs[this.pointers[id].codeName] = inputs[this.pointers[id].codeName] || {};
+			inputs[this.pointers[id].codeName].targetX = this.pointers[id].x;
+			inputs[this.pointers[id].codeName].targetY = this.pointers[id].y;
+		}
+
+		for(var codeName in this.held)
+		{
+			for(var action in this.held[codeName])
+			{
+				add(codeName, action, true);
+			}
+		}
+
+		for(var codeName in this.serves)
+		{
+			add(codeName, 'serve', true);
+		}
+		this.serves = {};
+	};
+
+	return PointerControls;
+
+}));
@@ -5,9 +5,10 @@
  * 		DONE	1- Reduce use of global variables: Just to see the avantages/disavantages on code design.
  *		DONE	2- Try to decouple everything and to keep things DRY.
  *		DONE	3- Use Prototype delegation combined with OO design as a solution for objectives 1 and 2.
- *		DONE	4- Fluid design: Adapt canvas size too fit screen (at least on page load).
+ *		DONE	4- Fluid design: Adapt canvas size too fit screen. The world keeps a fixed logical size, scaled and
+ *				   letterboxed to fit the canvas (see World.fitTo).
  *		DONE	5- Add something new and original to the game.
- *		TODO	6- Add something new and original to the game: What I actually wanted -> Waving walls.
+ *		DONE	6- Add something new and original to the game: What I actually wanted -> Waving walls.
  *
  * Analysis, criticism and thoughts:
  *		- Probably over-engineered, but it's an exercise.
@@ -41,15 +42,126 @@
  *	
  **/
 
-(function () {
+/**
+ * The simulation core: every entity of the game world and the World itself.
+ * Note: No DOM access in here. The browser glue (canvas, keyboard, animation loop) lives in main.js.
+ * Note: Works as a browser script (exposes window.WavePad) and as a Node module (module.exports).
+ **/
+(function (root, factory) {
+	if(typeof module === 'object' && module.exports)
+	{
+		module.exports = factory();
+	}
+	else
+	{
+		root.WavePad = factory();
+	}
+}(this, function () {
 	
 	//--------------------------------------------------------------------------
 	// App logic
 	//--------------------------------------------------------------------------
 
+	// Number of world updates per second. Used to express time based settings (ex: wave frequency) in seconds.
+	var TICKS_PER_SECOND = 60;
+	
+	// Most contacts resolved for one object during one tick. Avoids endless bouncing when squeezed between surfaces.
+	var MAX_CONTACTS_PER_TICK = 4;
+	
+	// Most overlap tests when sweeping shapes other than boxes, for one pair of objects during one tick.
+	var MAX_SWEEP_STEPS = 64;
+
 	//From https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/random
-	function getRandomInt(max) {
-		return Math.floor(Math.random() * Math.floor(max));
+	// Note: random must return a number in [0, 1), like Math.random.
+	function getRandomInt(max, random) {
+		return Math.floor(random() * Math.floor(max));
+	}
+	
+	// Merge plain option objects over default settings, one level deep (ex: settings.match.pointsToWin).
+	// Note: Returns a new object. Neither defaults nor options are modified.
+	function mergeSettings(defaults, options)
+	{
+		var merged = {};
+		for(var key in defaults)
+		{
+			merged[key] = isPlainObject(defaults[key]) ? Object.assign({}, defaults[key]) : defaults[key];
+		}
+		for(var key in (options || {}))
+		{
+			merged[key] = isPlainObject(merged[key]) && isPlainObject(options[key])
+				? Object.assign(merged[key], options[key])
+				: options[key];
+		}
+		return merged;
+	}
+	
+	function isPlainObject(value)
+	{
+		return value !== null && typeof value === 'object' && ! Array.isArray(value);
+	}
+	
+	// Pick a name at random, according to the given odds by name. Ex: {normal: 3, heavy: 1}
+	// Note: Doesn't draw a random number when there's nothing to choose from.
+	function pickWeighted(odds, random)
+	{
+		var names = Object.keys(odds).filter(function(name) { return odds[name] > 0; });
+		if(names.length < 2)
+		{
+			return names.length > 0 ? names[0] : null;
+		}
+		
+		var total = names.reduce(function(sum, name) { return sum + odds[name]; }, 0);
+		var pick = random() * total;
+		for(var i = 0; i < names.length - 1; i++)
+		{
+			pick -= odds[names[i]];
+			if(pick < 0)
+			{
+				return names[i];
+			}
+		}
+		return names[names.length - 1];
+	}
+	
+	// Seedable pseudo random number generator (Mulberry32).
+	// Returns a function that behaves like Math.random, but always yields the same sequence for a given seed.
+	// Note: random.getState() is a seed going on from where the generator is now (ex: to replay a match).
+	function createRandom(seed)
+	{
+		if( ! isFinite(seed))
+		{
+			throw new Error('Usage: seed must be a finite number. Got: ' + seed);
+		}
+		var state = seed >>> 0;
+		
+		var random = function() {
+			state = (state + 0x6D2B79F5) >>> 0;
+			var r = Math.imul(state ^ (state >>> 15), 1 | state);
+			r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+			return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+		};
+		random.getState = function() {
+			return state;
+		};
+		return random;
+	}
+	
+	//--------------------------------------------
+	// Contact
+	//--------------------------------------------
+	/**
+	 * Where and when a moving object meets a surface during a tick (see WorldObject.sweep).
+	 *		time: Fraction of the tick, in [0, 1], at which the contact happens.
+	 *		normal: Unit vector {x, y} perpendicular to the face we hit, pointing toward the moving object.
+	 *		point: {x, y} Point of contact, in world coordinates.
+	 *		surface: The object we hit.
+	 **/
+	function Contact(time, normal, point, surface)
+	{
+		this.time = time;
+		this.normal = normal;
+		this.point = point;
+		this.surface = surface;
 	}
 	
 	//--------------------------------------------
@@ -65,18 +177,18 @@
 	function WorldObject(x, y, xLen, yLen)
 	{
 		// World coordinate of the object (usually the center, always the official coordinates).
-		// Must be a number. Will be rounded to nearest integer.
+		// Must be a number. Positions and speeds aren't rounded: Objects move by fractions of a unit (sub-pixel).
 		if( ! isFinite(x))
 		{
 			throw new Error('Usage: x must be a finite number. Got: ' + x);
 		}
-		this.x = Math.round(x);
+		this.x = x;
 		
 		if( ! isFinite(y))
 		{
 			throw new Error('Usage: y must be a finite number. Got: ' + y);
 		}
-		this.y = Math.round(y);
+		this.y = y;
 		
 		// Length of the object (length of the projection in a given dimension).
 		// Must be at least 1 and an integer.
@@ -99,117 +211,614 @@
 		// Rate of change in length.
 		this.dxLen = 0;
 		this.dyLen = 0;
+		
+		// Position at the beginning of the current tick. Used to interpolate rendering between ticks.
+		this.prevX = this.x;
+		this.prevY = this.y;
+	}
+	
+	// Remember the current position as the beginning of a new tick.
+	WorldObject.prototype.savePosition = function() {
+		this.prevX = this.x;
+		this.prevY = this.y;
+	}
+	
+	// Position in x to render, interpolated between the previous tick (alpha = 0) and the current one (alpha = 1).
+	WorldObject.prototype.renderX = function(alpha) {
+		return this.prevX + alpha * (this.x - this.prevX);
+	}
+	
+	// Position in y to render, interpolated between the previous tick (alpha = 0) and the current one (alpha = 1).
+	WorldObject.prototype.renderY = function(alpha) {
+		return this.prevY + alpha * (this.y - this.prevY);
 	}
 	
 	// Minimum position in x
 	WorldObject.prototype.xMin = function() {
-		// Coordinates are integers
-		return Math.round(this.x - (0.5 * this.xLen));
+		return this.x - 0.5 * this.xLen;
 	}
 		
 	// Maximum position in x
 	WorldObject.prototype.xMax = function() {
-		// Coordinates are integers
-		return Math.round(this.x + (0.5 * this.xLen));
+		return this.x + 0.5 * this.xLen;
 	}
 		
 	// Minimum position in y
 	WorldObject.prototype.yMin = function() {
-		// Coordinates are integers
-		return Math.round(this.y - (0.5 * this.yLen));
+		return this.y - 0.5 * this.yLen;
 	}
 		
 	// Maximum position in y
 	WorldObject.prototype.yMax = function() {
-		// Coordinates are integers
-		return Math.round(this.y + (0.5 * this.yLen));
+		return this.y + 0.5 * this.yLen;
+	}
+	
+	// Box "this" may cover at any time, whatever object looks at it (see Grid).
+	// Note: Objects moving or changing shape on their own overwrite this method to cover all of their movement.
+	WorldObject.prototype.extent = function(){
+		return {
+			xMin: this.xMin(),
+			xMax: this.xMax(),
+			yMin: this.yMin(),
+			yMax: this.yMax(),
+		};
 	}
 	
+	// Bounding box of "this", as seen by the given object.
+	// Note: Objects with a non rectangular surface (ex: waving walls) overwrite this method to expose the part
+	//			of their surface facing the given object.
+	WorldObject.prototype.boundsFor = function(obj){
+		return {
+			xMin: this.xMin(),
+			xMax: this.xMax(),
+			yMin: this.yMin(),
+			yMax: this.yMax(),
+		};
+	}
+
 	// Is the given object touching "this"?
 	WorldObject.prototype.touches = function(obj){
+		var a = this.boundsFor(obj);
+		var b = obj.boundsFor(this);
+
 		// Simultaneous x and y overlaps of the projections of both objects on the plane axis.
-		return ((obj.xMax() >= this.xMin()) && (obj.xMin() <= this.xMax()))
-			&& ((obj.yMax() >= this.yMin()) && (obj.yMin() <= this.yMax()));
+		return ((b.xMax >= a.xMin) && (b.xMin <= a.xMax))
+			&& ((b.yMax >= a.yMin) && (b.yMin <= a.yMax));
+	}
+
+	// Movement of "this" during the current tick.
+	// Note: Objects move in a straight line from (prevX, prevY) at time 0 to (x, y) at time 1.
+	WorldObject.prototype.velocity = function(){
+		return {
+			x: this.x - this.prevX,
+			y: this.y - this.prevY,
+		};
+	}
+	
+	// Swept collision: Find when and where "this" meets the given surface during the rest of the current tick.
+	// Note: "this" is about to move by (dx, dy) during the whole tick, starting at time. The surface already moved
+	//			during the tick (from prevX, prevY to x, y). Only relative movement matters.
+	// Rem: Casts a ray from our center against the surface's box, inflated by our own half lengths
+	//			(Minkowski sum of both boxes). Slab method: the ray enters the box when it entered both slabs.
+	//			This is exact for two boxes. Other shapes fit in their box, so the ray gives the time window
+	//			during which they may meet (see WorldObject.sweepShapes).
+	// Returns a Contact, or null when the objects don't meet (or are moving away from each other).
+	WorldObject.prototype.sweep = function(surface, time){
+		time = time || 0;
+		var remaining = 1 - time;
+		
+		// Box of the surface at the given time, inflated by our half lengths.
+		var vs = surface.velocity();
+		var bounds = surface.boundsFor(this);
+		var back = 1 - time;
+		var box = {
+			xMin: bounds.xMin - back * vs.x - 0.5 * this.xLen,
+			xMax: bounds.xMax - back * vs.x + 0.5 * this.xLen,
+			yMin: bounds.yMin - back * vs.y - 0.5 * this.yLen,
+			yMax: bounds.yMax - back * vs.y + 0.5 * this.yLen,
+		};
+		
+		// Movement relative to the surface, during the rest of the tick.
+		var rx = (this.dx - vs.x) * remaining;
+		var ry = (this.dy - vs.y) * remaining;
+		
+		var x = slab(this.x, rx, box.xMin, box.xMax);
+		var y = slab(this.y, ry, box.yMin, box.yMax);
+		if( ! x || ! y)
+		{
+			return null;
+		}
+		
+		var enter = Math.max(x.enter, y.enter);
+		var exit = Math.min(x.exit, y.exit);
+		if(enter > exit || enter > 1 || exit < 0)
+		{
+			return null;
+		}
+		
+		if(this.shape != 'box' || surface.shape != 'box')
+		{
+			return this.sweepShapes(surface, time, Math.max(0, enter), Math.min(1, exit));
+		}
+		
+		var normal;
+		if(enter <= 0)
+		{
+			// Already overlapping: Push out along the axis of least penetration.
+			var penetrations = [
+				{x: -1, y: 0, depth: this.x - box.xMin},
+				{x: 1, y: 0, depth: box.xMax - this.x},
+				{x: 0, y: -1, depth: this.y - box.yMin},
+				{x: 0, y: 1, depth: box.yMax - this.y},
+			];
+			normal = penetrations.reduce(function(a, b) { return b.depth < a.depth ? b : a; });
+			enter = 0;
+		}
+		else
+		{
+			// The last slab we entered is the face we hit.
+			normal = x.enter >= y.enter ? {x: rx > 0 ? -1 : 1, y: 0} : {x: 0, y: ry > 0 ? -1 : 1};
+		}
+		
+		// Make sure we're moving toward the surface.
+		// Note: While bouncing, objects may touch or overlap. Reporting a contact when moving away would
+		//			make the object bounce inside the surface instead of continuously moving away.
+		if(rx * normal.x + ry * normal.y >= 0)
+		{
+			return null;
+		}
+		
+		var t = time + enter * remaining;
+		return new Contact(
+			t,
+			{x: normal.x, y: normal.y},
+			{
+				x: this.x + enter * this.dx * remaining - normal.x * 0.5 * this.xLen,
+				y: this.y + enter * this.dy * remaining - normal.y * 0.5 * this.yLen,
+			},
+			surface
+		);
 	}
 	
-	// Bounce horizontally on another WorldObject or a list of WordObjects.
-	// Note: Will ignore objects that are too far to bounce on.
-	WorldObject.prototype.horizontalBounce = function(surfaces){
-		if( ! Array.isArray(surfaces))
+	// Times, as fractions of the movement d, at which a point starting at p enters and exits the slab [min, max].
+	// Returns null when the point never is in the slab.
+	function slab(p, d, min, max)
+	{
+		if(d == 0)
 		{
-			surfaces = [surfaces];
+			return (p >= min && p <= max) ? {enter: -Infinity, exit: Infinity} : null;
 		}
+		var t1 = (min - p) / d;
+		var t2 = (max - p) / d;
+		return {
+			enter: Math.min(t1, t2),
+			exit: Math.max(t1, t2),
+		};
+	}
+	
+	// Swept collision for shapes other than boxes (ex: circles, polygons).
+	// Rem: Conservative advancement. Test for an overlap at small intervals during the time window given by the
+	//			bounding boxes (fractions enter to exit of the rest of the tick), then narrow down the time of impact
+	//			by bisection. Intervals are small enough to never step over the thinnest of both objects.
+	// Returns a Contact, or null.
+	WorldObject.prototype.sweepShapes = function(surface, time, enter, exit){
+		var self = this;
+		var remaining = 1 - time;
+		var vs = surface.velocity();
+		var rx = (this.dx - vs.x) * remaining;
+		var ry = (this.dy - vs.y) * remaining;
 		
-		for(var i = 0; i < surfaces.length; i++)
+		// Overlap of both shapes, at the given fraction of the rest of the tick, if we're moving toward each other.
+		var overlapAt = function(f) {
+			var back = 1 - (time + f * remaining);
+			var hit = intersectShapes(
+				self.shapeFor(surface, self.dx * f * remaining, self.dy * f * remaining),
+				surface.shapeFor(self, -1 * back * vs.x, -1 * back * vs.y)
+			);
+			return hit && (rx * hit.normal.x + ry * hit.normal.y < 0) ? hit : null;
+		};
+		
+		var distance = Math.sqrt(rx * rx + ry * ry) * (exit - enter);
+		var spacing = 0.5 * Math.min(this.thinnest(), surface.thinnest());
+		var steps = Math.min(MAX_SWEEP_STEPS, Math.max(1, Math.ceil(distance / spacing)));
+		
+		var before = enter;
+		for(var k = 0; k <= steps; k++)
 		{
-			if(this.touches(surfaces[i]))
+			var f = enter + (exit - enter) * k / steps;
+			var hit = overlapAt(f);
+			if( ! hit)
+			{
+				before = f;
+				continue;
+			}
+			
+			// Narrow down the time of impact, between the last sample without overlap and this one.
+			var after = f;
+			for(var j = 0; k > 0 && j < 8; j++)
 			{
-				// Make sure we're moving away from the object.
-				// Note: While bouncing, objects may overlap. Blindly reversing the direction might
-				//			make the object bounce inside the surface instead of continuously moving away.
-				if(
-					(this.x <= surfaces[i].x && this.dx >= 0) //Bounce left
-					|| (this.x > surfaces[i].x && this.dx <= 0) //Bounce right
-				)
+				var middle = 0.5 * (before + after);
+				var middleHit = overlapAt(middle);
+				if(middleHit)
 				{
-					this.dx = -1 * this.dx;
+					after = middle;
+					hit = middleHit;
+				}
+				else
+				{
+					before = middle;
 				}
-				
-				// Approximate reflexion relative to the normal vector.
-				// Rem: Computes the change in perpendicular direction when bouncing on an angled surface.
-				// Rem: The opposite of the gradient approximates the change in speed due to bouncing. 
-				this.dy = this.dy - surfaces[i].xGradientAt(this.y);
 			}
+			
+			return new Contact(time + (k > 0 ? before : f) * remaining, hit.normal, hit.point, surface);
+		}
+		return null;
+	}
+	
+	// Shape of "this" as seen by the given object, shifted by (ox, oy). Used for collisions (see intersectShapes).
+	// Note: Boxes by default. Overwrite along with the shape property for other shapes.
+	WorldObject.prototype.shape = 'box';
+	
+	WorldObject.prototype.shapeFor = function(obj, ox, oy){
+		var bounds = this.boundsFor(obj);
+		return {
+			type: 'box',
+			xMin: bounds.xMin + ox,
+			xMax: bounds.xMax + ox,
+			yMin: bounds.yMin + oy,
+			yMax: bounds.yMax + oy,
+		};
+	}
+	
+	// Thickness of the thinnest part of "this".
+	WorldObject.prototype.thinnest = function(){
+		return Math.min(this.xLen, this.yLen);
+	}
+	
+	// Overlap between two shapes (see WorldObject.shapeFor).
+	// Returns null when they don't overlap, else:
+	//		normal: Unit vector {x, y} pointing from b toward a, along which a should move to separate.
+	//		depth: How far a should move along the normal to separate.
+	//		point: {x, y} Approximate point of contact.
+	function intersectShapes(a, b)
+	{
+		if(a.type == 'circle' && b.type == 'circle')
+		{
+			return circleVersusCircle(a, b);
+		}
+		if(a.type == 'circle')
+		{
+			return circleVersusPolygon(a, polygonOf(b));
+		}
+		if(b.type == 'circle')
+		{
+			return reverseHit(circleVersusPolygon(b, polygonOf(a)));
+		}
+		return polygonVersusPolygon(polygonOf(a), polygonOf(b));
+	}
+	
+	function reverseHit(hit)
+	{
+		if(hit)
+		{
+			hit.normal = {x: -1 * hit.normal.x, y: -1 * hit.normal.y};
+		}
+		return hit;
+	}
+	
+	// Vertices of a box or polygon shape, counter clockwise.
+	function polygonOf(shape)
+	{
+		if(shape.type == 'polygon')
+		{
+			return shape.vertices;
+		}
+		return [
+			{x: shape.xMin, y: shape.yMin},
+			{x: shape.xMax, y: shape.yMin},
+			{x: shape.xMax, y: shape.yMax},
+			{x: shape.xMin, y: shape.yMax},
+		];
+	}
+	
+	function circleVersusCircle(a, b)
+	{
+		var dx = a.x - b.x;
+		var dy = a.y - b.y;
+		var d = Math.sqrt(dx * dx + dy * dy);
+		if(d > a.radius + b.radius)
+		{
+			return null;
 		}
+		var normal = d > 0 ? {x: dx / d, y: dy / d} : {x: 0, y: 1};
+		return {
+			normal: normal,
+			depth: a.radius + b.radius - d,
+			point: {x: b.x + normal.x * b.radius, y: b.y + normal.y * b.radius},
+		};
 	}
 	
-	// Bounce vertically on another WorldObject or a list of WordObjects.
-	// Note: Will ignore objects that are too far to bounce on.
-	WorldObject.prototype.verticalBounce = function(surfaces){
-		if( ! Array.isArray(surfaces))
+	// Rem: Find the closest point of the outline. The normal goes from that point to the center of the circle
+	//			(reversed when the center is inside the polygon).
+	function circleVersusPolygon(circle, vertices)
+	{
+		var closest = null;
+		var inside = true;
+		for(var i = 0; i < vertices.length; i++)
 		{
-			surfaces = [surfaces];
+			var p = vertices[i];
+			var q = vertices[(i + 1) % vertices.length];
+			var ex = q.x - p.x;
+			var ey = q.y - p.y;
+			var length2 = ex * ex + ey * ey;
+			
+			// Counter clockwise: The center is inside when it's on the left of every edge.
+			if(ex * (circle.y - p.y) - ey * (circle.x - p.x) < 0)
+			{
+				inside = false;
+			}
+			
+			var t = length2 > 0 ? ((circle.x - p.x) * ex + (circle.y - p.y) * ey) / length2 : 0;
+			t = Math.min(1, Math.max(0, t));
+			var cx = p.x + t * ex;
+			var cy = p.y + t * ey;
+			var d2 = (circle.x - cx) * (circle.x - cx) + (circle.y - cy) * (circle.y - cy);
+			if( ! closest || d2 < closest.d2)
+			{
+				// Outward normal of the edge, in case the center is right on the outline.
+				var length = Math.sqrt(length2) || 1;
+				closest = {x: cx, y: cy, d2: d2, nx: ey / length, ny: -1 * ex / length};
+			}
 		}
 		
-		for(var i = 0; i < surfaces.length; i++)
+		var d = Math.sqrt(closest.d2);
+		if( ! inside && d > circle.radius)
+		{
+			return null;
+		}
+		
+		var normal = d > 0
+			? {x: (circle.x - closest.x) / d, y: (circle.y - closest.y) / d}
+			: {x: closest.nx, y: closest.ny};
+		if(inside && d > 0)
+		{
+			normal = {x: -1 * normal.x, y: -1 * normal.y};
+		}
+		return {
+			normal: normal,
+			depth: inside ? circle.radius + d : circle.radius - d,
+			point: {x: closest.x, y: closest.y},
+		};
+	}
+	
+	// Rem: Separating axis theorem. Convex polygons overlap unless their projections on one of the edge normals
+	//			don't. The axis with the least overlap gives the normal.
+	function polygonVersusPolygon(a, b)
+	{
+		var best = null;
+		var polygons = [a, b];
+		for(var n = 0; n < polygons.length; n++)
 		{
-			if(this.touches(surfaces[i]))
+			var vertices = polygons[n];
+			for(var i = 0; i < vertices.length; i++)
 			{
-				// Make sure we're moving away from the object.
-				// Note: While bouncing, objects may overlap. Blindly reversing the direction might
-				//			make the object bounce inside the surface instead of continuously moving away.
-				if(
-					(this.y <= surfaces[i].y && this.dy >= 0) //Bounce down
-					|| (this.y > surfaces[i].y && this.dy <= 0) //Bounce up
-				)
+				var p = vertices[i];
+				var q = vertices[(i + 1) % vertices.length];
+				var length = Math.sqrt((q.x - p.x) * (q.x - p.x) + (q.y - p.y) * (q.y - p.y));
+				if(length == 0)
 				{
-					this.dy = -1 * this.dy;
+					continue;
 				}
-				
-				// Approximate reflexion relative to the normal vector.
-				// Rem: Computes the change in perpendicular direction when bouncing on an angled surface.
-				// Rem: The opposite of the gradient approximates the change in speed due to bouncing. 
-				this.dx = this.dx - surfaces[i].yGradientAt(this.x);
-				
-				// Add some randomness to the ball movements.
-				if(Math.random() > 0.75)
+				var axis = {x: (q.y - p.y) / length, y: (p.x - q.x) / length};
+				var pa = project(a, axis);
+				var pb = project(b, axis);
+				var overlap = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+				if(overlap < 0)
+				{
+					return null;
+				}
+				if( ! best || overlap < best.depth)
+				{
+					best = {axis: axis, depth: overlap};
+				}
+			}
+		}
+		
+		// Orient the normal from b toward a.
+		var ca = centroid(a);
+		var cb = centroid(b);
+		var normal = best.axis;
+		if((ca.x - cb.x) * normal.x + (ca.y - cb.y) * normal.y < 0)
+		{
+			normal = {x: -1 * normal.x, y: -1 * normal.y};
+		}
+		
+		// Approximate the point of contact with the vertex of a the deepest into b.
+		var deepest = a.reduce(function(v, w) {
+			return (w.x * normal.x + w.y * normal.y) < (v.x * normal.x + v.y * normal.y) ? w : v;
+		});
+		return {
+			normal: normal,
+			depth: best.depth,
+			point: {x: deepest.x, y: deepest.y},
+		};
+	}
+	
+	function project(vertices, axis)
+	{
+		var min = Infinity;
+		var max = -Infinity;
+		for(var i = 0; i < vertices.length; i++)
+		{
+			var d = vertices[i].x * axis.x + vertices[i].y * axis.y;
+			min = Math.min(min, d);
+			max = Math.max(max, d);
+		}
+		return {min: min, max: max};
+	}
+	
+	function centroid(vertices)
+	{
+		var x = 0;
+		var y = 0;
+		for(var i = 0; i < vertices.length; i++)
+		{
+			x += vertices[i].x;
+			y += vertices[i].y;
+		}
+		return {x: x / vertices.length, y: y / vertices.length};
+	}
+	
+	// Move during the current tick, resolving contacts with the given surfaces in the order they happen.
+	// surfaces: The surfaces we may meet, or a function(obj, time) listing those near us for the rest of the tick
+	//			(see World.surfacesNear). The function is called again after each bounce, as we change direction.
+	// Note: Sensors (ex: goals) stop the movement instead of making us bounce.
+	// Note: world gives access to the random number generator (see WorldObject.bounce).
+	// Returns the list of contacts, in order.
+	WorldObject.prototype.advance = function(surfaces, world){
+		var contacts = [];
+		var time = 0;
+		
+		while(time < 1)
+		{
+			// First contact of the rest of the tick.
+			var first = null;
+			var near = typeof surfaces === 'function' ? surfaces(this, time) : surfaces;
+			for(var i = 0; i < near.length; i++)
+			{
+				var contact = this.sweep(near[i], time);
+				if(contact && ( ! first || contact.time < first.time))
 				{
-					var dyCache = this.dy;
-					this.dy = (Math.random() >= 0.5) ? Math.round(this.dy * 1.3) : Math.round(this.dy * 0.8);
-					this.dy = this.dy != 0 ? this.dy : dyCache;
+					first = contact;
 				}
 			}
+			if( ! first)
+			{
+				break;
+			}
+			// Rem: Squeezed between surfaces. Stay at the last contact rather than go through the next surface.
+			if(contacts.length >= MAX_CONTACTS_PER_TICK)
+			{
+				return contacts;
+			}
+			
+			// Move up to the contact.
+			this.x += this.dx * (first.time - time);
+			this.y += this.dy * (first.time - time);
+			time = first.time;
+			contacts.push(first);
+			
+			if(first.surface.isSensor)
+			{
+				return contacts;
+			}
+			this.bounce(first, world);
+		}
+		
+		// Move for the rest of the tick.
+		this.x += this.dx * (1 - time);
+		this.y += this.dy * (1 - time);
+		return contacts;
+	}
+	
+	// Change our speed after touching a surface.
+	// Rem: Reflexion relative to the contact normal, in the frame of reference of the surface (moving surfaces
+	//			kick us). Flat faces tilt the normal by their slope (ex: waving walls).
+	// Rem: The normal speed is scaled by the restitution of both objects (1 for a perfect bounce, 0 to stick).
+	//			The tangential speed of the surface is partly transferred to us, according to its spin (ex: rolling
+	//			the ball on a moving paddle). Heavier objects get less of it.
+	// Rem: Objects that turn (inertia > 0) also rub on surfaces with friction: Part of the sliding at the point of
+	//			contact becomes rotation, the rest slows us down along the surface. A ball hit by a moving paddle
+	//			spins, and its spin kicks it sideways when it lands on a paddle that grips.
+	WorldObject.prototype.bounce = function(contact, world){
+		var surface = contact.surface;
+		var vs = surface.velocity();
+		var normal = surface.normalAt(contact);
+		var nx = normal.x;
+		var ny = normal.y;
+		
+		// Speed relative to the surface, along the normal.
+		var vn = (this.dx - vs.x) * nx + (this.dy - vs.y) * ny;
+		if(vn >= 0)
+		{
+			return;
+		}
+		
+		// Tangent, and the speed of the surface along it.
+		var tx = -1 * ny;
+		var ty = nx;
+		var surfaceVt = vs.x * tx + vs.y * ty;
+		
+		var restitution = this.restitution * surface.restitution;
+		var dvn = -1 * (1 + restitution) * vn;
+		var dvt = surface.spin * surfaceVt / this.mass;
+		
+		this.dx = this.dx + dvn * nx + dvt * tx;
+		this.dy = this.dy + dvn * ny + dvt * ty;
+		
+		if(surface.friction > 0 && this.inertia > 0)
+		{
+			// Sliding at the point of contact: Our speed along the surface, relative to it, and our rim.
+			// Rem: Our rim moves at -rotation along the tangent, on the side facing the surface.
+			var slip = (this.dx - vs.x) * tx + (this.dy - vs.y) * ty - this.rotation;
+			
+			// The impulse is shared between our speed and our rotation, according to our inertia. The friction is
+			// the share of the sliding removed: 1 for a surface that grips completely.
+			var impulse = surface.friction * slip / (1 + 1 / this.inertia);
+			this.dx -= impulse * tx;
+			this.dy -= impulse * ty;
+			this.rotation += impulse / this.inertia;
 		}
 	}
 	
-	// Compute the surface approximate slope in x around (x,y).
-	// Use case: Approximating the change in speed in the perpendicular dimension due to bouncing on an angled surface.
+	// Normal of the surface at the given contact, tilted by the slope of flat faces.
+	// Rem: A vertical surface x = f(y) with slope s = f'(y) has a normal parallel to (1, -s).
+	//			A horizontal surface y = g(x) with slope s = g'(x) has a normal parallel to (-s, 1).
+	WorldObject.prototype.normalAt = function(contact){
+		var nx = contact.normal.x;
+		var ny = contact.normal.y;
+		var slope, norm;
+		
+		if(ny == 0)
+		{
+			slope = this.xGradientAt(contact.point.x, contact.point.y);
+			norm = Math.sqrt(1 + slope * slope);
+			return {x: nx / norm, y: -1 * nx * slope / norm};
+		}
+		if(nx == 0)
+		{
+			slope = this.yGradientAt(contact.point.x, contact.point.y);
+			norm = Math.sqrt(1 + slope * slope);
+			return {x: -1 * ny * slope / norm, y: ny / norm};
+		}
+		return {x: nx, y: ny};
+	}
+	
+	// Share of the normal speed kept when bouncing (combined with the other object's restitution).
+	WorldObject.prototype.restitution = 1;
+	
+	// Share of our tangential speed given to objects bouncing on us.
+	WorldObject.prototype.spin = 0;
+	
+	// Resistance to the spin of the surfaces we bounce on (see WorldObject.bounce).
+	WorldObject.prototype.mass = 1;
+	
+	// Grip of our surface: Share of the sliding of objects bouncing on us turned into their rotation.
+	WorldObject.prototype.friction = 0;
+	
+	// Resistance to rotation, relative to the mass. 0 for objects that don't turn (see WorldObject.bounce).
+	// Note: Rotation is measured as the speed of the rim, in world units per tick, counter-clockwise.
+	WorldObject.prototype.inertia = 0;
+	WorldObject.prototype.rotation = 0;
+	
+	// Compute the slope (dx/dy) of a vertical face in x around (x,y).
+	// Use case: Tilting the normal when bouncing on a face that isn't flat (see WorldObject.normalAt).
 	WorldObject.prototype.xGradientAt = function(x, y){
 		return 0;
 	}
 	
-	// Compute the surface approximate slope in y around (x,y).
-	// Use case: Approximating the change in speed in the perpendicular dimension due to bouncing on an angled surface.
+	// Compute the slope (dy/dx) of a horizontal face in y around (x,y).
+	// Use case: Tilting the normal when bouncing on a face that isn't flat (see WorldObject.normalAt).
 	WorldObject.prototype.yGradientAt = function(x, y){
 		return 0;
 	}
@@ -219,126 +828,396 @@
 	//--------------------------------------------
 	/**
 	 * The ball
+	 * Note: variant is the name of a kind of ball, with its own looks and behaviour (see Ball.variants).
+	 *			Its radius, when it has one, replaces the given radius.
 	 **/
-	function Ball(x, y, radius)
+	function Ball(x, y, radius, variant)
 	{
+		variant = variant || 'normal';
+		if( ! Ball.variants.hasOwnProperty(variant))
+		{
+			throw new Error('Usage: Unknown ball variant. Expected one of: ' + Object.keys(Ball.variants).join(', ')
+				+ '. Got: ' + variant);
+		}
+		var properties = Object.assign({}, Ball.variants.normal, Ball.variants[variant]);
+		radius = properties.radius || radius;
+		
 		// Must be at least 1 and must be an integer.
 		radius = radius && radius >= 1 ? Math.round(radius) : 1;
 		
 		WorldObject.call(this, x, y, 2 * radius, 2 * radius);
 		this.radius = radius;
 		this.dy = 3;
+		
+		this.variant = variant;
+		this.color = properties.color;
+		this.mass = properties.mass;
+		this.restitution = properties.restitution;
+		this.speed = properties.speed;
+		this.jitter = properties.jitter;
+		
+		// Spin: Speed of the rim, counter-clockwise (see WorldObject.bounce), and how far the ball turned, in radians.
+		this.rotation = 0;
+		this.angle = 0;
+		
+		// Last player whose paddle touched the ball. Gets the point if the ball ends up in someone else's goal.
+		this.sender = null;
+		
+		// Contacts of the last tick (see WorldObject.advance).
+		this.contacts = [];
+		
+		// Player holding the ball before serving it (see World.addBall), and for how many ticks.
+		this.heldBy = null;
+		this.heldTicks = 0;
 	}
 	
 	Ball.prototype = Object.create(WorldObject.prototype);
 	Ball.prototype.constructor = Ball;
 	
-	Ball.prototype.update = function(world) {
-		this.horizontalBounce(world.getVerticalSurfaces());
-		this.verticalBounce(world.getHorizontalSurfaces());
-		this.x += this.dx;
-		this.y += this.dy;
-	};	
-	
-	Ball.prototype.render = function(world) {
-		world.context.beginPath();
-		world.context.arc(this.x, this.y, this.radius, 2 * Math.PI, false);
-		world.context.fillStyle = world.color.primary;
-		world.context.fill();
-	};	
-
-	//--------------------------------------------
-	// Paddle
-	//--------------------------------------------
 	/**
-	 * A paddle is the usual representation of a Player.
+	 * Kinds of balls, by name. Properties left out are those of the normal ball.
+	 *		radius: Size of the ball. Defaults to the ballRadius setting.
+	 *		color: Defaults to the world's primary color.
+	 *		mass: Heavy balls get less spin from paddles (see WorldObject.bounce).
+	 *		restitution: Share of the speed kept when bouncing (combined with the ballRestitution setting).
+	 *		speed: Serve speed, relative to the spawner's speed setting.
+	 *		jitter: Chance of a random change of speed when bouncing on a paddle.
 	 **/
-	function Paddle(x, y, xLen, yLen)
-	{
-		// Must be an integer greater than 0.
-		xLen = xLen && xLen >= 1 ? Math.round(xLen) : 20;
-		yLen = yLen && yLen >= 1 ? Math.round(yLen) : 10;
-		
-		WorldObject.call(this, x, y, xLen, yLen);
-	}
-	
-	Paddle.prototype = Object.create(WorldObject.prototype);
-	Paddle.prototype.constructor = Paddle;
-	
-	// Compute the surface approximate slope in x around (x,y).
-	// Use case: Approximating the change in speed in the perpendicular dimension due to bouncing
-	// on an angled surface or moving object.
-	Paddle.prototype.xGradientAt = function(x, y){
-		return this.dx; //Intentionnally dx instead of dy.
-	}
+	Ball.variants = {
+		normal: {radius: null, color: null, mass: 1, restitution: 1, speed: 1, jitter: 0.25},
+		heavy: {radius: 12, color: '#874904', mass: 3, speed: 0.8, jitter: 0},
+		light: {radius: 5, color: '#f5a623', mass: 0.5, speed: 1.3, jitter: 0.5},
+	};
 	
-	// Compute the surface approximate slope in y around (x,y).
-	// Use case: Approximating the change in speed in the perpendicular dimension due to bouncing
-	// on an angled surface or moving object.
-	Paddle.prototype.yGradientAt = function(x, y){
-		return this.dx;
-	}
+	// Balls are round: No more bounces on the corners of a box they visibly missed.
+	Ball.prototype.shape = 'circle';
 	
-	Paddle.prototype.update = function(world) {
-		this.horizontalBounce(world.getVerticalSurfaces());
-		this.x += this.dx;
-		this.dy = 0;
-	};	
+	// Balls turn like a solid disc.
+	Ball.prototype.inertia = 0.5;
 	
-	Paddle.prototype.render = function(world) {
-		world.context.fillStyle = world.color.primary;
-		world.context.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+	Ball.prototype.shapeFor = function(obj, ox, oy){
+		return {
+			type: 'circle',
+			x: this.x + ox,
+			y: this.y + oy,
+			radius: this.radius,
+		};
 	};
 	
-	//--------------------------------------------
-	// Player
+	// Stay above the server's paddle until the server asks to serve (or takes too long).
+	Ball.prototype.hold = function(world) {
+		var server = this.heldBy;
+		this.heldTicks++;
+		if(server.body.axis == 'x')
+		{
+			this.x = server.body.x;
+		}
+		else
+		{
+			this.y = server.body.y;
+		}
+		
+		var timeout = world.settings.serveTimeout * TICKS_PER_SECOND;
+		if(world.getInput(server.codeName).serve || this.heldTicks >= timeout)
+		{
+			this.heldBy = null;
+			this.dx = this.serveDx;
+			this.dy = this.serveDy;
+			this.sender = server;
+		}
+	};
+	
+	Ball.prototype.bounce = function(contact, world){
+		WorldObject.prototype.bounce.call(this, contact, world);
+		
+		// Add some randomness to the ball movements, when bouncing on a paddle.
+		if(contact.surface instanceof Paddle && this.jitter > 0 && world.random() > 1 - this.jitter)
+		{
+			var dyCache = this.dy;
+			this.dy = (world.random() >= 0.5) ? this.dy * 1.3 : this.dy * 0.8;
+			this.dy = this.dy != 0 ? this.dy : dyCache;
+		}
+	};
+	
+	/**
+	 * Forces acting on the ball in flight, for one tick (see World.settings.physics).
+	 * Rem: The Magnus effect pushes a spinning ball sideways, at right angle to its speed: It curves without
+	 *			speeding up. Heavier balls curve less. The spin fades away.
+	 * Rem: Air drag brings balls faster than their serve back toward it, never slower.
+	 **/
+	Ball.prototype.applyForces = function(world) {
+		var physics = world.settings.physics;
+		var speed = Math.sqrt(this.dx * this.dx + this.dy * this.dy);
+		if(speed == 0)
+		{
+			return;
+		}
+		
+		if(physics.magnus > 0 && this.rotation != 0)
+		{
+			var k = physics.magnus * this.rotation / this.mass;
+			var dx = this.dx - k * this.dy;
+			var dy = this.dy + k * this.dx;
+			var scale = speed / Math.sqrt(dx * dx + dy * dy);
+			this.dx = dx * scale;
+			this.dy = dy * scale;
+		}
+		this.angle += this.rotation / this.radius;
+		this.rotation *= 1 - physics.spinDecay;
+		
+		var target = speed;
+		var serveSpeed = world.settings.spawner.speed * this.speed;
+		if(physics.drag > 0 && speed > serveSpeed)
+		{
+			target = speed - physics.drag * (speed - serveSpeed);
+		}
+		if(physics.maxSpeed > 0)
+		{
+			target = Math.min(target, physics.maxSpeed);
+		}
+		if(target != speed)
+		{
+			this.dx *= target / speed;
+			this.dy *= target / speed;
+		}
+	};
+	
+	Ball.prototype.update = function(world) {
+		if(this.heldBy)
+		{
+			this.hold(world);
+			return;
+		}
+		
+		this.applyForces(world);
+		
+		// Walls near the ball (see World.surfacesNear), then the few paddles and goals.
+		var others = world.getHorizontalSurfaces().concat(world.getGoals());
+		var surfaces = function(ball, time){
+			return world.surfacesNear(ball, time).concat(others);
+		};
+		
+		// Contacts of the current tick, in the order they happened.
+		this.contacts = this.advance(surfaces, world);
+		for(var i = 0; i < this.contacts.length; i++)
+		{
+			var surface = this.contacts[i].surface;
+			if(surface instanceof Paddle)
+			{
+				this.sender = surface.owner || this.sender;
+				world.emit('paddleHit', {ball: this, paddle: surface, player: surface.owner || null, contact: this.contacts[i]});
+			}
+			else if( ! surface.isSensor)
+			{
+				world.emit('wallHit', {ball: this, wall: surface, contact: this.contacts[i]});
+			}
+		}
+	};	
+	
+	Ball.prototype.render = function(world) {
+		var x = this.renderX(world.alpha);
+		var y = this.renderY(world.alpha);
+		world.context.beginPath();
+		world.context.arc(x, y, this.radius, 0, 2 * Math.PI, false);
+		world.context.fillStyle = world.ballColor(this);
+		world.context.fill();
+		
+		// A mark on the ball shows it turning.
+		if(this.radius >= 4)
+		{
+			world.context.beginPath();
+			world.context.arc(
+				x + 0.5 * this.radius * Math.cos(this.angle),
+				y + 0.5 * this.radius * Math.sin(this.angle),
+				0.25 * this.radius, 0, 2 * Math.PI, false
+			);
+			world.context.fillStyle = world.color.background;
+			world.context.fill();
+		}
+	};	
+
+	//--------------------------------------------
+	// Paddle
+	//--------------------------------------------
+	/**
+	 * A paddle is the usual representation of a Player.
+	 * Note: axis is the direction the paddle moves in: x (sideways, at the top or the bottom of the world) or y (up
+	 *			and down, on the left or the right side). Defaults to x.
+	 **/
+	function Paddle(x, y, xLen, yLen, axis)
+	{
+		// Must be an integer greater than 0.
+		xLen = xLen && xLen >= 1 ? Math.round(xLen) : 20;
+		yLen = yLen && yLen >= 1 ? Math.round(yLen) : 10;
+		
+		WorldObject.call(this, x, y, xLen, yLen);
+		
+		axis = axis || 'x';
+		if(axis !== 'x' && axis !== 'y')
+		{
+			throw new Error('Usage: axis must be x or y. Got: ' + axis);
+		}
+		this.axis = axis;
+	}
+	
+	Paddle.prototype = Object.create(WorldObject.prototype);
+	Paddle.prototype.constructor = Paddle;
+	
+	// Position along the axis of the paddle.
+	Paddle.prototype.position = function() {
+		return this.axis == 'x' ? this.x : this.y;
+	};
+	
+	// Speed along the axis of the paddle.
+	Paddle.prototype.speed = function() {
+		return this.axis == 'x' ? this.dx : this.dy;
+	};
+	
+	// Move along the axis of the paddle, at the given speed, for the current tick.
+	Paddle.prototype.setSpeed = function(speed) {
+		this.dx = this.axis == 'x' ? speed : 0;
+		this.dy = this.axis == 'x' ? 0 : speed;
+	};
+	
+	// Length of the paddle, along its axis.
+	Paddle.prototype.length = function() {
+		return this.axis == 'x' ? this.xLen : this.yLen;
+	};
+	
+	Paddle.prototype.update = function(world) {
+		this.pushOut(world.surfacesNear(this));
+		this.advance(world.surfacesNear.bind(world), world);
+		
+		// Never leave the axis (even when bouncing on obstacles).
+		if(this.axis == 'x')
+		{
+			this.dy = 0;
+		}
+		else
+		{
+			this.dx = 0;
+		}
+	};
+	
+	// Step along our axis out of the surfaces overlapping us (ex: the wave of a lateral wall ran into the paddle).
+	// Rem: Paddles only move along their axis. Overlaps are otherwise resolved along the shallowest axis (see
+	//			WorldObject.sweep), which may be across it near the end of a wall: The paddle would then go through it.
+	Paddle.prototype.pushOut = function(surfaces){
+		for(var i = 0; i < surfaces.length; i++)
+		{
+			var bounds = surfaces[i].boundsFor(this);
+			if(this.xMax() <= bounds.xMin || this.xMin() >= bounds.xMax
+				|| this.yMax() <= bounds.yMin || this.yMin() >= bounds.yMax)
+			{
+				continue;
+			}
+			if(this.axis == 'x')
+			{
+				var toLeft = this.xMax() - bounds.xMin;
+				var toRight = bounds.xMax - this.xMin();
+				this.x += toLeft < toRight ? -1 * toLeft : toRight;
+			}
+			else
+			{
+				var toBottom = this.yMax() - bounds.yMin;
+				var toTop = bounds.yMax - this.yMin();
+				this.y += toBottom < toTop ? -1 * toBottom : toTop;
+			}
+		}
+	};
+	
+	// Paddles don't bounce: They stop against obstacles (but may slide along them).
+	Paddle.prototype.bounce = function(contact, world){
+		var vn = this.dx * contact.normal.x + this.dy * contact.normal.y;
+		if(vn < 0)
+		{
+			this.dx = this.dx - vn * contact.normal.x;
+			this.dy = this.dy - vn * contact.normal.y;
+		}
+	};	
+	
+	Paddle.prototype.render = function(world) {
+		world.context.fillStyle = world.color.primary;
+		world.context.fillRect(
+			this.renderX(world.alpha) - 0.5 * this.xLen,
+			this.renderY(world.alpha) - 0.5 * this.yLen,
+			this.xLen,
+			this.yLen
+		);
+	};
+	
+	//--------------------------------------------
+	// Player
 	//--------------------------------------------
 	/**
 	 * A Player.
+	 * Note: codeName identifies the player (inputs, scores), name is for display.
 	 **/
-	function Player(body, goal, codeName)
+	function Player(body, goal, codeName, name)
 	{
 		this.body = body;
-		this.moveLeftKey = 37;
-		this.moveRightKey = 39;
 		this.goal = goal;
 		this.maxDx = 10;
 		this.codeName = codeName ? codeName : 'player';
+		this.name = name ? name : this.codeName;
+		
+		// Points scored during the current match.
+		this.score = 0;
+		
+		// Left is right and right is left (see the reverse pickup).
+		this.reversed = false;
+		
+		// Let the paddle and the goal know who they belong to (ex: to credit points to the right player).
+		this.body.owner = this;
+		this.goal.owner = this;
 	}
 	
+	Player.prototype.isComputer = function(){
+		return false;
+	};
+	
 	Player.prototype.getLosses = function(){
 		return this.goal.countBalls();
 	};
 	
 	Player.prototype.update = function(world){
+		this.move(world);
 		
-		//Forget previous speed (makes the paddle stop when not hitting a key).
-		this.body.dx = 0;
-		this.body.dy = 0;
+		// Catch balls
+		this.goal.catchBalls(world);
+	};
+	
+	// Move the paddle according to the inputs of this tick.
+	// Note: Online clients predict their own paddle with it, without catching balls (see OnlineClient).
+	// Note: Paddles moving up and down (see Paddle.axis) go down with left, up with right, toward targetY with pointers.
+	Player.prototype.move = function(world){
 		
-		//Compute new speed.
-		//Note: using global keysDown. Found no elegant way to remove this global variable.
-		for(var key in keysDown)
+		//Compute new speed from the abstract inputs of this tick (see World.step).
+		//No input, no speed (makes the paddle stop when not hitting a key).
+		var speed = 0;
+		var input = world.getInput(this.codeName);
+		var target = this.body.axis == 'x' ? input.targetX : input.targetY;
+		if(input.left && ! input.right)
 		{
-			//Moving faster when repeating the same direction.
-			switch(Number(key))
-			{
-				case this.moveLeftKey:
-					this.body.dx = -1 * this.maxDx;
-					break;
-				case this.moveRightKey:
-					this.body.dx = this.maxDx;
-					break;
-				default:
-					break;
-			}
+			speed = -1 * this.maxDx;
+		}
+		else if(input.right && ! input.left)
+		{
+			speed = this.maxDx;
+		}
+		else if(isFinite(target))
+		{
+			// Pointer controls: Move toward the target, as fast as allowed.
+			speed = Math.max(-1 * this.maxDx, Math.min(this.maxDx, target - this.body.position()));
+		}
+		if(this.reversed)
+		{
+			speed = -1 * speed;
 		}
+		this.body.setSpeed(speed);
 		
 		// Bounce on obstacles before next rendering.
 		this.body.update(world);
-		
-		// Catch balls
-		this.goal.catchBalls(world);
 	};
 	
 	Player.prototype.render = function(world){
@@ -350,26 +1229,81 @@
 	//--------------------------------------------
 	/**
 	 * An automated Player.
+	 * Note: The strategy decides how the paddle moves (see Strategy). Defaults to the classic strategy.
 	 **/
-	function Computer(body, goal, codeName)
+	function Computer(body, goal, codeName, name, strategy)
 	{
-		Player.call(this, body, goal, name);
-		this.moveLeftKey = null;
-		this.moveRightKey = null;
+		Player.call(this, body, goal, codeName, name);
 		this.maxDx = 10;
 		this.codeName = codeName ? codeName : 'computer';
+		this.strategy = strategy || createStrategy('classic');
 	}
 	
 	Computer.prototype = Object.create(Player.prototype);
 	Computer.prototype.constructor = Computer;
+	
+	Computer.prototype.isComputer = function(){
+		return true;
+	};
 
 	Computer.prototype.update = function(world){
 		
+		// Let the strategy set the paddle's speed.
+		this.strategy.decide(this, world);
+		var speed = this.body.speed();
+		if(this.reversed)
+		{
+			speed = -1 * speed;
+		}
+		
+		//Limit speed (imperfect tracking)
+		var maxDx = Math.min(this.maxDx, this.strategy.maxDx || Infinity);
+		if(Math.abs(speed) > maxDx)
+		{
+			speed = speed > 0 ? maxDx : -1 * maxDx;
+		}
+		this.body.setSpeed(speed);
+
+		// Bounce on obstacles before next rendering. The paddle never leaves its axis (see Paddle.update).
+		this.body.update(world);
+		
+		// Catch balls
+		this.goal.catchBalls(world);
+	};
+
+	//--------------------------------------------
+	// Strategies
+	//--------------------------------------------
+	/**
+	 * A strategy drives the paddle of a Computer. Any object with the following can be used as a strategy:
+	 *		decide(computer, world): Set the speed of computer.body for the current tick (see Paddle.setSpeed).
+	 *		maxDx: Optional. Lower speed limit than the computer's own.
+	 * Built-in strategies are created by name (see createStrategy and Strategy.presets).
+	 **/
+	
+	/**
+	 * The original opponent: Perfect tracking of the closest ball moving up, until it gets close.
+	 * Note: Assumes the computer defends the top of the world.
+	 **/
+	function ClassicStrategy()
+	{
+	}
+	
+	ClassicStrategy.prototype.decide = function(computer, world){
 		if(world.balls.length > 0)
 		{
+			// With several balls, the closest one moving up. Otherwise the first one.
 			var ball = world.balls[0];
+			for(var i = 0; i < world.balls.length; i++)
+			{
+				var candidate = world.balls[i];
+				if(candidate.dy > 0 && (ball.dy <= 0 || candidate.y > ball.y))
+				{
+					ball = candidate;
+				}
+			}
 			
-			var distanceToBall = this.body.y - ball.y;
+			var distanceToBall = computer.body.y - ball.y;
 			var minTrackingDistance = Math.round(0.15 * world.yLen());
 			
 			// If the ball is moving toward the paddle, move toward the ball
@@ -377,7 +1311,7 @@
 			if(ball.dy > 0 && (distanceToBall > minTrackingDistance))
 			{
 				// Calculate x distance to ball and set change in position accordingly (perfect tracking).
-				this.body.dx = ball.x - this.body.x;
+				computer.body.dx = ball.x - computer.body.x;
 			}
 			// Give some x speed to the ball if:
 			//		1) The ball is moving toward the paddle (optimisation to avoid calling touches).
@@ -388,179 +1322,1508 @@
 			//			we're not actually changing the ball's speed (allowing the ball to define its
 			//			own bouncing logic, for various types of balls).
 			//			This is coherent with the WorldObject metaphor and object decoupling.
-			else if(ball.dy > 0 && Math.abs(ball.dx) > 0 && (this.body.touches(ball)))
+			else if(ball.dy > 0 && Math.abs(ball.dx) > 0 && (computer.body.touches(ball)))
 			{
-				this.body.dx = Math.round(0.6 * this.maxDx);
-				//Reverse direction for more ball effects...
-				this.body.dx = ball.dx > 0 ? -1 * this.body.dx : this.body.dx;
+				computer.body.dx = 0.6 * computer.maxDx;
+				//Move along with the ball: The paddle's spin speeds it up (see WorldObject.bounce).
+				computer.body.dx = ball.dx < 0 ? -1 * computer.body.dx : computer.body.dx;
 			}
 		}
+	};
+	
+	/**
+	 * A tunable opponent. Works for paddles on every side of the world (see Paddle.axis).
+	 * Options:
+	 *		reactionDelay: Ticks between two decisions. The paddle keeps going for its last target in between.
+	 *		predictionError: Largest error on the target, in pixels. Drawn at random for each decision.
+	 *		predict: true to aim where the ball will reach the paddle (with bounces on the lateral walls),
+	 *			false to follow the ball's current position.
+	 *		pickBall: 'closest' to defend against the closest incoming ball, 'threat' for the one arriving first.
+	 *		maxDx: Speed limit of the paddle.
+	 **/
+	function Strategy(options)
+	{
+		this.options = Object.assign({}, Strategy.defaults, options);
+		this.maxDx = this.options.maxDx;
 		
-		//Limit x speed (imperfect tracking)
-		if(Math.abs(this.body.dx) > this.maxDx)
+		// Current plan: Where to go (along the paddle's axis) and when it was decided.
+		this.targetX = null;
+		this.decidedAt = -Infinity;
+	}
+	
+	Strategy.defaults = {
+		reactionDelay: 0,
+		predictionError: 0,
+		predict: true,
+		pickBall: 'closest',
+		maxDx: 10,
+	};
+	
+	// Built-in opponents, by name (see createStrategy).
+	Strategy.presets = {
+		easy: {reactionDelay: 20, predictionError: 60, predict: false, maxDx: 6},
+		medium: {reactionDelay: 10, predictionError: 25, predict: true, maxDx: 8},
+		hard: {reactionDelay: 3, predictionError: 6, predict: true, maxDx: 10},
+		// Made for multi ball games: Defends against the ball that will arrive first.
+		juggler: {reactionDelay: 3, predictionError: 6, predict: true, pickBall: 'threat', maxDx: 10},
+	};
+	
+	Strategy.prototype.decide = function(computer, world){
+		var now = world.match.ticks;
+		if(now - this.decidedAt >= this.options.reactionDelay)
 		{
-			this.body.dx = this.body.dx > 0 ? this.maxDx : -1 * this.maxDx;
+			this.decidedAt = now;
+			this.targetX = this.chooseTarget(computer, world);
+			if(this.targetX !== null && this.options.predictionError > 0)
+			{
+				this.targetX += (2 * world.random() - 1) * this.options.predictionError;
+			}
 		}
-
-		// Bounce on obstacles before next rendering.
-		this.body.update(world);
 		
-		//Never move vertically (even when bouncing on obstacles).
-		this.body.dy = 0;
+		// Without a ball to defend against, wait in the middle.
+		var middle = computer.body.axis == 'x' ? world.xMiddle() : world.yMiddle();
+		var target = this.targetX !== null ? this.targetX : middle;
+		computer.body.setSpeed(target - computer.body.position());
+	};
+	
+	// Where the paddle should be, along its axis. Returns null when no ball is coming.
+	// Rem: Written for paddles moving sideways: Up and down are swapped with left and right for the others.
+	Strategy.prototype.chooseTarget = function(computer, world){
+		var paddle = computer.body;
+		var sideways = paddle.axis == 'x';
+		var best = null;
 		
-		// Catch balls
-		this.goal.catchBalls(world);
+		for(var i = 0; i < world.balls.length; i++)
+		{
+			var ball = world.balls[i];
+			var ballY = sideways ? ball.y : ball.x;
+			var ballDy = sideways ? ball.dy : ball.dx;
+			var paddleY = sideways ? paddle.y : paddle.x;
+			
+			// Only balls coming toward the paddle.
+			var side = paddleY > ballY ? 1 : -1;
+			if(ballDy * side <= 0)
+			{
+				continue;
+			}
+			
+			// Height the center of the ball has when touching the paddle, and time to get there.
+			var contactY = paddleY - side * (0.5 * (sideways ? paddle.yLen : paddle.xLen) + ball.radius);
+			var ticks = (contactY - ballY) / ballDy;
+			var distance = Math.abs(contactY - ballY);
+			
+			var score = this.options.pickBall == 'threat' ? ticks : distance;
+			if( ! best || score < best.score)
+			{
+				var x = this.options.predict
+					? (sideways ? world.predictX(ball, ticks) : world.predictY(ball, ticks))
+					: (sideways ? ball.x : ball.y);
+				best = {score: score, x: x};
+			}
+		}
+		return best ? best.x : null;
 	};
+	
+	// Create a built-in strategy by name. Ex: 'easy', 'medium', 'hard', 'juggler', 'classic'.
+	function createStrategy(name)
+	{
+		if(name == 'classic')
+		{
+			return new ClassicStrategy();
+		}
+		if( ! Strategy.presets.hasOwnProperty(name))
+		{
+			throw new Error('Usage: Unknown strategy. Expected one of: classic, '
+				+ Object.keys(Strategy.presets).join(', ') + '. Got: ' + name);
+		}
+		return new Strategy(Strategy.presets[name]);
+	}
 
 	//--------------------------------------------
 	// Walls
 	//--------------------------------------------
 	/**
-	 * A wall to prevent the ball from escaping on each sides (vertically).
+	 * Common prototype for walls.
+	 * The inner face of a wall (the one facing the arena) can oscillate as a travelling wave:
+	 *		offset(y, t) = amplitude * sin(2π * y / wavelength - 2π * frequency * t + phase)
+	 * Note: amplitude and wavelength are in pixels, frequency in Hz (waves per second) and phase in radians.
+	 * Note: A positive offset pushes the face toward the arena. With an amplitude of 0, the wall is a plain rectangle.
+	 * Note: face is 1 when the inner face is on the right side of the wall (xMax), -1 when on the left side (xMin).
 	 **/
-	function LeftWall(x, y, xLen, yLen)
+	function Wall(x, y, xLen, yLen, face, wave)
 	{
 		WorldObject.call(this, x, y, xLen, yLen);
-		/*this.t = 0;
-		this.f = 1;
-		this.a0 = 0.15;
-		this.a = 0;
-		this.p = 0;
-		this.omega = 0;*/
+		
+		if(face !== 1 && face !== -1)
+		{
+			throw new Error('Usage: face must be 1 or -1. Got: ' + face);
+		}
+		this.face = face;
+		
+		this.wave = Object.assign({}, Wall.defaultWave, wave);
+		if( ! (isFinite(this.wave.amplitude) && this.wave.amplitude >= 0))
+		{
+			throw new Error('Usage: wave.amplitude must be a finite number greater or equal to 0. Got: ' + this.wave.amplitude);
+		}
+		if( ! (isFinite(this.wave.wavelength) && this.wave.wavelength > 0))
+		{
+			throw new Error('Usage: wave.wavelength must be a finite number greater than 0. Got: ' + this.wave.wavelength);
+		}
+		if( ! (isFinite(this.wave.frequency) && isFinite(this.wave.phase)))
+		{
+			throw new Error('Usage: wave.frequency and wave.phase must be finite numbers. Got: '
+				+ this.wave.frequency + ', ' + this.wave.phase);
+		}
+		
+		// Time, in ticks.
+		this.t = 0;
 	}
 	
-	LeftWall.prototype = Object.create(WorldObject.prototype);
-	LeftWall.prototype.constructor = LeftWall;
+	Wall.defaultWave = {
+		amplitude: 0,
+		frequency: 0,
+		phase: 0,
+		wavelength: 100,
+	};
 	
-	LeftWall.prototype.update = function(world) {
-	};	
+	Wall.prototype = Object.create(WorldObject.prototype);
+	Wall.prototype.constructor = Wall;
 	
-	LeftWall.prototype.render = function(world) {
-		world.context.fillStyle = world.color.wall;
-		world.context.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+	// Phase of the wave at height y.
+	Wall.prototype.waveAngleAt = function(y){
+		var w = this.wave;
+		return 2 * Math.PI * (y / w.wavelength - w.frequency * this.t / TICKS_PER_SECOND) + w.phase;
+	};
+	
+	// Position in x of the inner face at height y.
+	Wall.prototype.faceAt = function(y){
+		var base = this.face > 0 ? this.xMax() : this.xMin();
+		return base + this.face * this.wave.amplitude * Math.sin(this.waveAngleAt(y));
+	};
+	
+	// Slope of the inner face (dx/dy) at height y. This is the true local slope of the wave.
+	Wall.prototype.xGradientAt = function(x, y){
+		var w = this.wave;
+		return this.face * w.amplitude * (2 * Math.PI / w.wavelength) * Math.cos(this.waveAngleAt(y));
+	};
+	
+	// The inner face goes back and forth by the amplitude of the wave.
+	Wall.prototype.extent = function(){
+		var extent = WorldObject.prototype.extent.call(this);
+		extent.xMin -= this.wave.amplitude;
+		extent.xMax += this.wave.amplitude;
+		return extent;
+	};
+	
+	// Expose the inner face at the height of the given object.
+	Wall.prototype.boundsFor = function(obj){
+		var bounds = WorldObject.prototype.boundsFor.call(this, obj);
+		if(this.face > 0)
+		{
+			bounds.xMax = this.faceAt(obj.y);
+		}
+		else
+		{
+			bounds.xMin = this.faceAt(obj.y);
+		}
+		return bounds;
+	};
+	
+	Wall.prototype.update = function(world) {
+		this.t++;
+	};
+	
+	Wall.prototype.render = function(world) {
+		var ctx = world.context;
+		ctx.fillStyle = world.color.wall;
+		
+		if(this.wave.amplitude == 0)
+		{
+			ctx.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+			return;
+		}
+		
+		// Draw the back of the wall, then follow the wave profile of the inner face.
+		var back = this.face > 0 ? this.xMin() : this.xMax();
+		var yMin = this.yMin();
+		var yMax = this.yMax();
+		var step = 4; //Pixels between two points of the profile.
+		
+		ctx.beginPath();
+		ctx.moveTo(back, yMin);
+		for(var y = yMin; y < yMax; y += step)
+		{
+			ctx.lineTo(this.faceAt(y), y);
+		}
+		ctx.lineTo(this.faceAt(yMax), yMax);
+		ctx.lineTo(back, yMax);
+		ctx.closePath();
+		ctx.fill();
 	};
 	
 	/**
 	 * A wall to prevent the ball from escaping on each sides (vertically).
 	 **/
-	function RightWall(x, y, xLen, yLen)
+	function LeftWall(x, y, xLen, yLen, wave)
 	{
-		WorldObject.call(this, x, y, xLen, yLen);
+		Wall.call(this, x, y, xLen, yLen, 1, wave);
 	}
 	
-	RightWall.prototype = Object.create(WorldObject.prototype);
-	RightWall.prototype.constructor = RightWall;
+	LeftWall.prototype = Object.create(Wall.prototype);
+	LeftWall.prototype.constructor = LeftWall;
 	
-	RightWall.prototype.update = function(world) {
-	};	
+	/**
+	 * A wall to prevent the ball from escaping on each sides (vertically).
+	 **/
+	function RightWall(x, y, xLen, yLen, wave)
+	{
+		Wall.call(this, x, y, xLen, yLen, -1, wave);
+	}
 	
-	RightWall.prototype.render = function(world) {
-		world.context.fillStyle = world.color.wall;
-		world.context.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+	RightWall.prototype = Object.create(Wall.prototype);
+	RightWall.prototype.constructor = RightWall;
+	
+	/**
+	 * A straight wall rotated around its center: An obstacle the ball bounces off at an angle.
+	 * Note: length and thickness are the sizes of the wall before rotation, angle is in radians (counter clockwise).
+	 * Note: xLen and yLen are the sizes of the box around the rotated wall.
+	 **/
+	function AngledWall(x, y, length, thickness, angle)
+	{
+		if( ! (isFinite(length) && length >= 1 && isFinite(thickness) && thickness >= 1))
+		{
+			throw new Error('Usage: length and thickness must be finite numbers greater or equal to 1. Got: '
+				+ length + ', ' + thickness);
+		}
+		if( ! isFinite(angle))
+		{
+			throw new Error('Usage: angle must be a finite number. Got: ' + angle);
+		}
+		
+		var cos = Math.abs(Math.cos(angle));
+		var sin = Math.abs(Math.sin(angle));
+		WorldObject.call(this, x, y, Math.max(1, length * cos + thickness * sin), Math.max(1, length * sin + thickness * cos));
+		
+		this.length = length;
+		this.thickness = thickness;
+		this.angle = angle;
+	}
+	
+	AngledWall.prototype = Object.create(WorldObject.prototype);
+	AngledWall.prototype.constructor = AngledWall;
+	
+	AngledWall.prototype.shape = 'polygon';
+	
+	// Corners of the wall, counter clockwise.
+	AngledWall.prototype.vertices = function(){
+		var cos = Math.cos(this.angle);
+		var sin = Math.sin(this.angle);
+		var hl = 0.5 * this.length;
+		var ht = 0.5 * this.thickness;
+		var corners = [[-hl, -ht], [hl, -ht], [hl, ht], [-hl, ht]];
+		
+		var self = this;
+		return corners.map(function(c) {
+			return {
+				x: self.x + c[0] * cos - c[1] * sin,
+				y: self.y + c[0] * sin + c[1] * cos,
+			};
+		});
+	};
+	
+	AngledWall.prototype.shapeFor = function(obj, ox, oy){
+		return {
+			type: 'polygon',
+			vertices: this.vertices().map(function(v) {
+				return {x: v.x + ox, y: v.y + oy};
+			}),
+		};
+	};
+	
+	AngledWall.prototype.thinnest = function(){
+		return this.thickness;
+	};
+	
+	AngledWall.prototype.update = function(world) {
+	};
+	
+	AngledWall.prototype.render = function(world) {
+		var vertices = this.vertices();
+		var ctx = world.context;
+		
+		ctx.fillStyle = world.color.wall;
+		ctx.beginPath();
+		ctx.moveTo(vertices[0].x, vertices[0].y);
+		for(var i = 1; i < vertices.length; i++)
+		{
+			ctx.lineTo(vertices[i].x, vertices[i].y);
+		}
+		ctx.closePath();
+		ctx.fill();
+	};
+	
+	/**
+	 * A rectangular obstacle, moving back and forth along a straight path. Without a path, it stands still.
+	 * path:
+	 *		dx, dy: Farthest position from the starting point (x, y), in world units.
+	 *		period: Duration of a round trip, in seconds.
+	 *		phase: Progress of the round trip at time 0, in radians. Defaults to 0 (at the starting point).
+	 * Note: The wall eases in and out at both ends of its path. Balls and paddles it hits get kicked along.
+	 **/
+	function MovingWall(x, y, xLen, yLen, path)
+	{
+		WorldObject.call(this, x, y, xLen, yLen);
+		
+		this.path = Object.assign({dx: 0, dy: 0, period: 1, phase: 0}, path);
+		if( ! (isFinite(this.path.dx) && isFinite(this.path.dy) && isFinite(this.path.phase)))
+		{
+			throw new Error('Usage: path.dx, path.dy and path.phase must be finite numbers. Got: '
+				+ this.path.dx + ', ' + this.path.dy + ', ' + this.path.phase);
+		}
+		if( ! (isFinite(this.path.period) && this.path.period > 0))
+		{
+			throw new Error('Usage: path.period must be a finite number greater than 0. Got: ' + this.path.period);
+		}
+		
+		this.originX = this.x;
+		this.originY = this.y;
+		
+		// Time, in ticks.
+		this.t = 0;
+		this.moveTo(0);
+		this.savePosition();
+	}
+	
+	MovingWall.prototype = Object.create(WorldObject.prototype);
+	MovingWall.prototype.constructor = MovingWall;
+	
+	// Place the wall where it is at the given time (in ticks).
+	MovingWall.prototype.moveTo = function(t){
+		var angle = 2 * Math.PI * t / (this.path.period * TICKS_PER_SECOND) + this.path.phase;
+		var progress = 0.5 * (1 - Math.cos(angle));
+		this.x = this.originX + progress * this.path.dx;
+		this.y = this.originY + progress * this.path.dy;
+	};
+	
+	MovingWall.prototype.update = function(world) {
+		this.t++;
+		this.moveTo(this.t);
+	};
+	
+	// The whole path, from the starting point to the farthest position.
+	MovingWall.prototype.extent = function(){
+		var x = this.originX + Math.min(0, this.path.dx);
+		var y = this.originY + Math.min(0, this.path.dy);
+		return {
+			xMin: x - 0.5 * this.xLen,
+			xMax: x + Math.abs(this.path.dx) + 0.5 * this.xLen,
+			yMin: y - 0.5 * this.yLen,
+			yMax: y + Math.abs(this.path.dy) + 0.5 * this.yLen,
+		};
+	};
+	
+	MovingWall.prototype.render = function(world) {
+		world.context.fillStyle = world.color.wall;
+		world.context.fillRect(
+			this.renderX(world.alpha) - 0.5 * this.xLen,
+			this.renderY(world.alpha) - 0.5 * this.yLen,
+			this.xLen,
+			this.yLen
+		);
+	};
+	
+	
+	//--------------------------------------------
+	// Goal
+	//--------------------------------------------
+	/**
+	 * A goal to prevent the ball from escaping on top sides (horizontaly).
+	 * Note: player is the owner of the goal, the one who concedes a point when a ball gets in.
+	 **/
+	function Goal(x, y, xLen, yLen, player)
+	{
+		WorldObject.call(this, x, y, xLen, yLen);
+		this.balls = [];
+		this.owner = player || null;
+	}
+	
+	Goal.prototype = Object.create(WorldObject.prototype);
+	Goal.prototype.constructor = Goal;
+	
+	// Balls don't bounce on goals: They stop in them, waiting to be caught (see WorldObject.advance).
+	Goal.prototype.isSensor = true;
+	
+	Goal.prototype.countBalls = function() {
+		return this.balls.length;
+	}
+	
+	// A shielded goal is a plain surface: Balls bounce on it (see the shield pickup).
+	Goal.prototype.isShielded = function() {
+		return ! this.isSensor;
+	};
+	
+	Goal.prototype.catchBalls = function(world) {
+		if(this.isShielded())
+		{
+			return;
+		}
+		// Rem: Backward, since caught balls leave the list.
+		for(var i = world.balls.length - 1; i >= 0; i--)
+		{
+			var ball = world.balls[i];
+			if(ball.touches(this))
+			{
+				this.balls.push(ball);
+				world.removeBall(i);
+				world.scorePoint(ball, this);
+				
+				// The winning point clears the remaining balls.
+				if(world.isMatchOver())
+				{
+					return;
+				}
+			}
+		}
+	};
+	
+	Goal.prototype.render = function(world) {
+		world.context.fillStyle = world.color.background;
+		world.context.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+	};
+	
+	Goal.prototype.renderShield = function(world) {
+		world.context.fillStyle = world.pickupColor('shield');
+		if(this.xLen >= this.yLen)
+		{
+			world.context.fillRect(this.xMin(), this.y - 2, this.xLen, 4);
+		}
+		else
+		{
+			world.context.fillRect(this.x - 2, this.yMin(), 4, this.yLen);
+		}
+	};
+	
+	//--------------------------------------------
+	// Pickups
+	//--------------------------------------------
+	/**
+	 * A collectible item, waiting in the arena. The ball that runs into it carries it to the last player who hit
+	 * the ball (ball.sender): The effect applies right away (see Pickup.effects and World.applyEffect).
+	 * Note: Balls go through pickups. Balls nobody hit yet don't collect anything.
+	 **/
+	function Pickup(x, y, radius, effect)
+	{
+		if( ! Pickup.effects.hasOwnProperty(effect))
+		{
+			throw new Error('Usage: Unknown pickup effect. Expected one of: ' + Object.keys(Pickup.effects).join(', ')
+				+ '. Got: ' + effect);
+		}
+		radius = radius && radius >= 1 ? Math.round(radius) : 1;
+		
+		WorldObject.call(this, x, y, 2 * radius, 2 * radius);
+		this.radius = radius;
+		this.effect = effect;
+		
+		// Tick of the match at which the pickup vanishes, when nobody collects it.
+		this.expiresAt = Infinity;
+	}
+	
+	Pickup.prototype = Object.create(WorldObject.prototype);
+	Pickup.prototype.constructor = Pickup;
+	
+	Pickup.prototype.shape = 'circle';
+	
+	// Did the given ball run into us during the last tick?
+	// Rem: Distance from our center to the path of the ball (a segment), so fast balls don't skip over us.
+	Pickup.prototype.isTouchedBy = function(ball){
+		var vx = ball.x - ball.prevX;
+		var vy = ball.y - ball.prevY;
+		var length2 = vx * vx + vy * vy;
+		var t = length2 > 0 ? ((this.x - ball.prevX) * vx + (this.y - ball.prevY) * vy) / length2 : 0;
+		t = Math.max(0, Math.min(1, t));
+		
+		var dx = ball.prevX + t * vx - this.x;
+		var dy = ball.prevY + t * vy - this.y;
+		var reach = this.radius + ball.radius;
+		return dx * dx + dy * dy <= reach * reach;
+	};
+	
+	Pickup.prototype.render = function(world) {
+		var ctx = world.context;
+		ctx.beginPath();
+		ctx.arc(this.x, this.y, this.radius, 0, 2 * Math.PI, false);
+		ctx.fillStyle = world.pickupColor(this.effect);
+		ctx.fill();
+		ctx.lineWidth = 2;
+		ctx.strokeStyle = world.color.primary;
+		ctx.stroke();
+	};
+	
+	/**
+	 * What pickups do, by name.
+	 *		label, color: For the HUD and the pickup itself.
+	 *		duration: In seconds. 0 for instant effects (nothing to revert).
+	 *		target: self (the player who collected it), opponents (every other player) or world.
+	 *		group: Effects of the same group don't stack on the same target: The new one replaces the old one.
+	 *		apply(world, player, ball): Apply the effect to the given target player (the collector for world effects).
+	 *			ball is the one that collected the pickup. Returns what revert needs to undo the effect.
+	 *		revert(world, player, state): Undo the effect, when it expires.
+	 **/
+	Pickup.effects = {
+		widen: {
+			label: 'Wide paddle', color: '#2e9e44', duration: 10, target: 'self', group: 'paddleSize',
+			apply: function(world, player) {
+				var state = {length: player.body.length()};
+				resizePaddle(world, player, 1.5 * state.length);
+				return state;
+			},
+			revert: function(world, player, state) {
+				resizePaddle(world, player, state.length);
+			},
+		},
+		shrink: {
+			label: 'Small paddle', color: '#c0392b', duration: 10, target: 'opponents', group: 'paddleSize',
+			apply: function(world, player) {
+				var state = {length: player.body.length()};
+				resizePaddle(world, player, 0.6 * state.length);
+				return state;
+			},
+			revert: function(world, player, state) {
+				resizePaddle(world, player, state.length);
+			},
+		},
+		speedUp: {
+			label: 'Fast balls', color: '#e67e22', duration: 8, target: 'world', group: 'ballSpeed',
+			// Rem: Remember the speed of each ball: Drag, bounces and physics.maxSpeed change it in the meantime.
+			apply: function(world) {
+				var balls = world.balls.filter(function(ball) {
+					return ! ball.heldBy;
+				});
+				var speeds = balls.map(function(ball) {
+					var speed = Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy);
+					ball.dx *= 1.5;
+					ball.dy *= 1.5;
+					return speed;
+				});
+				return {balls: balls, speeds: speeds};
+			},
+			// Balls get their speed back, in the direction they go now.
+			// Note: Balls caught in the meantime are gone. Only balls still in play slow down.
+			revert: function(world, player, state) {
+				for(var i = 0; i < state.balls.length; i++)
+				{
+					var ball = state.balls[i];
+					var speed = Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy);
+					if(world.balls.indexOf(ball) >= 0 && speed > 0)
+					{
+						ball.dx *= state.speeds[i] / speed;
+						ball.dy *= state.speeds[i] / speed;
+					}
+				}
+			},
+		},
+		split: {
+			label: 'Split ball', color: '#8e44ad', duration: 0, target: 'world', group: 'split',
+			// The ball splits in two, going apart.
+			apply: function(world, player, ball) {
+				if( ! ball)
+				{
+					return null;
+				}
+				if(ball.dx == 0)
+				{
+					ball.dx = 0.5 * Math.abs(ball.dy);
+				}
+				var twin = new Ball(ball.x, ball.y, ball.radius, ball.variant);
+				twin.dx = -1 * ball.dx;
+				twin.dy = ball.dy;
+				twin.restitution = ball.restitution;
+				twin.rotation = -1 * ball.rotation;
+				twin.sender = ball.sender;
+				world.balls.push(twin);
+				world.emit('ballSpawned', {ball: twin, server: null});
+				return null;
+			},
+			revert: function() {
+			},
+		},
+		shield: {
+			label: 'Shield', color: '#2980b9', duration: 8, target: 'self', group: 'shield',
+			apply: function(world, player) {
+				player.goal.isSensor = false;
+				return null;
+			},
+			revert: function(world, player) {
+				delete player.goal.isSensor;
+			},
+		},
+		freeze: {
+			label: 'Frozen walls', color: '#48c9e0', duration: 8, target: 'world', group: 'freeze',
+			apply: function(world) {
+				world.wallsFrozen = true;
+				return null;
+			},
+			revert: function(world) {
+				world.wallsFrozen = false;
+			},
+		},
+		reverse: {
+			label: 'Reversed controls', color: '#d63384', duration: 6, target: 'opponents', group: 'reverse',
+			apply: function(world, player) {
+				player.reversed = true;
+				return null;
+			},
+			revert: function(world, player) {
+				player.reversed = false;
+			},
+		},
+	};
+	
+	// Change the length of the paddle of the given player, keeping it inside the arena.
+	// Rem: Keep clear of the crests of the waves too. A paddle starting inside a wall goes through it.
+	// Note: Paddles moving up and down step out of the walls on their own (see Paddle.pushOut).
+	function resizePaddle(world, player, length)
+	{
+		var body = player.body;
+		if(body.axis == 'y')
+		{
+			body.yLen = Math.max(1, Math.round(length));
+			return;
+		}
+		body.xLen = Math.max(1, Math.round(length));
+		
+		var bounds = world.getArenaBounds();
+		var crest = 0;
+		for(var i = 0; i < world.defaultWalls.length; i++)
+		{
+			crest = Math.max(crest, world.defaultWalls[i].wave ? world.defaultWalls[i].wave.amplitude : 0);
+		}
+		var min = bounds.xMin + crest + 0.5 * body.xLen;
+		var max = bounds.xMax - crest - 0.5 * body.xLen;
+		if(min <= max)
+		{
+			body.x = Math.max(min, Math.min(max, body.x));
+		}
+	}
+	
+	//--------------------------------------------
+	// Grid
+	//--------------------------------------------
+	/**
+	 * Broad phase of the collisions: A uniform grid of square cells, listing the objects that overlap each cell.
+	 * Finds the few objects near a box without testing every object in the world (see World.surfacesNear).
+	 * Note: Objects are inserted with their extent, the box they may cover at any time (see WorldObject.extent).
+	 *			Objects moving within their extent don't need to be inserted again.
+	 * Note: Queries return objects in the order they were inserted, whatever the cells they're found in. Worlds play
+	 *			the same with or without the grid.
+	 **/
+	function Grid(cellSize)
+	{
+		if( ! (isFinite(cellSize) && cellSize > 0))
+		{
+			throw new Error('Usage: cellSize must be a finite number greater than 0. Got: ' + cellSize);
+		}
+		this.cellSize = cellSize;
+		
+		// Entries of the objects overlapping each cell, by cell key: {object, index, query}
+		this.cells = new Map();
+		this.count = 0;
+		
+		// Number of the last query. Entries remember the last query that found them, to be listed once.
+		this.queries = 0;
+	}
+	
+	// Key of the cell at the given column and row.
+	// Rem: Numbers are faster than strings as keys. Columns and rows stay well within 16 bits in any sensible world.
+	Grid.prototype.key = function(column, row){
+		return (column + 32768) * 65536 + row + 32768;
+	};
+	
+	// Insert an object covering the given box: {xMin, xMax, yMin, yMax}
+	Grid.prototype.insert = function(object, box){
+		var entry = {object: object, index: this.count++, query: 0};
+		var range = this.range(box);
+		for(var c = range.c0; c <= range.c1; c++)
+		{
+			for(var r = range.r0; r <= range.r1; r++)
+			{
+				var key = this.key(c, r);
+				var cell = this.cells.get(key);
+				if( ! cell)
+				{
+					this.cells.set(key, cell = []);
+				}
+				cell.push(entry);
+			}
+		}
+	};
+	
+	// Objects overlapping the cells of the given box, in the order they were inserted.
+	// Note: Objects near the box may be listed too: This is only a broad phase.
+	Grid.prototype.query = function(box){
+		var query = ++this.queries;
+		var found = [];
+		var range = this.range(box);
+		for(var c = range.c0; c <= range.c1; c++)
+		{
+			for(var r = range.r0; r <= range.r1; r++)
+			{
+				var cell = this.cells.get(this.key(c, r));
+				for(var i = 0; cell && i < cell.length; i++)
+				{
+					if(cell[i].query != query)
+					{
+						cell[i].query = query;
+						found.push(cell[i]);
+					}
+				}
+			}
+		}
+		found.sort(function(a, b) { return a.index - b.index; });
+		return found.map(function(entry) { return entry.object; });
+	};
+	
+	// Columns and rows of the cells covered by the given box.
+	Grid.prototype.range = function(box){
+		return {
+			c0: Math.floor(box.xMin / this.cellSize),
+			c1: Math.floor(box.xMax / this.cellSize),
+			r0: Math.floor(box.yMin / this.cellSize),
+			r1: Math.floor(box.yMax / this.cellSize),
+		};
+	};
+	
+	//--------------------------------------------
+	// Game modes
+	//--------------------------------------------
+	/**
+	 * A game mode lays out the arena, keeps the score and decides when the match is over. This one is the classic
+	 * game: Two paddles, at the bottom and the top, their goals behind them and waving walls on the sides.
+	 * Other modes overwrite the methods they change (see modes.js). A new one is created for every match (see
+	 * World.games). The world calls:
+	 *		setup(world): Create the players and the walls of the arena (world.players, world.defaultWalls).
+	 *		update(world): Once per tick, after the balls moved.
+	 *		scorePoint(world, ball, goal): A ball got in the given goal. Credit the point. Returns the scorer, or null.
+	 *		result(world): null while the match goes on. Otherwise {winner}, winner being null when nobody won.
+	 *		status(world): Text shown by the HUD (ex: lives left), or ''.
+	 * Note: size is the size of the world for the mode ({width, height}), or null for the world's own size.
+	 * Note: Levels lay out the arena after the mode (see Level.build).
+	 **/
+	function GameMode()
+	{
+	}
+	
+	GameMode.prototype.size = null;
+	
+	GameMode.prototype.setup = function(world){
+		var settings = world.settings;
+		var versus = settings.mode == 'versus';
+		
+		var topPaddle = new Paddle(
+			world.xMiddle(),
+			world.yLen() - Math.round(0.5 * settings.paddleYLen) - settings.goalYLen,  //Top less half the paddle less goal height.
+			settings.paddleXLen,
+			settings.paddleYLen
+		);
+		var topGoal = new Goal(
+			world.xMiddle(),
+			world.yLen() - 1,
+			world.xLen(),
+			settings.goalYLen
+		);
+		
+		world.players = [
+			new Player(
+				new Paddle(
+					world.xMiddle(),
+					Math.round(0.5 * settings.paddleYLen) + settings.goalYLen, //Bottom + Half the paddle + goal height.
+					settings.paddleXLen,
+					settings.paddleYLen
+				),
+				new Goal(
+					world.xMiddle(),
+					1,
+					world.xLen(),
+					settings.goalYLen
+				),
+				'player1',
+				versus ? 'Player 1' : 'You'
+			),
+			versus
+				? new Player(topPaddle, topGoal, 'player2', 'Player 2')
+				: new Computer(
+					topPaddle,
+					topGoal,
+					'player2',
+					'Computer',
+					settings.difficulty == 'classic' ? null : createStrategy(settings.difficulty)
+				),
+		];
+		
+		// Keep the same lateral walls for the whole game, so their waves never jump.
+		world.defaultWalls = world.getDefaultWalls();
+	};
+	
+	GameMode.prototype.update = function(world){
+	};
+	
+	// The point goes to the last player who touched the ball, unless it's the owner of the goal (own goal) or nobody
+	// touched it. In that case, the point goes to the opponent, when there is exactly one.
+	GameMode.prototype.scorePoint = function(world, ball, goal){
+		var scorer = ball.sender && ball.sender !== goal.owner ? ball.sender : null;
+		if( ! scorer)
+		{
+			var opponents = world.players.filter(function(player) { return player !== goal.owner; });
+			scorer = opponents.length == 1 ? opponents[0] : null;
+		}
+		
+		if(scorer)
+		{
+			scorer.score++;
+		}
+		return scorer;
+	};
+	
+	// First to the number of points of the match (with a lead of 2 if need be), or the leader when time is up.
+	GameMode.prototype.result = function(world){
+		var rules = world.settings.match;
+		var ranking = world.players.slice().sort(function(a, b) { return b.score - a.score; });
+		var leader = ranking[0];
+		var lead = leader.score - (ranking.length > 1 ? ranking[1].score : 0);
+		
+		var reachedPoints = rules.pointsToWin > 0 && leader.score >= rules.pointsToWin
+			&& ( ! rules.winByTwo || lead >= 2);
+		var timeIsUp = world.ticksLeft() <= 0 && lead > 0;
+		
+		return reachedPoints || timeIsUp ? {winner: leader} : null;
+	};
+	
+	GameMode.prototype.status = function(world){
+		return '';
+	};
+	
+	//--------------------------------------------
+	// World
+	//--------------------------------------------
+	/**
+	 * The thing that holds everything else together.
+	 * Note: canvas and context are optional. Without them, the world runs headless (ex: in Node), but can't render.
+	 * Options:
+	 *		width, height: Logical size of the world, whatever the size of the canvas. Default to World.defaultSize.
+	 *		seed: Seed of the world's random number generator. Defaults to a seed based on the current time.
+	 *		random: A function behaving like Math.random, to use instead of the seeded generator.
+	 **/
+	function World(canvas, context, options)
+	{
+		options = options || {};
+		
+		this.canvas = canvas || null;
+		this.context = context || null;
+		
+		this.width = options.width || World.defaultSize.width;
+		this.height = options.height || World.defaultSize.height;
+		if( ! (this.width >= 1 && this.height >= 1))
+		{
+			throw new Error('Usage: Provide a width and height greater or equal to 1. Got: '
+				+ this.width + ' x ' + this.height);
+		}
+		// Size to come back to when a level changes it (see World.init).
+		this.size = {
+			width: this.width,
+			height: this.height,
+		};
+		
+		// How the world is drawn on the canvas: scale and offset, in canvas pixels (see World.fitTo).
+		this.view = {
+			scale: 1,
+			offsetX: 0,
+			offsetY: 0,
+		};
+		if(canvas)
+		{
+			this.fitTo(canvas.width, canvas.height);
+		}
+		
+		// Every random decision of the simulation goes through this.random, so a given seed replays the same game.
+		this.seed = isFinite(options.seed) ? options.seed : Date.now();
+		this.random = options.random || createRandom(this.seed);
+		
+		// Abstract inputs of the current tick, by player code name (see World.step).
+		this.inputs = {};
+		
+		this.balls = [];
+		this.players = [];
+		this.walls = [];
+		this.defaultWalls = [];
+		this.randomWalls = [];
+		this.goals = [];
+		
+		// Broad phase: Walls by area (see World.surfacesNear), and the list of walls it was built from.
+		// Note: Built again whenever the walls are replaced by a new list. Don't add walls to the list in place.
+		this.grid = null;
+		this.gridWalls = null;
+		// Colours of the current theme (see World.themes and World.setTheme).
+		this.theme = null;
+		this.color = null;
+		this.setTheme('classic');
+		
+		// Shift of the whole picture, in world units. Use case: Screen shake (see effects.js).
+		this.offset = {x: 0, y: 0};
+		this.settings = mergeSettings(World.defaultSettings);
+		this.scores = [];
+		this.t = 0;
+		
+		// State of the current match (see World.init and World.checkMatchOver).
+		this.match = {
+			over: false,
+			winner: null,
+			ticks: 0,		//Ticks played.
+			serves: 0,		//Balls served.
+			servedAt: 0,	//Tick of the last serve.
+			lastScorer: null,	//Players who won and lost the last point.
+			lastLoser: null,
+			seed: null,		//Seed of the random number generator when the match started.
+		};
+		
+		// Pickups waiting in the arena, and effects in progress (see World.applyEffect).
+		this.pickups = [];
+		this.effects = [];
+		this.wallsFrozen = false;
+		
+		// Progress toward the next tick, in [0, 1], while rendering (see World.render).
+		this.alpha = 1;
+		
+		// Functions listening to game events, by event type (see World.on).
+		// Note: Listeners outlive matches: World.init keeps them.
+		this.listeners = {};
+	}
+	
+	World.defaultSettings = {
+		ballRadius: 8,
+		goalYLen: 1,
+		paddleXLen: 80,
+		paddleYLen: 10,
+		wallXLen: 200,//2,
+		// Bouncing (see WorldObject.bounce)
+		ballRestitution: 1,	//Share of the ball's speed kept when bouncing.
+		paddleSpin: 0.5,		//Share of the paddle's speed given to the ball.
+		// Finding the walls near moving objects (see World.surfacesNear).
+		broadPhase: {
+			cellSize: 64,	//Size of the cells of the grid, in world units. 0 to test every wall, every time.
+			minWalls: 24,	//Below this many walls, test every wall: Cheaper than looking them up in the grid.
+		},
+		// Balls in flight (see Ball.applyForces) and spin (see WorldObject.bounce). Speeds in world units per tick.
+		physics: {
+			paddleFriction: 0.3,		//Grip of the paddles: Share of the sliding of the ball turned into spin. 0 for no spin.
+			paddleRestitution: 1,	//Share of the ball's speed kept when bouncing on a paddle (combined with the ball's).
+			magnus: 0.004,				//Curve of spinning balls (Magnus effect). 0 for straight lines.
+			spinDecay: 0.02,			//Share of its spin a ball loses every tick.
+			drag: 0,						//Air drag: Share of its speed above the serve speed a ball loses every tick.
+			maxSpeed: 16,				//Fastest a ball can go. 0 for no limit.
+		},
+		// Waves travelling along the inner face of the lateral walls (see Wall).
+		wallWave: {
+			amplitude: 12,
+			frequency: 0.25,
+			phase: 0,
+			wavelength: 160,
+		},
+		// computer: You against the computer. versus: Two humans, the second one at the top.
+		mode: 'computer',
+		// Strategy of the computer: classic, easy, medium, hard or juggler (see Strategy.presets).
+		difficulty: 'classic',
+		// Arena, scoring and end of the match: classic, or another game mode (see World.games and modes.js).
+		game: 'classic',
+		// Humans hold the ball until they press serve, for at most this many seconds. 0 to serve right away.
+		serveTimeout: 3,
+		// Rules of a match.
+		match: {
+			pointsToWin: 7,	//First to N points. 0 for no limit.
+			winByTwo: true,	//Keep playing until someone leads by 2 points.
+			timeLimit: 0,		//In seconds. 0 for no limit. When time is up, the leader wins (sudden death on a tie).
+		},
+		// Random obstacles (see World.getRandomWalls).
+		obstacles: {
+			interval: 2,				//Seconds between two chances of new obstacles.
+			chance: 0.25,				//Chance of new obstacles, every interval.
+			accumulateChance: 0.2,	//Chance of keeping the previous obstacles, that block your way!
+		},
+		// Arena layout: A Level (see levels.js). null for the classic arena.
+		level: null,
+		// Serving balls (see World.addBall). One ball at a time by default, see World.spawnerPresets for more.
+		spawner: {
+			max: 1,					//Most balls in play at once.
+			interval: 0,			//Seconds between two serves, while there's room for more balls. 0 to serve only when no ball is left.
+			speed: 3,				//Serve speed.
+			angle: 0,				//Largest deviation of serves from the vertical, in degrees. Drawn at random.
+			from: 'server',		//server: Serve from the server's side. center: Serve from the middle of the world.
+			serveTo: 'alternate',//alternate: Players take turns serving. loser: Serve toward the player who lost the last point.
+			variants: {normal: 1},	//Odds of each kind of ball (see Ball.variants).
+		},
+		// Pickups: Collectible items with temporary effects (see Pickup).
+		pickups: {
+			enabled: false,	//Spawn pickups.
+			interval: 4,		//Seconds between two chances of a new pickup.
+			chance: 0.5,		//Chance of a new pickup, every interval.
+			max: 2,				//Most pickups in the arena at once.
+			lifetime: 10,		//Seconds before a pickup nobody collected vanishes.
+			radius: 10,
+			effects: {widen: 1, shrink: 1, speedUp: 1, split: 1, shield: 1, freeze: 1, reverse: 1},	//Odds of each effect.
+		},
+	};
+	
+	// Spawner settings for other ways to play, by name. Ex: world.init({spawner: World.spawnerPresets.multiball})
+	World.spawnerPresets = {
+		multiball: {
+			max: 3,
+			interval: 5,
+			angle: 30,
+			serveTo: 'loser',
+			variants: {normal: 3, heavy: 1, light: 1},
+		},
+	};
+	
+	// Logical size of the world. Gameplay is the same on every screen: only the rendering is scaled.
+	World.defaultSize = {
+		width: 968,
+		height: 500,
+	};
+	
+	// Game modes (see World.defaultSettings.mode).
+	World.MODES = ['computer', 'versus'];
+	
+	// Game modes, by name (see GameMode and World.defaultSettings.game). Ex: World.games.breakout = Breakout
+	World.games = {
+		classic: GameMode,
+	};
+	
+	/**
+	 * Colours of the world, by theme name. Themes only give what they change from the classic theme.
+	 *		primary: Paddles, normal balls and text. wall: Walls. background: Goals. letterbox: Around the world.
+	 *		arena: Behind everything, in the world. null to leave the canvas as is (see the page's CSS).
+	 *		font: Font family of the HUD.
+	 *		balls: Colours of ball variants, overwriting Ball.variants. Ex: {heavy: '#d55e00'}
+	 *		pickups: Colours of pickup effects, overwriting Pickup.effects. Ex: {shield: '#0072b2'}
+	 * Note: colorBlind uses the Okabe-Ito palette, told apart with every kind of colour blindness.
+	 **/
+	World.themes = {
+		classic: {
+			primary: '#c86b04',
+			wall: '#000000',
+			background: '#00ffff',
+			letterbox: '#000000',
+			arena: null,
+			font: 'Arial',
+			balls: {},
+			pickups: {},
+		},
+		lime: {primary: '#7cc400', background: '#ff00ff'},
+		ice: {primary: '#4fc3f7', background: '#ffeb3b'},
+		mono: {primary: '#f5f5f5', background: '#9e9e9e'},
+		highContrast: {
+			primary: '#ffff00',
+			wall: '#ffffff',
+			background: '#ffffff',
+			arena: '#000000',
+			font: 'Verdana',
+			balls: {heavy: '#ffffff', light: '#00ffff'},
+			pickups: {
+				widen: '#00ff00', shrink: '#ff0000', speedUp: '#ff8000', split: '#ff00ff',
+				shield: '#00ffff', freeze: '#ffffff', reverse: '#ff0080',
+			},
+		},
+		colorBlind: {
+			primary: '#e69f00',
+			wall: '#000000',
+			background: '#56b4e9',
+			balls: {heavy: '#d55e00', light: '#f0e442'},
+			pickups: {
+				widen: '#009e73', shrink: '#d55e00', speedUp: '#e69f00', split: '#cc79a7',
+				shield: '#0072b2', freeze: '#56b4e9', reverse: '#f0e442',
+			},
+		},
+	};
+	
+	World.prototype.xLen = function(){
+		return this.width;
+	};
+	
+	World.prototype.yLen = function(){
+		return this.height;
+	};
+	
+	World.prototype.xMiddle = function(){
+		return Math.round(0.5 * this.width);
+	};
+	
+	World.prototype.yMiddle = function(){
+		return Math.round(0.5 * this.height);
+	};
+	
+	// Use the colours of the given theme (see World.themes).
+	World.prototype.setTheme = function(name){
+		if( ! World.themes.hasOwnProperty(name))
+		{
+			throw new Error('Usage: Unknown theme. Expected one of: ' + Object.keys(World.themes).join(', ') + '. Got: ' + name);
+		}
+		this.theme = name;
+		this.color = Object.assign({}, World.themes.classic, World.themes[name]);
+	};
+	
+	World.prototype.ballColor = function(ball){
+		return this.color.balls[ball.variant] || ball.color || this.color.primary;
+	};
+	
+	World.prototype.pickupColor = function(effect){
+		return this.color.pickups[effect] || Pickup.effects[effect].color;
+	};
+	
+	// Random integer in [0, max), drawn from the world's random number generator.
+	World.prototype.randomInt = function(max){
+		return getRandomInt(max, this.random);
+	};
+	
+	// Abstract inputs of the given player for the current tick. Ex: {left: true, right: false}
+	World.prototype.getInput = function(codeName){
+		return this.inputs[codeName] || {};
+	};
+	
+	World.prototype.getVerticalSurfaces = function(){
+		return this.walls;
+	};
+	
+	// Walls the given object may meet during the rest of the tick, from the given time (a fraction of the tick).
+	// Rem: Looks for walls around the box swept by the object, as it moves in a straight line. Bounces change its
+	//			direction: Look again after each one (see WorldObject.advance).
+	// Note: Without a grid (broadPhase.cellSize set to 0), or with few walls, every wall is listed.
+	World.prototype.surfacesNear = function(obj, time){
+		var cellSize = this.settings.broadPhase.cellSize;
+		if( ! (cellSize > 0) || this.walls.length < this.settings.broadPhase.minWalls)
+		{
+			return this.walls;
+		}
+		if(this.gridWalls !== this.walls || this.grid.cellSize != cellSize)
+		{
+			this.buildGrid(cellSize);
+		}
+		var remaining = 1 - (time || 0);
+		var x = obj.x + obj.dx * remaining;
+		var y = obj.y + obj.dy * remaining;
+		return this.grid.query({
+			xMin: Math.min(obj.x, x) - 0.5 * obj.xLen,
+			xMax: Math.max(obj.x, x) + 0.5 * obj.xLen,
+			yMin: Math.min(obj.y, y) - 0.5 * obj.yLen,
+			yMax: Math.max(obj.y, y) + 0.5 * obj.yLen,
+		});
+	};
+	
+	World.prototype.buildGrid = function(cellSize){
+		this.grid = new Grid(cellSize);
+		for(var i = 0; i < this.walls.length; i++)
+		{
+			this.grid.insert(this.walls[i], this.walls[i].extent());
+		}
+		this.gridWalls = this.walls;
+	};
+	
+	World.prototype.getHorizontalSurfaces = function(){
+		//Note: Walls are only listed as vertical surfaces. Swept collisions still find when a ball hits the top
+		//			or bottom of a wall (see WorldObject.sweep).
+		return this.players.map(function(player) { return player.body; });
+	};
+	
+	World.prototype.getGoals = function(){
+		return this.players.map(function(player) { return player.goal; });
+	};
+	
+	// Serve a new ball from the side of the given player, toward the middle of the world.
+	// Note: Without a server, the ball is served from the bottom.
+	// Note: Position, speed and kind of the ball follow the spawner settings.
+	// Note: Servers with a paddle moving up and down (see Paddle.axis) serve from the left or the right.
+	World.prototype.addBall = function(server){
+		var spawner = this.settings.spawner;
+		var sideways = ! server || server.body.axis == 'x';
+		
+		// Side of the server: -1 for the bottom (or the left), 1 for the top (or the right).
+		var side = server && (sideways ? server.body.y > this.yMiddle() : server.body.x > this.xMiddle()) ? 1 : -1;
+		
+		//REM: Create balls far enough from the server to allow the receiver to detect it. Else the server gets free
+		//		 points because the computer takes too long to detect a new ball... Dont' create it at the edge, else
+		//		 the receiver scores free points, continously.
+		// Note: Levels may have their own spawn points (see Level.spawnFor).
+		var level = this.settings.level;
+		var spawn = server && level && level.spawnFor ? level.spawnFor(server, this) : null;
+		if( ! spawn && sideways)
+		{
+			spawn = {
+				x: this.xMiddle(),
+				y: spawner.from == 'center' ? this.yMiddle() : Math.round((1 + 0.8 * side) * this.yMiddle()),
+			};
+		}
+		else if( ! spawn)
+		{
+			spawn = {
+				x: spawner.from == 'center' ? this.xMiddle() : Math.round((1 + 0.8 * side) * this.xMiddle()),
+				y: this.yMiddle(),
+			};
+		}
+		var ball = new Ball(spawn.x, spawn.y, this.settings.ballRadius, this.pickBallVariant());
+		
+		// Toward the other side, up to the spawner's angle away from the vertical (or the horizontal).
+		var angle = spawner.angle > 0 ? (2 * this.random() - 1) * spawner.angle * Math.PI / 180 : 0;
+		var speed = spawner.speed * ball.speed;
+		ball.dx = sideways ? speed * Math.sin(angle) : -1 * side * speed * Math.cos(angle);
+		ball.dy = sideways ? -1 * side * speed * Math.cos(angle) : speed * Math.sin(angle);
+		ball.restitution *= this.settings.ballRestitution;
+		
+		// Humans serve when they're ready (see Ball.hold), one ball at a time. Computers serve right away.
+		var holding = this.balls.some(function(other) { return other.heldBy === server; });
+		if(server && ! server.isComputer() && this.settings.serveTimeout > 0 && ! holding)
+		{
+			ball.heldBy = server;
+			ball.serveDx = ball.dx;
+			ball.serveDy = ball.dy;
+			ball.dx = 0;
+			ball.dy = 0;
+			if(sideways)
+			{
+				ball.x = server.body.x;
+			}
+			else
+			{
+				ball.y = server.body.y;
+			}
+		}
+		this.balls.push(ball);
+		this.match.serves++;
+		this.match.servedAt = this.match.ticks;
+		this.emit('ballSpawned', {ball: ball, server: server || null});
+		return ball;
+	};
+	
+	// Collect pickups, end effects that expired and spawn new pickups.
+	World.prototype.updatePickups = function(){
+		var now = this.match.ticks;
+		
+		// Collect
+		for(var i = this.pickups.length - 1; i >= 0; i--)
+		{
+			var pickup = this.pickups[i];
+			var ball = this.balls.find(function(ball) { return ! ball.heldBy && ball.sender && pickup.isTouchedBy(ball); });
+			if(ball)
+			{
+				this.pickups.splice(i, 1);
+				this.emit('pickupCollected', {pickup: pickup, effect: pickup.effect, player: ball.sender, ball: ball});
+				this.applyEffect(pickup.effect, ball.sender, ball);
+			}
+			else if(pickup.expiresAt <= now)
+			{
+				this.pickups.splice(i, 1);
+			}
+		}
+		
+		// Expire
+		for(var i = this.effects.length - 1; i >= 0; i--)
+		{
+			if(this.effects[i].expiresAt <= now)
+			{
+				this.revertEffect(this.effects[i]);
+			}
+		}
+		
+		// Spawn
+		var rules = this.settings.pickups;
+		if(rules.enabled && now % Math.max(1, Math.round(rules.interval * TICKS_PER_SECOND)) == 0
+			&& this.pickups.length < rules.max && this.random() < rules.chance)
+		{
+			this.addPickup(pickWeighted(rules.effects, this.random));
+		}
+	};
+	
+	// Put a pickup with the given effect somewhere in the middle of the arena.
+	World.prototype.addPickup = function(effect){
+		var rules = this.settings.pickups;
+		var bounds = this.getArenaBounds();
+		var width = Math.max(0, bounds.xMax - bounds.xMin - 2 * rules.radius);
+		
+		var pickup = new Pickup(
+			bounds.xMin + rules.radius + this.random() * width,
+			(0.3 + 0.4 * this.random()) * this.yLen(),
+			rules.radius,
+			effect
+		);
+		pickup.expiresAt = this.match.ticks + Math.round(rules.lifetime * TICKS_PER_SECOND);
+		this.pickups.push(pickup);
+		return pickup;
+	};
+	
+	// Apply the effect of a pickup collected by the given player, with the given ball.
+	// Note: An effect replaces an effect of the same group on the same target, after reverting it.
+	World.prototype.applyEffect = function(name, collector, ball){
+		var effect = Pickup.effects[name];
+		var targets = effect.target == 'opponents'
+			? this.players.filter(function(player) { return player !== collector; })
+			: [collector];
+		
+		for(var i = 0; i < targets.length; i++)
+		{
+			var target = targets[i];
+			var previous = this.effects.find(function(active) {
+				return active.effect.group == effect.group && (effect.target == 'world' || active.player === target);
+			});
+			if(previous)
+			{
+				this.revertEffect(previous);
+			}
+			
+			var state = effect.apply(this, target, ball);
+			if(effect.duration > 0)
+			{
+				this.effects.push({
+					name: name,
+					effect: effect,
+					player: target,
+					state: state,
+					expiresAt: this.match.ticks + Math.round(effect.duration * TICKS_PER_SECOND),
+				});
+			}
+		}
 	};
 	
+	World.prototype.revertEffect = function(active){
+		active.effect.revert(this, active.player, active.state);
+		this.effects.splice(this.effects.indexOf(active), 1);
+	};
 	
-	//--------------------------------------------
-	// Goal
-	//--------------------------------------------
-	/**
-	 * A goal to prevent the ball from escaping on top sides (horizontaly).
-	 **/
-	function Goal(x, y, xLen, yLen, player)
-	{
-		WorldObject.call(this, x, y, xLen, yLen);
-		this.balls = [];
-	}
-	
-	Goal.prototype = Object.create(WorldObject.prototype);
-	Goal.prototype.constructor = Goal;
+	// Kind of the next ball, drawn at random according to the odds of the spawner settings.
+	World.prototype.pickBallVariant = function(){
+		return pickWeighted(this.settings.spawner.variants, this.random) || 'normal';
+	};
 	
-	Goal.prototype.countBalls = function() {
-		return this.balls.length;
-	}
+	// Should a new ball be served during this tick?
+	// Always when no ball is left. Also every interval of the spawner, while there's room for more balls.
+	World.prototype.needsBall = function(){
+		var spawner = this.settings.spawner;
+		if(this.balls.length < 1)
+		{
+			return true;
+		}
+		return spawner.interval > 0 && this.balls.length < spawner.max
+			&& this.match.ticks - this.match.servedAt >= spawner.interval * TICKS_PER_SECOND;
+	};
 	
-	Goal.prototype.catchBalls = function(world) {
-		for(var i = 0; i < world.balls.length; i++)
+	// Inner limits of the arena in x: Inner faces of the lateral walls, ignoring their waves.
+	World.prototype.getArenaBounds = function(){
+		var bounds = {xMin: 0, xMax: this.xLen()};
+		for(var i = 0; i < this.defaultWalls.length; i++)
 		{
-			var ball = world.balls[i];
-			if(ball.touches(this))
+			var wall = this.defaultWalls[i];
+			if(wall.face > 0)
 			{
-				this.balls.push(ball);
-				world.removeBall(i);
+				bounds.xMin = Math.max(bounds.xMin, wall.xMax());
+			}
+			else if(wall.face < 0)
+			{
+				bounds.xMax = Math.min(bounds.xMax, wall.xMin());
 			}
 		}
-	};	
-	
-	Goal.prototype.render = function(world) {
-		world.context.fillStyle = world.color.background;
-		world.context.fillRect(this.xMin(), this.yMin(), this.xLen, this.yLen);
+		return bounds;
 	};
 	
-	//--------------------------------------------
-	// World
-	//--------------------------------------------
-	/**
-	 * The thing that holds everything else together.
-	 **/
-	function World(canvas, context)
-	{
-		this.canvas = canvas;
-		this.context = context;
-		this.balls = [];
-		this.players = [];
-		this.walls = [];
-		this.randomWalls = [];
-		this.goals = [];
-		this.color = {
-			primary: "#c86b04",
-			wall: '#000000',
-			background: '#00ffff',
-		};
-		this.settings = {
-			ballRadius: 8,
-			goalYLen: 1,
-			paddleXLen: 80,
-			paddleYLen: 10,
-			wallXLen: 200,//2,
-		};
-		this.scores = [];
-		this.t = 0;
-	}
-	
-	World.prototype.xLen = function(){
-		return this.canvas.width;
+	// Predict the position in x of the given ball after the given number of ticks, bouncing on the lateral walls.
+	// Rem: Bounces on two parallel walls are mirror images: Fold the straight line path into the arena.
+	World.prototype.predictX = function(ball, ticks){
+		var bounds = this.getArenaBounds();
+		var min = bounds.xMin + ball.radius;
+		var max = bounds.xMax - ball.radius;
+		var width = max - min;
+		if(width <= 0)
+		{
+			return 0.5 * (min + max);
+		}
+		
+		var m = (ball.x + ball.dx * ticks - min) % (2 * width);
+		m = m < 0 ? m + 2 * width : m;
+		return min + (m <= width ? m : 2 * width - m);
 	};
 	
-	World.prototype.yLen = function(){
-		return this.canvas.height;
+	// Predict the position in y of the given ball after the given number of ticks, bouncing on the top and the bottom
+	// of the world. Use case: Aiming with paddles moving up and down (see Strategy.chooseTarget).
+	World.prototype.predictY = function(ball, ticks){
+		var min = ball.radius;
+		var width = this.yLen() - 2 * ball.radius;
+		if(width <= 0)
+		{
+			return this.yMiddle();
+		}
+		
+		var m = (ball.y + ball.dy * ticks - min) % (2 * width);
+		m = m < 0 ? m + 2 * width : m;
+		return min + (m <= width ? m : 2 * width - m);
 	};
 	
-	World.prototype.xMiddle = function(){
-		return Math.round(0.5 * this.canvas.width);
+	// Next player to serve. Players take turns after each point, unless the spawner serves toward the last loser.
+	World.prototype.nextServer = function(){
+		if(this.players.length < 1)
+		{
+			return null;
+		}
+		var loser = this.match.lastLoser;
+		if(this.settings.spawner.serveTo == 'loser' && loser)
+		{
+			// The player who scored serves, or anyone facing the loser.
+			var scorer = this.match.lastScorer;
+			var others = this.players.filter(function(player) { return player !== loser; });
+			return scorer && scorer !== loser ? scorer : others[0] || loser;
+		}
+		return this.players[this.match.serves % this.players.length];
 	};
 	
-	World.prototype.yMiddle = function(){
-		return Math.round(0.5 * this.canvas.height);
+	// Credit a point for the given ball caught in the given goal (see GameMode.scorePoint).
+	World.prototype.scorePoint = function(ball, goal){
+		var scorer = this.gameMode.scorePoint(this, ball, goal);
+		this.match.lastScorer = scorer;
+		this.match.lastLoser = goal.owner;
+		this.emit('goalScored', {ball: ball, goal: goal, scorer: scorer, loser: goal.owner || null});
+		this.checkMatchOver();
+		return scorer;
 	};
 	
-	World.prototype.getVerticalSurfaces = function(){
-		return this.walls;
+	// Ticks left before the end of the match, or Infinity without a time limit.
+	World.prototype.ticksLeft = function(){
+		var timeLimit = this.settings.match.timeLimit;
+		if( ! (timeLimit > 0))
+		{
+			return Infinity;
+		}
+		return Math.max(0, Math.round(timeLimit * TICKS_PER_SECOND) - this.match.ticks);
 	};
 	
-	World.prototype.getHorizontalSurfaces = function(){
-		//Note: Do not bounce balls verticaly on walls, else balls bounce back in an unatural ways.
-		return this.players.map(player => player.body);
+	// End the match when the rules of the game mode say so (see GameMode.result). Returns true when the match is over.
+	World.prototype.checkMatchOver = function(){
+		if(this.match.over || this.players.length < 1)
+		{
+			return this.match.over;
+		}
+		
+		var result = this.gameMode.result(this);
+		if(result)
+		{
+			this.match.over = true;
+			this.match.winner = result.winner;
+			this.balls = [];
+			this.emit('matchOver', {winner: result.winner});
+		}
+		return this.match.over;
 	};
 	
-	World.prototype.getGoals = function(){
-		return this.players.map(player => player.goal);
+	World.prototype.isMatchOver = function(){
+		return this.match.over;
 	};
 	
-	World.prototype.addBall = function(){
-		//REM: Create balls low enough to allow the computer to detect it. Else the player gets free points because
-		//		 the computer takes too long to detect a new ball... Dont' create it at y=0, else the computer scores
-		//		 free points, continously.
-		this.balls.push(new Ball(this.xMiddle(), Math.round(0.2 * this.yMiddle()), this.settings.ballRadius));
+	// Start a new match with the settings of the previous one.
+	World.prototype.restart = function(){
+		this.init(this.options);
 	};
 	
 	World.prototype.getDefaultWalls = function(){
@@ -570,150 +2833,351 @@
 				0,							//x (wall center)
 				this.yMiddle(),		//y (wall center)
 				this.settings.wallXLen,	//xLen
-				this.yLen()				//yLen
+				this.yLen(),				//yLen
+				this.settings.wallWave	//wave
 			),
 			//Right
 			new RightWall(
 				this.xLen()-1,
 				this.yMiddle(),
 				this.settings.wallXLen,
-				this.yLen()
+				this.yLen(),
+				Object.assign({}, this.settings.wallWave, {phase: this.settings.wallWave.phase + Math.PI})
 			),
 		];
 	};
 	
+	// New random obstacles.
+	// Note: Levels have their own obstacles (see Level.getRandomWalls).
 	World.prototype.getRandomWalls = function(){
-		return [
+		var level = this.settings.level;
+		if(level && level.getRandomWalls)
+		{
+			return level.getRandomWalls(this);
+		}
+		
+		var walls = [
 			//Left
 			new LeftWall(
-				this.settings.wallXLen + getRandomInt(100),	//x (wall center)
-				70 + getRandomInt(this.yMiddle()),										//y (wall center)
-				10 + getRandomInt(50),														//xLen
-				10 + getRandomInt(Math.round(0.5 * this.yLen()))					//yLen
+				this.settings.wallXLen + this.randomInt(100),	//x (wall center)
+				70 + this.randomInt(this.yMiddle()),										//y (wall center)
+				10 + this.randomInt(50),														//xLen
+				10 + this.randomInt(Math.round(0.5 * this.yLen()))					//yLen
 			),
 			//Right
 			new RightWall(
-				this.xLen() - getRandomInt(this.xMiddle()),
-				70 + getRandomInt(this.yMiddle()),
-				20 + getRandomInt(50),
-				20 + getRandomInt(Math.round(0.5 * this.yLen()))
+				this.xLen() - this.randomInt(this.xMiddle()),
+				70 + this.randomInt(this.yMiddle()),
+				20 + this.randomInt(50),
+				20 + this.randomInt(Math.round(0.5 * this.yLen()))
 			),
 		];
+		
+		// 50% chance of an angled wall somewhere in the middle.
+		if(this.random() > 0.5)
+		{
+			var sign = this.random() > 0.5 ? 1 : -1;
+			walls.push(new AngledWall(
+				Math.round(this.xLen() / 3) + this.randomInt(Math.round(this.xLen() / 3)),	//x (wall center)
+				Math.round(0.6 * this.yMiddle()) + this.randomInt(Math.round(0.8 * this.yMiddle())),	//y (wall center)
+				60 + this.randomInt(80),															//length
+				10,																						//thickness
+				sign * (Math.PI / 12 + this.random() * Math.PI / 4)							//angle (15° to 60°)
+			));
+		}
+		return walls;
 	};
 	
 	World.prototype.removeBall = function(index){
 		return this.balls.splice(index, 1);
 	};
 	
+	// Scale the world to fit a canvas of the given size (in canvas pixels), keeping its aspect ratio.
+	// The world is centered: the unused part of the canvas is letterboxed (see World.render).
+	// Note: Call again whenever the canvas is resized, then reset the context (resizing a canvas resets it).
+	World.prototype.fitTo = function(canvasWidth, canvasHeight){
+		if( ! (canvasWidth > 0 && canvasHeight > 0))
+		{
+			throw new Error('Usage: The canvas size must be greater than 0. Got: ' + canvasWidth + ' x ' + canvasHeight);
+		}
+		var scale = Math.min(canvasWidth / this.width, canvasHeight / this.height);
+		this.view = {
+			scale: scale,
+			offsetX: 0.5 * (canvasWidth - scale * this.width),
+			offsetY: 0.5 * (canvasHeight - scale * this.height),
+		};
+		return this.view;
+	};
+	
+	// Convert a position on the canvas (in canvas pixels, y going down) to world coordinates.
+	// Note: Inverse of the transform set by resetCartesianContext.
+	World.prototype.toWorld = function(canvasX, canvasY){
+		return {
+			x: (canvasX - this.view.offsetX) / this.view.scale,
+			y: this.yLen() - (canvasY - this.view.offsetY) / this.view.scale,
+		};
+	};
+	
 	//Use a cartesian coordinate system with (0,0) in the bottom left corner.
+	//Rem: Both contexts follow World.offset. Pointers ignore it (see World.toWorld).
 	World.prototype.resetCartesianContext = function(){
-		this.context.translate(0, canvas.height),
-		this.context.scale(1, -1);
+		var view = this.view;
+		var x = view.offsetX + view.scale * this.offset.x;
+		var y = view.offsetY - view.scale * this.offset.y;
+		this.context.setTransform(view.scale, 0, 0, -1 * view.scale, x, y + view.scale * this.yLen());
 	};
 	
-	World.prototype.init = function(options = {}){
-		this.settings = Object.create(
-			this.settings,
-			options
-		);
+	// Use the screen's orientation (y going down), in world units. Use case: Text, which would be upside down otherwise.
+	World.prototype.resetScreenContext = function(){
+		var view = this.view;
+		var x = view.offsetX + view.scale * this.offset.x;
+		var y = view.offsetY - view.scale * this.offset.y;
+		this.context.setTransform(view.scale, 0, 0, view.scale, x, y);
+	};
+	
+	// Options: Overwrite World.defaultSettings. Ex: {match: {pointsToWin: 11}}
+	// Note: A level lays out the arena once the players are in place (see Level.build). It may resize the world.
+	World.prototype.init = function(options){
+		options = options || {};
+		this.options = options;
+		this.settings = mergeSettings(World.defaultSettings, options);
 		
-		this.addBall();
+		// Seed replaying this match from here, with the same inputs (see Replay). Unknown with a custom random function.
+		var seed = this.random.getState ? this.random.getState() : null;
 		
-		this.players = [
-			new Player(
-				new Paddle(
-					this.xMiddle(),
-					Math.round(0.5 * this.settings.paddleYLen) + this.settings.goalYLen, //Bottom + Half the paddle + goal height.
-					this.settings.paddleXLen,
-					this.settings.paddleYLen
-				),
-				new Goal(
-					this.xMiddle(),
-					1,
-					this.xLen(),
-					this.settings.goalYLen
-				),
-				'player1'
-			),
-			new Computer(
-				new Paddle(
-					this.xMiddle(),
-					this.yLen() - Math.round(0.5 * this.settings.paddleYLen) - this.settings.goalYLen,  //Top less half the paddle less goal height.
-					this.settings.paddleXLen,
-					this.settings.paddleYLen
-				),
-				new Goal(
-					this.xMiddle(),
-					this.yLen() - 1,
-					this.xLen(),
-					this.settings.goalYLen
-				),
-				'player2'
-			)
-		];
+		if( ! World.games.hasOwnProperty(this.settings.game))
+		{
+			throw new Error('Usage: Unknown game. Expected one of: ' + Object.keys(World.games).join(', ')
+				+ '. Got: ' + this.settings.game);
+		}
+		this.gameMode = new World.games[this.settings.game]();
+		
+		var level = this.settings.level;
+		var size = level && level.size ? level.size : this.gameMode.size || this.size;
+		this.width = size.width;
+		this.height = size.height;
+		if(this.canvas)
+		{
+			this.fitTo(this.canvas.width, this.canvas.height);
+		}
+		
+		this.balls = [];
+		this.randomWalls = [];
+		this.pickups = [];
+		this.effects = [];
+		this.wallsFrozen = false;
+		this.scores = [];
+		this.t = 0;
+		this.match = {
+			over: false,
+			winner: null,
+			ticks: 0,
+			serves: 0,
+			servedAt: 0,
+			lastScorer: null,
+			lastLoser: null,
+			seed: seed,
+		};
+		
+		if(World.MODES.indexOf(this.settings.mode) < 0)
+		{
+			throw new Error('Usage: Unknown mode. Expected one of: ' + World.MODES.join(', ') + '. Got: ' + this.settings.mode);
+		}
 		
-		this.walls = this.getDefaultWalls();
+		// Players and walls of the arena.
+		this.gameMode.setup(this);
+		for(var i = 0; i < this.players.length; i++)
+		{
+			this.players[i].body.spin = this.settings.paddleSpin;
+			this.players[i].body.friction = this.settings.physics.paddleFriction;
+			this.players[i].body.restitution = this.settings.physics.paddleRestitution;
+		}
+		
+		if(level)
+		{
+			level.build(this);
+		}
+		this.walls = this.defaultWalls;
+		
+		this.emit('matchStarted', {match: this.match});
+		this.addBall(this.nextServer());
+	};
+	
+	// Start the random number generator over, from the given seed.
+	World.prototype.reseed = function(seed){
+		this.seed = seed;
+		this.random = createRandom(seed);
+	};
+	
+	//Game events, for whoever wants to react to the game without touching its physics (sound, particles, stats...).
+	World.EVENTS = [
+		'matchStarted',		//{match} A new match is laid out, right before the first serve (see World.init).
+		'ballSpawned',		//{ball, server} A ball was served (server is null for extra balls, ex: split ball).
+		'paddleHit',		//{ball, paddle, player, contact}
+		'wallHit',			//{ball, wall, contact} Any obstacle but paddles and goals.
+		'goalScored',		//{ball, goal, scorer, loser} scorer may be null (ex: own goal with more than 2 players).
+		'wallsRegenerated',	//{walls, accumulated} New random obstacles.
+		'pickupCollected',	//{pickup, effect, player, ball} Right before the effect applies (see World.applyEffect).
+		'matchOver',		//{winner}
+		'rendered',			//{alpha} The world was just drawn, in the cartesian context (ex: to draw effects over it).
+	];
+	
+	// Call the given function on every event of the given type, with the event: {type, world, ...}
+	// Returns the listener, to unsubscribe later (see World.off).
+	World.prototype.on = function(type, listener){
+		if(World.EVENTS.indexOf(type) < 0)
+		{
+			throw new Error('Usage: Unknown event. Expected one of: ' + World.EVENTS.join(', ') + '. Got: ' + type);
+		}
+		if(typeof listener !== 'function')
+		{
+			throw new Error('Usage: Provide a function to call on ' + type + ' events. Got: ' + listener);
+		}
+		this.listeners[type] = (this.listeners[type] || []).concat([listener]);
+		return listener;
+	};
+	
+	World.prototype.off = function(type, listener){
+		if(this.listeners[type])
+		{
+			this.listeners[type] = this.listeners[type].filter(function(l) { return l !== listener; });
+		}
+	};
+	
+	// Tell every listener of the given type.
+	// Note: Listeners added or removed while emitting only count from the next event.
+	World.prototype.emit = function(type, event){
+		var listeners = this.listeners[type];
+		if( ! listeners || listeners.length < 1)
+		{
+			return;
+		}
+		event = Object.assign({type: type, world: this}, event);
+		for(var i = 0; i < listeners.length; i++)
+		{
+			listeners[i](event);
+		}
+	};
+	
+	// Advance the simulation by exactly one tick.
+	// inputs: Abstract inputs by player code name. Ex: {player1: {left: true, right: false, serve: false}}
+	//			Pointer controls give a position to move to instead: {player1: {targetX: 312}}
+	// Note: Players without inputs stand still. Computers ignore inputs.
+	World.prototype.step = function(inputs){
+		this.inputs = inputs || {};
+		return this.update();
 	};
 	
 	// Update the state of every world entity.
+	// Returns false when nothing changed (the match is over).
 	World.prototype.update = function(){
-		if(this.balls.length < 1)
+		if(this.match.over)
 		{
-			this.addBall();
+			return false;
+		}
+		
+		// Remember where moving things were at the beginning of the tick (for interpolated rendering).
+		for(var i = 0; i < this.balls.length; i++)
+		{
+			this.balls[i].savePosition();
+		}
+		for(var i = 0; i < this.players.length; i++)
+		{
+			this.players[i].body.savePosition();
 		}
-
 		for(var i = 0; i < this.walls.length; i++)
 		{
-			this.walls[i].update(world);
+			this.walls[i].savePosition();
+		}
+		
+		if(this.needsBall())
+		{
+			this.addBall(this.nextServer());
+		}
+
+		if( ! this.wallsFrozen)
+		{
+			for(var i = 0; i < this.walls.length; i++)
+			{
+				this.walls[i].update(this);
+			}
 		}
 		
 		// Update players
 		for(var i = 0; i < this.players.length; i++)
 		{
-			this.players[i].update(world);
+			this.players[i].update(this);
 		}
 		
 		// Update balls
 		for(var i = 0; i < this.balls.length; i++)
 		{
-			this.balls[i].update(world);
+			this.balls[i].update(this);
 		}
 		
+		// Rules of the game mode (ex: bricks breaking).
+		this.gameMode.update(this);
+		
+		this.updatePickups();
+		
 		// Update scores
-		this.scores = [];
-		for(var i = 0; i < this.players.length; i++)
+		// Note: Points are credited as balls get caught (see World.scorePoint).
+		this.scores = this.players.map(function(player) { return player.score; });
+		
+		// Update the clock of the match
+		this.match.ticks++;
+		if(this.checkMatchOver())
 		{
-			//TODO: Need to track who scored...
-			// Maybe: Update a property like "ball.sender" when a player bounces the ball.
-			//			Iterate through the list of all caught balls to compute scores.
-			this.scores.push(this.players[i].getLosses());
+			return true;
 		}
 		
 		// Update walls
 		// Note: Adding random walls at periodic intervals for some stability + some random chance.
-		if(this.t % 120 == 0 && Math.random() > 0.75)
+		var obstacles = this.settings.obstacles;
+		if(this.t % Math.max(1, Math.round(obstacles.interval * TICKS_PER_SECOND)) == 0 && this.random() > 1 - obstacles.chance)
 		{
-			// Make sure to always have lateral walls.
-			this.walls = this.getDefaultWalls();
-			
-			// 80% chance of clearing previous random walls.
-			// 20% chance of accumulating random walls that block your way!
-			this.randomWalls = (Math.random() > 0.2)
-				? this.getRandomWalls() //Clear previous walls
-				: this.randomWalls.concat(this.getRandomWalls()); //Accumulate previous
-			
-			this.walls = this.walls.concat(this.randomWalls);
-			this.t = 0;
+			this.regenerateWalls();
 		}
 		this.t++;
 		
 		return true;
 	};
 	
+	// Replace the random obstacles.
+	World.prototype.regenerateWalls = function(){
+		var obstacles = this.settings.obstacles;
+		
+		// Make sure to always have lateral walls.
+		this.walls = this.defaultWalls;
+		
+		// Usually clear previous random walls. Sometimes accumulate random walls that block your way!
+		var accumulated = this.random() <= obstacles.accumulateChance;
+		this.randomWalls = accumulated
+			? this.randomWalls.concat(this.getRandomWalls()) //Accumulate previous
+			: this.getRandomWalls(); //Clear previous walls
+		
+		this.walls = this.walls.concat(this.randomWalls);
+		this.t = 0;
+		this.emit('wallsRegenerated', {walls: this.randomWalls, accumulated: accumulated});
+	};
+	
 	// Render every world entity in its current state.
-	World.prototype.render = function(){
-		// Clear the canvas (redraw from scratch)
-		this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+	// alpha: Progress toward the next tick, in [0, 1]. Positions are interpolated between the last two ticks.
+	//			Defaults to 1 (render the exact state of the last tick).
+	World.prototype.render = function(alpha){
+		this.alpha = isFinite(alpha) ? Math.min(1, Math.max(0, alpha)) : 1;
+		
+		// Clear the canvas (redraw from scratch): Letterbox around the world, then the world itself.
+		this.context.resetTransform();
+		this.context.fillStyle = this.color.letterbox;
+		this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+		this.resetCartesianContext();
+		this.context.clearRect(0, 0, this.xLen(), this.yLen());
+		if(this.color.arena)
+		{
+			this.context.fillStyle = this.color.arena;
+			this.context.fillRect(0, 0, this.xLen(), this.yLen());
+		}
 		
 		// Render balls
 		for(var i = 0; i < this.balls.length; i++)
@@ -732,80 +3196,155 @@
 			this.walls[i].render(this);
 		}
 		
-		//Render points
-		this.context.resetTransform();
-
-		this.context.font = 'bold 16pt Arial';
+		// Render pickups and shields
+		for(var i = 0; i < this.pickups.length; i++)
+		{
+			this.pickups[i].render(this);
+		}
+		for(var i = 0; i < this.players.length; i++)
+		{
+			if(this.players[i].goal.isShielded())
+			{
+				this.players[i].goal.renderShield(this);
+			}
+		}
+		
+		this.renderHud();
+		this.emit('rendered', {alpha: this.alpha});
+	};
+	
+	// Font of the HUD, in the theme's font family. Ex: this.font(16) --> "bold 16pt Arial"
+	World.prototype.font = function(size, weight){
+		return (weight || 'bold') + ' ' + size + 'pt ' + this.color.font;
+	};
+	
+	/**
+	 * Scores, clock, status of the game mode, effects in progress and winner, over the world.
+	 * Scores sit on each side of the middle line, on the side of their player (left and right of the middle for
+	 * vertical paddles). The clock is on the right of the middle line, the status of the game mode (ex: lives left) on
+	 * the left. Effects are listed along the left wall, from the side of the player who collected them.
+	 **/
+	World.prototype.renderHud = function(){
+		var ctx = this.context;
+		this.resetScreenContext();
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'middle';
+		ctx.fillStyle = this.color.primary;
+		
+		//Scores (screen orientation: y goes down, the bottom player is below the middle).
+		for(var i = 0; i < this.players.length; i++)
+		{
+			var player = this.players[i];
+			if(player.body.axis == 'y')
+			{
+				var x = this.xMiddle() + (player.body.x < this.xMiddle() ? -60 : 60);
+				ctx.font = this.font(28);
+				ctx.fillText(String(player.score), x, this.yMiddle());
+				ctx.font = this.font(11, 'normal');
+				ctx.fillText(player.name, x, this.yMiddle() + 28);
+				continue;
+			}
+			var side = player.body.y < this.yMiddle() ? 1 : -1;
+			ctx.font = this.font(28);
+			ctx.fillText(String(player.score), this.xMiddle(), this.yMiddle() + side * 24);
+			ctx.font = this.font(11, 'normal');
+			ctx.fillText(player.name, this.xMiddle(), this.yMiddle() + side * 52);
+		}
+		
+		//Clock
+		var bounds = this.getArenaBounds();
+		var ticksLeft = this.ticksLeft();
+		if(isFinite(ticksLeft))
+		{
+			var seconds = Math.ceil(ticksLeft / TICKS_PER_SECOND);
+			var clock = Math.floor(seconds / 60) + ':' + ('0' + (seconds % 60)).slice(-2);
+			ctx.font = this.font(16);
+			ctx.textAlign = 'right';
+			ctx.fillText(ticksLeft > 0 ? clock : 'Sudden death', bounds.xMax - 12, this.yMiddle());
+		}
+		
+		//Status of the game mode
+		var status = this.gameMode.status(this);
+		if(status)
+		{
+			ctx.font = this.font(16);
+			ctx.textAlign = 'left';
+			ctx.fillText(status, bounds.xMin + 12, this.yMiddle());
+		}
+		
+		//Effects in progress, with the time left.
+		ctx.font = this.font(12);
+		ctx.textAlign = 'left';
+		var listed = {top: 0, bottom: 0};
+		for(var i = 0; i < this.effects.length; i++)
+		{
+			var active = this.effects[i];
+			var seconds = Math.ceil((active.expiresAt - this.match.ticks) / TICKS_PER_SECOND);
+			var bottom = active.player.body.y < this.yMiddle();
+			var row = bottom ? listed.bottom++ : listed.top++;
+			ctx.fillStyle = this.pickupColor(active.name);
+			ctx.fillText(
+				active.player.name + ': ' + active.effect.label + ' ' + seconds + 's',
+				bounds.xMin + 12,
+				bottom ? this.yLen() - 28 - 20 * row : 28 + 20 * row
+			);
+		}
+		
+		//Winner
+		ctx.textAlign = 'center';
+		ctx.fillStyle = this.color.primary;
+		if(this.match.over)
+		{
+			ctx.font = this.font(32);
+			ctx.fillText(
+				this.match.winner ? this.match.winner.name + ' won!' : 'Game over',
+				this.xMiddle(),
+				this.yMiddle() - 96
+			);
+		}
+		
+		ctx.textBaseline = 'alphabetic';
+		this.resetCartesianContext();
+	};
+	
+	// Render a message over the game, below the scores. Ex: "Paused".
+	World.prototype.renderMessage = function(text){
+		this.resetScreenContext();
+		
+		this.context.font = this.font(16);
 		this.context.textAlign = 'center';
 		this.context.fillStyle = this.color.primary;
-		this.context.fillText(this.scores.join(' / '), this.xMiddle(), this.yMiddle());
+		this.context.fillText(text, this.xMiddle(), this.yMiddle() + 96);
 		
 		this.resetCartesianContext();
 	};
 	
 	
 	//--------------------------------------------------------------------------
-	// Main script
+	// Public interface
 	//--------------------------------------------------------------------------
-	
-	//--------------------------------------------
-	// Our loop controller
-	//--------------------------------------------
-	var animate = window.requestAnimationFrame ||
-	window.webkitRequestAnimationFrame ||
-	window.mozRequestAnimationFrame ||
-	function(callback) { window.setTimeout(callback, 1000/60) };
-	
-	//--------------------------------------------
-	// Configure the canvas
-	//--------------------------------------------
-	var canvas = document.getElementById('wavepad');
-	if( ! canvas || ! canvas.getContext)
-	{
-		console.log('Failed to get canvas.');
-		return;
-	}
-	console.log('Loading Wavepad.');
-	
-	var context = canvas.getContext('2d');
-	
-	//--------------------------------------------
-	// Create the world and all things to be.
-	//--------------------------------------------
-	var world = new World(canvas, context);
-	world.init();
-	world.resetCartesianContext();
-	
-	//--------------------------------------------
-	// One step of the loop
-	//--------------------------------------------
-	var step = function() {
-		var changed = world.update();
-		if(changed)
-		{
-			world.render();
-		}
-		animate(step);
-	};
-
-	//--------------------------------------------
-	// Event listeners
-	//--------------------------------------------
-	keysDown = {};
-
-	window.addEventListener("keydown", function(event) {
-		keysDown[event.keyCode] = true;
-	});
-
-	window.addEventListener("keyup", function(event) {
-		delete keysDown[event.keyCode];
-	});
-		
-	//--------------------------------------------
-	// Start the loop
-	//--------------------------------------------
-	window.onload = function() {
-		animate(step);
+	return {
+		TICKS_PER_SECOND: TICKS_PER_SECOND,
+		createRandom: createRandom,
+		Contact: Contact,
+		WorldObject: WorldObject,
+		Ball: Ball,
+		Paddle: Paddle,
+		Player: Player,
+		Computer: Computer,
+		ClassicStrategy: ClassicStrategy,
+		Strategy: Strategy,
+		createStrategy: createStrategy,
+		Wall: Wall,
+		LeftWall: LeftWall,
+		RightWall: RightWall,
+		AngledWall: AngledWall,
+		MovingWall: MovingWall,
+		Goal: Goal,
+		Pickup: Pickup,
+		Grid: Grid,
+		GameMode: GameMode,
+		World: World,
 	};
 	
-}());
+}));
@@ -0,0 +1,617 @@
+/**
+ * Online server for WavePad: Serves the game, and hosts online matches (see js/net.js).
+ *
+ * Node only, no dependencies. Works on a machine without any external network:
+ *		node solution1/server/server.js [port]
+ * Then open http://localhost:8080/wavepad/solution1/wavepad.html?online in two browsers (or two tabs).
+ * Environment: PORT (default 8080), HOST (default localhost, 0.0.0.0 to play on the local network).
+ *
+ * The first player creates a room and gets a code, the second one joins with the code. The server runs the match
+ * (the only real simulation), applying one input of each player per tick, and sends snapshots to both.
+ * WebSocket (RFC 6455) is implemented here with the http and crypto modules: Text frames only, no extensions.
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+var WavePad = require('../js/wavepad.js');
+var Loop = require('../js/loop.js');
+var Net = require('../js/net.js');
+
+// Files served over http, at the urls of the live site: The page and what it needs, nothing else (no server, no
+// benchmark, no tests, no git).
+var SOLUTION = path.resolve(__dirname, '..');
+var LEVELS = path.join(SOLUTION, 'levels');
+var PAGE = '/wavepad/solution1/wavepad.html';
+var PUBLIC_DIRS = {
+	'/wavepad/solution1/js/': path.join(SOLUTION, 'js'),
+	'/wavepad/solution1/css/': path.join(SOLUTION, 'css'),
+	'/wavepad/solution1/levels/': LEVELS,
+	'/css/': path.join(SOLUTION, 'css'), //normalize.css, at the root of the live site.
+};
+
+var CONTENT_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'application/javascript; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.json': 'application/json; charset=utf-8',
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.svg': 'image/svg+xml',
+	'.ico': 'image/x-icon',
+};
+
+//--------------------------------------------
+// WebSocket
+//--------------------------------------------
+var WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+var OPCODES = {
+	continuation: 0x0,
+	text: 0x1,
+	binary: 0x2,
+	close: 0x8,
+	ping: 0x9,
+	pong: 0xA,
+};
+
+// Answer to the key of a WebSocket handshake.
+function acceptKey(key)
+{
+	return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+// A frame sent by the server. Rem: Servers never mask their frames.
+function encodeFrame(opcode, payload)
+{
+	var header;
+	if(payload.length < 126)
+	{
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	}
+	else if(payload.length < 65536)
+	{
+		header = Buffer.alloc(4);
+		header[0] = 0x80 | opcode;
+		header[1] = 126;
+		header.writeUInt16BE(payload.length, 2);
+	}
+	else
+	{
+		header = Buffer.alloc(10);
+		header[0] = 0x80 | opcode;
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(payload.length), 2);
+	}
+	return Buffer.concat([header, payload]);
+}
+
+/**
+ * A WebSocket connection, once the handshake is done.
+ * Note: Set onmessage (function(text)) and onclose (function()) to hear from it.
+ **/
+function Connection(socket)
+{
+	this.socket = socket;
+	this.buffer = Buffer.alloc(0);
+
+	// Parts of a fragmented message.
+	this.fragments = null;
+
+	this.closed = false;
+	this.onmessage = function() {};
+	this.onclose = function() {};
+
+	var self = this;
+	socket.on('data', function(chunk) { self.receive(chunk); });
+	// Rem: The client may end its side without a close frame (ex: crash).
+	socket.on('end', function() { self.close(1000); });
+	socket.on('close', function() { self.handleClose(); });
+	socket.on('error', function() { self.handleClose(); });
+}
+
+// Longest message accepted, in bytes. Inputs are tiny.
+Connection.MAX_MESSAGE = 64 * 1024;
+
+Connection.prototype.receive = function(chunk){
+	this.buffer = Buffer.concat([this.buffer, chunk]);
+
+	while( ! this.closed && this.buffer.length >= 2)
+	{
+		var fin = (this.buffer[0] & 0x80) != 0;
+		var opcode = this.buffer[0] & 0x0F;
+		var masked = (this.buffer[1] & 0x80) != 0;
+		var length = this.buffer[1] & 0x7F;
+		var offset = 2;
+
+		if(length == 126)
+		{
+			if(this.buffer.length < 4)
+			{
+				return;
+			}
+			length = this.buffer.readUInt16BE(2);
+			offset = 4;
+		}
+		else if(length == 127)
+		{
+			if(this.buffer.length < 10)
+			{
+				return;
+			}
+			length = Number(this.buffer.readBigUInt64BE(2));
+			offset = 10;
+		}
+
+		// Clients must mask their frames.
+		if( ! masked)
+		{
+			this.close(1002);
+			return;
+		}
+		if(length > Connection.MAX_MESSAGE)
+		{
+			this.close(1009);
+			return;
+		}
+		if(this.buffer.length < offset + 4 + length)
+		{
+			return;
+		}
+
+		var mask = this.buffer.subarray(offset, offset + 4);
+		var payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+		for(var i = 0; i < payload.length; i++)
+		{
+			payload[i] ^= mask[i % 4];
+		}
+		this.buffer = this.buffer.subarray(offset + 4 + length);
+		this.handleFrame(fin, opcode, payload);
+	}
+};
+
+Connection.prototype.handleFrame = function(fin, opcode, payload){
+	switch(opcode)
+	{
+		case OPCODES.text:
+			this.fragments = [payload];
+			break;
+		case OPCODES.continuation:
+			if( ! this.fragments)
+			{
+				this.close(1002);
+				return;
+			}
+			this.fragments.push(payload);
+			break;
+		case OPCODES.ping:
+			this.write(OPCODES.pong, payload);
+			return;
+		case OPCODES.pong:
+			return;
+		case OPCODES.close:
+			this.close(1000);
+			return;
+		default:
+			// Binary frames: Not part of the protocol.
+			this.close(1003);
+			return;
+	}
+
+	if(fin)
+	{
+		var message = Buffer.concat(this.fragments);
+		this.fragments = null;
+		if(message.length > Connection.MAX_MESSAGE)
+		{
+			this.close(1009);
+			return;
+		}
+		this.onmessage(message.toString('utf8'));
+	}
+};
+
+Connection.prototype.write = function(opcode, payload){
+	if( ! this.closed)
+	{
+		this.socket.write(encodeFrame(opcode, payload));
+	}
+};
+
+Connection.prototype.send = function(message){
+	this.write(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+};
+
+Connection.prototype.close = function(code){
+	if(this.closed)
+	{
+		return;
+	}
+	var payload = Buffer.alloc(2);
+	payload.writeUInt16BE(code || 1000, 0);
+	this.write(OPCODES.close, payload);
+	this.socket.end();
+	this.handleClose();
+};
+
+Connection.prototype.handleClose = function(){
+	if(this.closed)
+	{
+		return;
+	}
+	this.closed = true;
+	this.onclose();
+};
+
+//--------------------------------------------
+// Room
+//--------------------------------------------
+/**
+ * A match between two clients, run by the server.
+ * choices: Options picked by the player who created the room (see Net.roomOptions).
+ **/
+function Room(code, choices)
+{
+	this.code = code;
+	this.options = Net.roomOptions(choices, loadLevel);
+
+	// Players in the room: {connection, codeName, queue, input, ack, lastSeq}
+	this.clients = [];
+
+	this.world = null;
+	this.loop = null;
+	this.ticks = 0;
+}
+
+Room.CODE_NAMES = ['player1', 'player2'];
+
+// Inputs waiting to be applied, by client. Beyond, the client is ahead of the server: Drop the oldest.
+Room.MAX_QUEUE = 8;
+
+// Send a snapshot every this many ticks.
+Room.SNAPSHOT_EVERY = 2;
+
+function loadLevel(name)
+{
+	var file = path.join(LEVELS, name + '.json');
+	if( ! fs.existsSync(file))
+	{
+		throw new Error('Unknown level: ' + name);
+	}
+	return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+Room.prototype.isFull = function(){
+	return this.clients.length >= Room.CODE_NAMES.length;
+};
+
+Room.prototype.add = function(client){
+	client.room = this;
+	client.codeName = Room.CODE_NAMES[this.clients.length];
+	this.clients.push(client);
+	if(this.isFull())
+	{
+		this.start();
+	}
+};
+
+// Everyone is here: Play.
+Room.prototype.start = function(){
+	this.world = new WavePad.World(null, null, {seed: crypto.randomInt(0x7FFFFFFF)});
+	this.world.init(Net.parseOptions(this.options));
+
+	for(var i = 0; i < this.clients.length; i++)
+	{
+		var client = this.clients[i];
+		client.queue = [];
+		client.input = {};
+		client.ack = 0;
+		client.lastSeq = 0;
+		client.connection.send({type: 'start', code: this.code, codeName: client.codeName, options: this.options});
+	}
+
+	this.loop = new Loop({update: this.tick.bind(this)});
+	this.loop.start();
+};
+
+Room.prototype.stop = function(){
+	if(this.loop)
+	{
+		this.loop.destroy();
+		this.loop = null;
+	}
+};
+
+// One tick: One input of each player (the previous one again when none arrived), then a snapshot now and then.
+Room.prototype.tick = function(){
+	var inputs = {};
+	var acks = {};
+	for(var i = 0; i < this.clients.length; i++)
+	{
+		var client = this.clients[i];
+		if(client.queue.length > 0)
+		{
+			var next = client.queue.shift();
+			client.input = next.input;
+			client.ack = next.seq;
+		}
+		inputs[client.codeName] = client.input;
+		acks[client.codeName] = client.ack;
+	}
+	this.world.step(inputs);
+	this.ticks++;
+
+	if(this.ticks % Room.SNAPSHOT_EVERY == 0)
+	{
+		this.broadcast({type: 'state', acks: acks, snapshot: Net.takeSnapshot(this.world)});
+	}
+};
+
+Room.prototype.broadcast = function(message){
+	for(var i = 0; i < this.clients.length; i++)
+	{
+		this.clients[i].connection.send(message);
+	}
+};
+
+Room.prototype.receiveInput = function(client, message){
+	if( ! this.world || ! (Number.isInteger(message.seq) && message.seq > client.lastSeq))
+	{
+		return;
+	}
+	client.lastSeq = message.seq;
+	client.queue.push({seq: message.seq, input: Net.cleanInput(message.input)});
+	while(client.queue.length > Room.MAX_QUEUE)
+	{
+		client.ack = client.queue.shift().seq;
+	}
+};
+
+// A new match, once the current one is over. Clients start over too (see OnlineClient.restart).
+// Note: Inputs sent before the restart count as applied: They were meant for the previous match.
+Room.prototype.restart = function(){
+	if( ! this.world || ! this.world.isMatchOver())
+	{
+		return;
+	}
+	this.world.restart();
+	for(var i = 0; i < this.clients.length; i++)
+	{
+		var client = this.clients[i];
+		client.queue = [];
+		client.input = {};
+		client.ack = client.lastSeq;
+	}
+	this.broadcast({type: 'restart', seed: this.world.match.seed, ticks: this.world.match.ticks});
+};
+
+// A client leaves: The match can't go on.
+Room.prototype.remove = function(client){
+	this.clients = this.clients.filter(function(c) { return c !== client; });
+	client.room = null;
+	this.stop();
+	for(var i = 0; i < this.clients.length; i++)
+	{
+		this.clients[i].room = null;
+		this.clients[i].connection.send({type: 'left'});
+	}
+	this.clients = [];
+};
+
+//--------------------------------------------
+// Server
+//--------------------------------------------
+// The http server: Static files, and the WebSocket endpoint (see Net.PATH).
+function createServer()
+{
+	var rooms = {};
+
+	var server = http.createServer(serveFile);
+	server.rooms = rooms;
+
+	server.on('upgrade', function(request, socket) {
+		var key = request.headers['sec-websocket-key'];
+		if(request.url.split('?')[0] != Net.PATH || ! key || String(request.headers.upgrade).toLowerCase() != 'websocket')
+		{
+			socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+			return;
+		}
+		socket.write(
+			'HTTP/1.1 101 Switching Protocols\r\n'
+			+ 'Upgrade: websocket\r\n'
+			+ 'Connection: Upgrade\r\n'
+			+ 'Sec-WebSocket-Accept: ' + acceptKey(key) + '\r\n'
+			+ '\r\n'
+		);
+		socket.setNoDelay(true);
+		handleClient(new Connection(socket));
+	});
+
+	var leave = function(client) {
+		var room = client.room;
+		if( ! room)
+		{
+			return;
+		}
+		room.remove(client);
+		delete rooms[room.code];
+	};
+
+	var newCode = function() {
+		var code;
+		do
+		{
+			code = Net.createCode(crypto.randomInt);
+		}
+		while(rooms[code]);
+		return code;
+	};
+
+	var handleClient = function(connection) {
+		var client = {connection: connection, room: null, codeName: null};
+
+		connection.onclose = function() {
+			leave(client);
+		};
+
+		connection.onmessage = function(text) {
+			var message;
+			try
+			{
+				message = JSON.parse(text);
+			}
+			catch(error)
+			{
+				return;
+			}
+			if( ! message || typeof message !== 'object')
+			{
+				return;
+			}
+
+			var room;
+			switch(message.type)
+			{
+				case 'create':
+					leave(client);
+					try
+					{
+						room = new Room(newCode(), message.options);
+					}
+					catch(error)
+					{
+						connection.send({type: 'error', message: error.message});
+						return;
+					}
+					rooms[room.code] = room;
+					room.add(client);
+					connection.send({type: 'created', code: room.code});
+					break;
+				case 'join':
+					room = rooms[String(message.code || '').toUpperCase()];
+					if( ! room)
+					{
+						connection.send({type: 'error', message: 'No room with code ' + message.code + '.'});
+						return;
+					}
+					if(room === client.room)
+					{
+						return;
+					}
+					if(room.isFull())
+					{
+						connection.send({type: 'error', message: 'Room ' + room.code + ' is full.'});
+						return;
+					}
+					leave(client);
+					room.add(client);
+					break;
+				case 'input':
+					if(client.room)
+					{
+						client.room.receiveInput(client, message);
+					}
+					break;
+				case 'restart':
+					if(client.room)
+					{
+						client.room.restart();
+					}
+					break;
+			}
+		};
+	};
+
+	return server;
+}
+
+// File to serve for the given url, or null when it isn't public (see PUBLIC_DIRS).
+// Rem: Never serve hidden files, or anything outside of the public directories (ex: /wavepad/solution1/js/../../.git).
+function publicFile(url)
+{
+	var segments = url.split('/');
+	for(var i = 0; i < segments.length; i++)
+	{
+		if(segments[i].charAt(0) == '.')
+		{
+			return null;
+		}
+	}
+	if(url == PAGE)
+	{
+		return path.join(SOLUTION, 'wavepad.html');
+	}
+	for(var prefix in PUBLIC_DIRS)
+	{
+		var dir = PUBLIC_DIRS[prefix];
+		var file = path.resolve(dir, '.' + url.slice(prefix.length - 1));
+		if(url.indexOf(prefix) == 0 && file.indexOf(dir + path.sep) == 0)
+		{
+			return file;
+		}
+	}
+	return null;
+}
+
+// Serve the page and its files (see publicFile).
+function serveFile(request, response)
+{
+	var url = '';
+	try
+	{
+		url = decodeURIComponent(request.url.split('?')[0]);
+	}
+	catch(error)
+	{
+		// Malformed URL: Not found.
+	}
+	if(url == '/' || url == '/wavepad' || url == '/wavepad/')
+	{
+		response.writeHead(302, {Location: '/wavepad/solution1/wavepad.html'});
+		response.end();
+		return;
+	}
+
+	var file = publicFile(url);
+	if(request.method != 'GET' || ! file)
+	{
+		response.writeHead(404);
+		response.end('Not found');
+		return;
+	}
+
+	fs.readFile(file, function(error, content) {
+		if(error)
+		{
+			response.writeHead(404);
+			response.end('Not found');
+			return;
+		}
+		response.writeHead(200, {'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'});
+		response.end(content);
+	});
+}
+
+if(require.main === module)
+{
+	var port = parseInt(process.argv[2] || process.env.PORT || 8080, 10);
+	var host = process.env.HOST || 'localhost';
+	createServer().listen(port, host, function() {
+		console.log('WavePad server: http://' + host + ':' + port + '/wavepad/solution1/wavepad.html?online');
+	});
+}
+
+module.exports = {
+	createServer: createServer,
+	Connection: Connection,
+	Room: Room,
+	acceptKey: acceptKey,
+	encodeFrame: encodeFrame,
+	publicFile: publicFile,
+};
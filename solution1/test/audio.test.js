@@ -0,0 +1,112 @@
+/**
+ * Tests of the sound: Game events play tones, on an audio context of our own. The simulation never hears about it.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+var Net = require('../js/net.js');
+var Audio = require('../js/audio.js');
+
+// An audio context keeping the oscillators it plays, with the times they start and stop at.
+function createContext()
+{
+	function param()
+	{
+		return {value: 0, setValueAtTime: function() {}, exponentialRampToValueAtTime: function() {}};
+	}
+	var context = {
+		currentTime: 0,
+		destination: {},
+		tones: [],
+		createGain: function() {
+			var node = {gain: param(), connect: function(target) { node.target = target; }};
+			return node;
+		},
+		createOscillator: function() {
+			var oscillator = {
+				frequency: param(),
+				connect: function(envelope) { oscillator.envelope = envelope; },
+				start: function(time) { oscillator.startTime = time; },
+				stop: function(time) {
+					oscillator.stopTime = time;
+					context.tones.push(oscillator);
+				},
+			};
+			oscillator.frequency.setValueAtTime = function(value) { oscillator.frequency.value = value; };
+			return oscillator;
+		},
+	};
+	return context;
+}
+
+function play(audio, ticks)
+{
+	var world = new WavePad.World(null, null, {seed: 5});
+	world.init({difficulty: 'hard'});
+	if(audio)
+	{
+		audio.attach(world);
+	}
+	for(var tick = 0; tick < ticks; tick++)
+	{
+		world.step({player1: {left: tick % 200 < 100, right: tick % 200 >= 100, serve: true}});
+	}
+	return world;
+}
+
+test('Game events play tones', function() {
+	var context = createContext();
+	var audio = new Audio({createContext: function() { return context; }});
+	var world = play(audio, 3000);
+
+	assert.ok(world.players[0].score + world.players[1].score > 0);
+	assert.ok(context.tones.length > 0);
+	assert.ok(context.tones.every(function(tone) { return tone.frequency.value > 0 && tone.stopTime > tone.startTime; }));
+});
+
+test('Sound never changes the match', function() {
+	var audio = new Audio({createContext: createContext});
+	assert.deepStrictEqual(Net.takeSnapshot(play(audio, 3000)), Net.takeSnapshot(play(null, 3000)));
+});
+
+test('Muted, nothing plays', function() {
+	var context = createContext();
+	var audio = new Audio({createContext: function() { return context; }, muted: true});
+	play(audio, 3000);
+
+	assert.strictEqual(context.tones.length, 0);
+	assert.strictEqual(audio.toggleMute(), false);
+	assert.strictEqual(audio.nodes.master.gain.value, Audio.defaultVolume.master);
+});
+
+test('Without Web Audio, the game is silent', function() {
+	var audio = new Audio({createContext: function() { throw new Error('No Web Audio'); }});
+	play(audio, 600);
+
+	assert.strictEqual(audio.isAvailable(), false);
+	assert.strictEqual(audio.toggleMusic(), false);
+});
+
+test('Music schedules the notes ahead, on the music channel, until stopped', function() {
+	var context = createContext();
+	var timers = [];
+	var audio = new Audio({
+		createContext: function() { return context; },
+		setTimer: function(callback) { timers.push(callback); return timers.length; },
+		clearTimer: function(id) { timers[id - 1] = null; },
+	});
+	assert.strictEqual(audio.toggleMusic(), true);
+	assert.ok(context.tones.length > 0);
+	assert.ok(context.tones.every(function(tone) { return tone.envelope.target === audio.nodes.music; }));
+
+	assert.strictEqual(audio.toggleMusic(), false);
+	assert.deepStrictEqual(timers, [null]);
+});
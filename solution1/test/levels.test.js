@@ -0,0 +1,103 @@
+/**
+ * Tests of the levels: Bundled levels are valid, invalid ones throw an error naming the bad field.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('node:fs');
+var path = require('node:path');
+
+var WavePad = require('../js/wavepad.js');
+var Level = require('../js/levels.js');
+
+var LEVELS = path.join(__dirname, '..', 'levels');
+
+// A valid level, with one wall of each type. Tests break it one field at a time.
+function level()
+{
+	return {
+		name: 'Test',
+		walls: [
+			{type: 'left', x: 0, y: 250, xLen: 20, yLen: 500},
+			{type: 'right', x: 967, y: 250, xLen: 20, yLen: 500, wave: {amplitude: 4, frequency: 1, wavelength: 200}},
+			{type: 'box', x: 484, y: 250, xLen: 40, yLen: 40},
+			{type: 'moving', x: 300, y: 250, xLen: 60, yLen: 10, path: {dx: 300, dy: 0, period: 4}},
+			{type: 'angled', x: 484, y: 150, length: 120, thickness: 10, angle: 30},
+		],
+		players: {
+			player1: {paddle: {x: 484, y: 6}, spawn: {x: 484, y: 50}},
+		},
+		obstacles: {
+			chance: 0.5,
+			walls: [{type: 'box', x: [200, 700], y: [100, 400], xLen: 20, yLen: [20, 120], chance: 0.5}],
+		},
+	};
+}
+
+test('Bundled levels are valid, and can be played', function() {
+	fs.readdirSync(LEVELS).forEach(function(file) {
+		var loaded = Level.fromJSON(fs.readFileSync(path.join(LEVELS, file), 'utf8'));
+		var world = new WavePad.World(null, null, {width: 968, height: 500, seed: 1});
+		world.init({level: loaded});
+		for(var tick = 0; tick < 600; tick++)
+		{
+			world.step({});
+		}
+		assert.strictEqual(world.defaultWalls.length, loaded.data.walls.length, file);
+	});
+	assert.doesNotThrow(function() { new Level(level()); });
+});
+
+test('Invalid levels throw an error naming the bad field', function() {
+	var cases = [
+		[function(data) { data.name = ''; }, 'name', /name must be a non empty string/],
+		[function(data) { data.size = {width: 0, height: 500}; }, 'size.width', /size\.width must be a number greater or equal to 1\. Got: 0/],
+		[function(data) { data.walls = {}; }, 'walls', /walls must be an array/],
+		[function(data) { data.walls[0] = 'wall'; }, 'walls[0]', /walls\[0\] must be an object/],
+		[function(data) { data.walls[2].type = 'round'; }, 'walls[2].type', /walls\[2\]\.type must be one of left, right, box/],
+		[function(data) { data.walls[2].xLen = 0; }, 'walls[2].xLen', /walls\[2\]\.xLen must be a number greater or equal to 1\. Got: 0/],
+		[function(data) { data.walls[2].x = '484'; }, 'walls[2].x', /walls\[2\]\.x must be a number\. Got: "484"/],
+		[function(data) { data.walls[2].y = NaN; }, 'walls[2].y', /walls\[2\]\.y must be a number/],
+		// Ranges are for random obstacles only.
+		[function(data) { data.walls[2].yLen = [20, 40]; }, 'walls[2].yLen', /walls\[2\]\.yLen must be a number greater or equal to 1\. Got: \[20,40\]/],
+		[function(data) { data.walls[1].wave.wavelength = 0; }, 'walls[1].wave.wavelength', /must be a number greater or equal to 1/],
+		[function(data) { data.walls[1].wave = 'flat'; }, 'walls[1].wave', /walls\[1\]\.wave must be an object/],
+		[function(data) { delete data.walls[3].path; }, 'walls[3].path', /walls\[3\]\.path must be an object/],
+		[function(data) { data.walls[3].path.period = 0; }, 'walls[3].path.period', /must be a number greater or equal to 0\.1/],
+		[function(data) { data.walls[4].angle = null; }, 'walls[4].angle', /walls\[4\]\.angle must be a number\. Got: null/],
+		[function(data) { data.players.player1.paddle = {x: 484}; }, 'players.player1.paddle.y', /paddle\.y must be a number/],
+		[function(data) { data.players.player1.goal = {x: 484, y: 1, xLen: 968, yLen: 0}; }, 'players.player1.goal.yLen', /goal\.yLen must be a number greater or equal to 1/],
+		[function(data) { data.obstacles.chance = 2; }, 'obstacles.chance', /obstacles\.chance must be a number in \[0, 1\]/],
+		[function(data) { data.obstacles.walls[0].x = [700, 200]; }, 'obstacles.walls[0].x', /must be a number, or a range \[min, max\] of such numbers/],
+		[function(data) { data.obstacles.walls[0].yLen = [0, 120]; }, 'obstacles.walls[0].yLen', /greater or equal to 1, or a range/],
+		[function(data) { data.obstacles.walls[0].chance = -1; }, 'obstacles.walls[0].chance', /must be a number in \[0, 1\]/],
+	];
+	cases.forEach(function(entry) {
+		var data = level();
+		entry[0](data);
+		assert.throws(function() { new Level(data); }, function(error) {
+			assert.match(error.message, /^Invalid level: /);
+			assert.match(error.message, entry[2]);
+			assert.strictEqual(error.field, entry[1]);
+			return true;
+		}, entry[1]);
+	});
+});
+
+test('A level that is not JSON, or not an object, is refused', function() {
+	assert.throws(function() { Level.fromJSON('{"name": "Test",'); }, /Invalid level: Not valid JSON/);
+	assert.throws(function() { Level.fromJSON('[]'); }, /Invalid level: level must be an object\. Got: \[\]/);
+});
+
+test('A level keeps its own copy of the data', function() {
+	var data = level();
+	var built = new Level(data);
+	data.walls[2].xLen = 0;
+	assert.strictEqual(built.data.walls[2].xLen, 40);
+});
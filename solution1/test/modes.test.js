@@ -0,0 +1,133 @@
+/**
+ * Tests of the game modes: Bricks of Breakout, the top speed of Survival and the arena of four players.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+var Modes = require('../js/modes.js');
+
+function start(options)
+{
+	var world = new WavePad.World(null, null, {width: 968, height: 500, seed: 42});
+	world.init(options);
+	return world;
+}
+
+// The ball in play touched the given brick during this tick.
+function hitBrick(world, brick)
+{
+	var ball = world.balls[0];
+	ball.heldBy = null;
+	ball.contacts = [{surface: brick}];
+	world.gameMode.update(world);
+	ball.contacts = [];
+}
+
+function speedOf(ball)
+{
+	return Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy);
+}
+
+//--------------------------------------------
+// Breakout
+//--------------------------------------------
+test('A brick takes hits until it breaks', function() {
+	var brick = new Modes.Brick(100, 100, 40, 16, 2);
+
+	assert.strictEqual(brick.points, 2);
+	assert.strictEqual(brick.hit(), false);
+	assert.strictEqual(brick.hitPoints, 1);
+	assert.strictEqual(brick.hit(), true);
+	assert.ok(brick.isBroken());
+	assert.throws(function() { new Modes.Brick(100, 100, 40, 16, 0); }, /hitPoints must be a number greater or equal to 1/);
+});
+
+test('A broken brick leaves the arena, and its points go to the player', function() {
+	var world = start({game: 'breakout'});
+	var mode = world.gameMode;
+	var count = mode.bricks.length;
+	// Top row: The toughest bricks.
+	var brick = mode.bricks[0];
+	assert.strictEqual(brick.hitPoints, Modes.Breakout.rules.rows[0]);
+
+	for(var hits = 1; hits < Modes.Breakout.rules.rows[0]; hits++)
+	{
+		hitBrick(world, brick);
+		assert.ok(world.walls.indexOf(brick) >= 0);
+	}
+	hitBrick(world, brick);
+
+	assert.strictEqual(world.walls.indexOf(brick), -1);
+	assert.strictEqual(world.defaultWalls.indexOf(brick), -1);
+	assert.strictEqual(mode.bricks.length, count - 1);
+	assert.strictEqual(world.players[0].score, brick.points);
+});
+
+test('Breakout is won once every brick is broken', function() {
+	var world = start({game: 'breakout'});
+	var mode = world.gameMode;
+	mode.bricks.slice().forEach(function(brick) {
+		while( ! brick.isBroken())
+		{
+			hitBrick(world, brick);
+		}
+	});
+	assert.strictEqual(mode.bricks.length, 0);
+
+	world.step({});
+	assert.ok(world.isMatchOver());
+	assert.strictEqual(world.match.winner, world.players[0]);
+});
+
+//--------------------------------------------
+// Survival
+//--------------------------------------------
+test('Balls of Survival never go faster than the top speed', function() {
+	var cases = [
+		[{physics: {maxSpeed: 10}}, 10],
+		// No limit in the settings: The mode's own.
+		[{physics: {maxSpeed: 0}}, Modes.Survival.rules.maxSpeed],
+	];
+	cases.forEach(function(entry) {
+		var options = Object.assign({game: 'survival', spawner: {speed: 14}}, entry[0]);
+		var world = start(options);
+		var maxSpeed = entry[1];
+		// Long enough to reach the top speed.
+		world.gameMode.lives = Infinity;
+		for(var tick = 0; tick < 4000; tick++)
+		{
+			world.step({player1: {left: tick % 300 < 100, right: tick % 300 > 200, serve: tick % 60 == 0}});
+			world.balls.forEach(function(ball) {
+				assert.ok(speedOf(ball) <= maxSpeed + 1e-9, JSON.stringify(entry[0]) + ': ' + speedOf(ball));
+			});
+			assert.ok(world.settings.spawner.speed <= maxSpeed);
+		}
+		assert.strictEqual(world.settings.physics.maxSpeed, maxSpeed);
+		assert.strictEqual(world.settings.spawner.speed, maxSpeed);
+	});
+});
+
+//--------------------------------------------
+// Four players
+//--------------------------------------------
+test('Four players: The left and right paddles move up and down', function() {
+	['computer', 'versus'].forEach(function(mode) {
+		var world = start({game: 'fourPlayers', mode: mode});
+		var sides = world.players.filter(function(player) { return player.body.axis == 'y'; });
+
+		assert.strictEqual(world.players.length, 4);
+		assert.deepStrictEqual(sides.map(function(player) { return player.codeName; }), ['player3', 'player4']);
+		sides.forEach(function(player) {
+			assert.strictEqual(player instanceof WavePad.Computer, mode == 'computer');
+			assert.ok(player.body.yLen > player.body.xLen);
+		});
+	});
+});
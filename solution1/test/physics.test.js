@@ -0,0 +1,120 @@
+/**
+ * Tests of the swept collisions: Fast objects never go through thin walls, contacts are resolved in order.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+
+var world = new WavePad.World(null, null, {width: 968, height: 500, seed: 1});
+
+// A wall standing still, 1 unit thick: Thinner than any ball, and than the moves below.
+function thinWall(x)
+{
+	return new WavePad.MovingWall(x, 250, 1, 200);
+}
+
+function ballAt(x, dx, dy)
+{
+	var ball = new WavePad.Ball(x, 250, 5);
+	ball.dx = dx;
+	ball.dy = dy || 0;
+	return ball;
+}
+
+// A box moving sideways at dx.
+function boxAt(x, dx)
+{
+	var box = new WavePad.WorldObject(x, 250, 10, 10);
+	box.dx = dx;
+	return box;
+}
+
+//--------------------------------------------
+// Sweep
+//--------------------------------------------
+test('A box finds the wall it will meet during the tick, and when', function() {
+	// The face of the box (x = 55) is 45 units away from the wall's (x = 100): 0.75 of a 60 units move.
+	var box = boxAt(50, 60);
+	var contact = box.sweep(thinWall(100.5));
+
+	assert.ok(contact);
+	assert.strictEqual(contact.time, 0.75);
+	assert.deepStrictEqual(contact.normal, {x: -1, y: 0});
+	assert.strictEqual(contact.point.x, 100);
+});
+
+test('A sweep misses walls out of reach, and walls moved away from', function() {
+	assert.strictEqual(boxAt(50, 20).sweep(thinWall(100.5)), null);
+	assert.strictEqual(boxAt(50, -60).sweep(thinWall(100.5)), null);
+	// Started right after a bounce: Touching, but leaving.
+	assert.strictEqual(boxAt(95, -60).sweep(thinWall(100.5)), null);
+	// Later in the tick, there is less movement left.
+	assert.strictEqual(boxAt(50, 60).sweep(thinWall(100.5), 0.5), null);
+});
+
+//--------------------------------------------
+// Advance
+//--------------------------------------------
+test('A fast ball never goes through a thin wall', function() {
+	[5, 20, 60, 200].forEach(function(speed) {
+		var wall = thinWall(300.5);
+		// Wherever the tick starts, the wall is within reach.
+		for(var x = 300 - speed; x < 300 - 5; x += 0.37)
+		{
+			var ball = ballAt(x, speed);
+			var contacts = ball.advance([wall], world);
+
+			assert.ok(ball.x + 5 <= wall.xMin() + 1e-6, 'speed ' + speed + ' from ' + x + ': ' + ball.x);
+			assert.ok(ball.dx < 0);
+			assert.strictEqual(contacts.length, 1);
+			assert.strictEqual(contacts[0].surface, wall);
+		}
+	});
+});
+
+test('A fast box never goes through a thin wall', function() {
+	var wall = thinWall(300.5);
+	var box = boxAt(240, 150);
+	box.advance([wall], world);
+
+	assert.ok(box.xMax() <= wall.xMin());
+	assert.ok(box.dx < 0);
+});
+
+test('Contacts are resolved in the order they happen, whatever the order of the surfaces', function() {
+	// Between two walls 30 units apart, a ball bouncing back and forth within the tick. It stays between them once
+	// too many contacts were resolved (squeezed).
+	var left = thinWall(100.5);
+	var right = thinWall(130.5);
+	var ball = ballAt(115, 100);
+	var contacts = ball.advance([left, right], world);
+
+	assert.ok(contacts.length >= 3);
+	assert.strictEqual(contacts[0].surface, right);
+	for(var i = 1; i < contacts.length; i++)
+	{
+		assert.ok(contacts[i].time >= contacts[i - 1].time);
+		assert.notStrictEqual(contacts[i].surface, contacts[i - 1].surface);
+	}
+	assert.ok(ball.xMin() >= left.xMax() - 1e-6 && ball.xMax() <= right.xMin() + 1e-6, 'ball at ' + ball.x);
+});
+
+test('A sensor stops the movement where it is met', function() {
+	var goal = new WavePad.Goal(300.5, 250, 1, 200);
+	var wall = thinWall(320.5);
+	var ball = ballAt(250, 100);
+	var contacts = ball.advance([wall, goal], world);
+
+	assert.strictEqual(contacts.length, 1);
+	assert.strictEqual(contacts[0].surface, goal);
+	assert.strictEqual(ball.dx, 100);
+	assert.ok(ball.x < 300);
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests of the pickups: Effects apply to the right players, and everything they changed comes back when they end.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+
+var TICKS_PER_SECOND = WavePad.TICKS_PER_SECOND;
+
+// A match with the ball in play, sent by player 1.
+function start()
+{
+	var world = new WavePad.World(null, null, {width: 968, height: 500, seed: 3});
+	world.init({pickups: {enabled: false}});
+	var ball = world.balls[0];
+	ball.heldBy = null;
+	ball.x = world.xMiddle();
+	ball.y = world.yMiddle();
+	ball.dx = 3;
+	ball.dy = 4;
+	ball.sender = world.players[0];
+	return world;
+}
+
+function speedOf(ball)
+{
+	return Math.sqrt(ball.dx * ball.dx + ball.dy * ball.dy);
+}
+
+// What the effects change, for each player and the world.
+function stateOf(world)
+{
+	return {
+		players: world.players.map(function(player) {
+			return {
+				length: player.body.length(),
+				x: player.body.x,
+				sensor: player.goal.isSensor,
+				reversed: !! player.reversed,
+			};
+		}),
+		wallsFrozen: !! world.wallsFrozen,
+	};
+}
+
+test('Every effect is undone when it ends', function() {
+	Object.keys(WavePad.Pickup.effects).forEach(function(name) {
+		var world = start();
+		var before = stateOf(world);
+		world.applyEffect(name, world.players[0], world.balls[0]);
+		world.effects.slice().forEach(function(active) {
+			world.revertEffect(active);
+		});
+
+		assert.deepStrictEqual(stateOf(world), before, name);
+		assert.strictEqual(world.effects.length, 0, name);
+	});
+});
+
+test('Effects go to the collector, or to the opponents', function() {
+	var world = start();
+	var you = world.players[0];
+	var opponent = world.players[1];
+	var length = you.body.length();
+
+	world.applyEffect('widen', you);
+	assert.strictEqual(you.body.length(), Math.round(1.5 * length));
+	assert.strictEqual(opponent.body.length(), length);
+
+	world.applyEffect('reverse', you);
+	assert.ok( ! you.reversed);
+	assert.ok(opponent.reversed);
+
+	world.applyEffect('shield', you);
+	assert.strictEqual(you.goal.isSensor, false);
+	assert.strictEqual(opponent.goal.isSensor, true);
+});
+
+test('An effect replaces the one of the same group, instead of adding up', function() {
+	var world = start();
+	var you = world.players[0];
+	var length = you.body.length();
+
+	world.applyEffect('widen', you);
+	world.applyEffect('widen', you);
+	assert.strictEqual(you.body.length(), Math.round(1.5 * length));
+	assert.strictEqual(world.effects.length, 1);
+
+	// Same group: The small paddle of the opponent doesn't undo our wide one.
+	world.applyEffect('shrink', world.players[1]);
+	assert.strictEqual(you.body.length(), Math.round(0.6 * length));
+	assert.strictEqual(world.effects.length, 1);
+
+	world.revertEffect(world.effects[0]);
+	assert.strictEqual(you.body.length(), length);
+});
+
+test('Fast balls get their speed back, in the direction they go when it ends', function() {
+	var world = start();
+	var ball = world.balls[0];
+	world.applyEffect('speedUp', world.players[0], ball);
+	assert.strictEqual(speedOf(ball), 7.5);
+
+	// A bounce, and some drag, in the meantime.
+	ball.dx = -4;
+	ball.dy = 6;
+	world.revertEffect(world.effects[0]);
+
+	assert.ok(Math.abs(speedOf(ball) - 5) < 1e-9);
+	assert.ok(ball.dx < 0 && ball.dy > 0);
+	assert.ok(Math.abs(ball.dy / ball.dx + 1.5) < 1e-9);
+});
+
+test('Fast balls: Balls gone, or held, are left alone', function() {
+	var world = start();
+	var ball = world.balls[0];
+	world.applyEffect('speedUp', world.players[0], ball);
+
+	// Caught, and served again.
+	world.balls = [];
+	var served = world.addBall(world.players[0]);
+	var held = {dx: served.dx, dy: served.dy};
+	ball.dx = 9;
+	ball.dy = 0;
+	world.revertEffect(world.effects[0]);
+
+	assert.strictEqual(ball.dx, 9);
+	assert.deepStrictEqual({dx: served.dx, dy: served.dy}, held);
+});
+
+test('A collected pickup applies its effect, until it expires', function() {
+	var world = start();
+	var you = world.players[0];
+	var length = you.body.length();
+	var collected = [];
+	world.on('pickupCollected', function(event) {
+		collected.push(event.effect);
+	});
+
+	var pickup = world.addPickup('widen');
+	pickup.x = world.balls[0].x;
+	pickup.y = world.balls[0].y;
+	world.updatePickups();
+
+	assert.deepStrictEqual(collected, ['widen']);
+	assert.strictEqual(world.pickups.length, 0);
+	assert.strictEqual(you.body.length(), Math.round(1.5 * length));
+
+	world.match.ticks += WavePad.Pickup.effects.widen.duration * TICKS_PER_SECOND;
+	world.updatePickups();
+	assert.strictEqual(world.effects.length, 0);
+	assert.strictEqual(you.body.length(), length);
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests of the replays: A recorded match, saved as JSON and played back, is the same match.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+var Net = require('../js/net.js');
+var Replay = require('../js/replay.js');
+
+// Record ticks of a match, then return the world and its replay, through JSON.
+function record(options, ticks, inputsAt)
+{
+	var world = new WavePad.World(null, null, {seed: 1234});
+	world.init(options);
+	var recorder = new Replay.Recorder(world);
+	recorder.attach();
+	for(var tick = 0; tick < ticks; tick++)
+	{
+		world.step(inputsAt(tick));
+		recorder.record();
+	}
+	return {world: world, replay: Replay.Replay.fromJSON(recorder.replay().toJSON())};
+}
+
+test('A replay plays the recorded match again', function() {
+	var recorded = record({difficulty: 'hard', pickups: {enabled: true}}, 3000, function(tick) {
+		return {player1: {left: tick % 240 < 80, right: tick % 240 > 160, serve: tick % 90 == 0}};
+	});
+	var player = new Replay.ReplayPlayer(recorded.replay);
+	player.seek(3000);
+
+	assert.ok(player.isOver());
+	assert.deepStrictEqual(Net.takeSnapshot(player.world), Net.takeSnapshot(recorded.world));
+});
+
+test('A replay keeps the targets of both players, left and right paddles included', function() {
+	require('../js/modes.js');
+	var recorded = record({game: 'fourPlayers', mode: 'versus'}, 1200, function(tick) {
+		return {
+			player1: {targetX: 100 + tick / 3},
+			player2: {left: tick % 100 < 50, serve: tick % 300 == 0},
+			player3: {targetY: 400 - tick / 7},
+			player4: {right: tick % 60 < 20},
+		};
+	});
+	var player = new Replay.ReplayPlayer(recorded.replay);
+	player.seek(1200);
+
+	assert.deepStrictEqual(Net.takeSnapshot(player.world), Net.takeSnapshot(recorded.world));
+});
+
+test('Seeking backward plays the match again from the start', function() {
+	var recorded = record({}, 900, function(tick) {
+		return {player1: {right: tick % 120 < 60, serve: true}};
+	});
+	var player = new Replay.ReplayPlayer(recorded.replay);
+	player.seek(600);
+	var state = Net.takeSnapshot(player.world);
+	player.seek(900);
+	player.seek(600);
+
+	assert.strictEqual(player.ticks, 600);
+	assert.deepStrictEqual(Net.takeSnapshot(player.world), state);
+});
+
+test('Inputs are run-length encoded', function() {
+	var recorded = record({}, 600, function(tick) {
+		return {player1: {left: tick >= 200}};
+	});
+	assert.deepStrictEqual(JSON.parse(recorded.replay.toJSON()).inputs, {player1: [[200, 0], [400, 1]]});
+});
+
+test('Invalid replays throw an error naming the bad field', function() {
+	var data = JSON.parse(record({}, 10, function() { return {}; }).replay.toJSON());
+	data.inputs.player1 = [[10, 8]];
+	assert.throws(function() { new Replay.Replay(data); }, /inputs\.player1\[0\] must be \[ticks, actions\]/);
+	assert.throws(function() { Replay.Replay.fromJSON('{'); }, /Invalid replay: Not valid JSON/);
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests of the scenes: The keys reach the pause menu or the loop controls, the match goes on when the menu is left.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+var Loop = require('../js/loop.js');
+var Scenes = require('../js/scenes.js');
+
+// A match being played, run by a loop that is never started: Ticks only come from stepOnce.
+function playing()
+{
+	var world = new WavePad.World(null, null, {width: 968, height: 500, seed: 1234});
+	var scenes = new Scenes.SceneManager(world);
+	var loop = new Loop({
+		update: function() { scenes.update({}); },
+		requestFrame: function() { return null; },
+		cancelFrame: function() {},
+	});
+	scenes.loop = loop;
+	scenes.play();
+	return {world: world, scenes: scenes, loop: loop};
+}
+
+test('P opens the pause menu, and P or Resume goes back to the match', function() {
+	var game = playing();
+
+	assert.ok(game.scenes.handleKey('KeyP'));
+	assert.ok(game.scenes.current() instanceof Scenes.PauseScene);
+	assert.strictEqual(game.loop.paused, false);
+	assert.ok(game.scenes.handleKey('KeyP'));
+	assert.ok(game.scenes.current() instanceof Scenes.PlayScene);
+
+	game.scenes.handleKey('Escape');
+	game.scenes.handleKey('Enter');
+	assert.ok(game.scenes.current() instanceof Scenes.PlayScene);
+});
+
+test('P resumes a paused loop, N is left to the loop controls', function() {
+	var game = playing();
+	// Ex: The pause command of the debug console.
+	game.loop.pause();
+
+	assert.strictEqual(game.scenes.handleKey('KeyN'), false);
+	var ticks = game.world.match.ticks;
+	game.loop.stepOnce();
+	assert.strictEqual(game.world.match.ticks, ticks + 1);
+	assert.ok(game.loop.paused);
+
+	assert.ok(game.scenes.handleKey('KeyP'));
+	assert.strictEqual(game.loop.paused, false);
+	assert.ok(game.scenes.current() instanceof Scenes.PlayScene);
+});
+
+test('Leaving the pause menu resumes the loop', function() {
+	var game = playing();
+	game.loop.pause();
+
+	game.scenes.handleKey('Escape');
+	assert.ok(game.scenes.current() instanceof Scenes.PauseScene);
+	// Resume
+	game.scenes.handleKey('Enter');
+	assert.ok(game.scenes.current() instanceof Scenes.PlayScene);
+	assert.strictEqual(game.loop.paused, false);
+});
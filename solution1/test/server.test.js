@@ -0,0 +1,275 @@
+/**
+ * Tests of the online server: WebSocket framing (RFC 6455), the handshake, and the files it serves.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+var net = require('net');
+var path = require('path');
+var EventEmitter = require('events');
+
+var Server = require('../server/server.js');
+var Net = require('../js/net.js');
+
+var MASK = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+
+// A frame sent by a client: Clients always mask their frames.
+function clientFrame(opcode, payload, fin)
+{
+	var header;
+	if(payload.length < 126)
+	{
+		header = Buffer.from([(fin === false ? 0 : 0x80) | opcode, 0x80 | payload.length]);
+	}
+	else
+	{
+		header = Buffer.alloc(4);
+		header[0] = (fin === false ? 0 : 0x80) | opcode;
+		header[1] = 0x80 | 126;
+		header.writeUInt16BE(payload.length, 2);
+	}
+	var masked = Buffer.from(payload);
+	for(var i = 0; i < masked.length; i++)
+	{
+		masked[i] ^= MASK[i % 4];
+	}
+	return Buffer.concat([header, MASK, masked]);
+}
+
+// A frame sent by the server, back to its opcode and payload. null until the whole frame is there.
+function decodeFrame(buffer)
+{
+	var length = buffer[1] & 0x7F;
+	var offset = 2;
+	if(length == 126)
+	{
+		length = buffer.readUInt16BE(2);
+		offset = 4;
+	}
+	else if(length == 127)
+	{
+		length = Number(buffer.readBigUInt64BE(2));
+		offset = 10;
+	}
+	if(buffer.length < offset + length)
+	{
+		return null;
+	}
+	return {
+		fin: (buffer[0] & 0x80) != 0,
+		masked: (buffer[1] & 0x80) != 0,
+		opcode: buffer[0] & 0x0F,
+		payload: buffer.subarray(offset, offset + length),
+		rest: buffer.subarray(offset + length),
+	};
+}
+
+// A socket keeping what the server writes to it.
+function createSocket()
+{
+	var socket = new EventEmitter();
+	socket.written = [];
+	socket.ended = false;
+	socket.write = function(data) { socket.written.push(decodeFrame(data)); };
+	socket.end = function() { socket.ended = true; };
+	return socket;
+}
+
+// A connection on a fake socket, with the messages it received.
+function connect()
+{
+	var socket = createSocket();
+	var connection = new Server.Connection(socket);
+	connection.messages = [];
+	connection.onmessage = function(text) { connection.messages.push(text); };
+	return {socket: socket, connection: connection};
+}
+
+//--------------------------------------------
+// Framing
+//--------------------------------------------
+test('The accept key of the handshake is the one of RFC 6455', function() {
+	assert.strictEqual(Server.acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('Server frames are final, unmasked, with the length in 7, 16 or 64 bits', function() {
+	[0, 125, 126, 65535, 65536].forEach(function(length) {
+		var payload = Buffer.alloc(length, 'a');
+		var frame = decodeFrame(Server.encodeFrame(0x1, payload));
+		assert.strictEqual(frame.fin, true);
+		assert.strictEqual(frame.masked, false);
+		assert.strictEqual(frame.opcode, 0x1);
+		assert.ok(frame.payload.equals(payload), 'Payload of ' + length + ' bytes');
+		assert.strictEqual(frame.rest.length, 0);
+	});
+	assert.deepStrictEqual(Array.from(Server.encodeFrame(0x1, Buffer.from('Hi')).subarray(0, 2)), [0x81, 2]);
+	assert.deepStrictEqual(Array.from(Server.encodeFrame(0x1, Buffer.alloc(200)).subarray(0, 4)), [0x81, 126, 0, 200]);
+	assert.strictEqual(Server.encodeFrame(0x1, Buffer.alloc(65536))[1], 127);
+});
+
+test('Masked client frames are unmasked, whole or in pieces', function() {
+	var client = connect();
+	var frames = Buffer.concat([
+		clientFrame(0x1, Buffer.from('{"type":"create"}')),
+		clientFrame(0x1, Buffer.alloc(300, 'b')),
+	]);
+	for(var i = 0; i < frames.length; i += 7)
+	{
+		client.socket.emit('data', frames.subarray(i, i + 7));
+	}
+	assert.deepStrictEqual(client.connection.messages, ['{"type":"create"}', 'b'.repeat(300)]);
+});
+
+test('Fragmented messages are put back together, with control frames in between', function() {
+	var client = connect();
+	client.socket.emit('data', clientFrame(0x1, Buffer.from('{"type":'), false));
+	client.socket.emit('data', clientFrame(0x9, Buffer.from('ping?')));
+	client.socket.emit('data', clientFrame(0x0, Buffer.from('"join"}')));
+
+	assert.deepStrictEqual(client.connection.messages, ['{"type":"join"}']);
+	assert.strictEqual(client.socket.written[0].opcode, 0xA);
+	assert.strictEqual(client.socket.written[0].payload.toString(), 'ping?');
+});
+
+test('Messages are sent as JSON in text frames', function() {
+	var client = connect();
+	client.connection.send({type: 'created', code: 'ABCD'});
+
+	assert.strictEqual(client.socket.written[0].opcode, 0x1);
+	assert.deepStrictEqual(JSON.parse(client.socket.written[0].payload.toString()), {type: 'created', code: 'ABCD'});
+});
+
+// Status code of the close frame the server sent.
+function closeCode(client)
+{
+	var frame = client.socket.written[client.socket.written.length - 1];
+	assert.strictEqual(frame.opcode, 0x8);
+	assert.ok(client.socket.ended);
+	assert.ok(client.connection.closed);
+	return frame.payload.readUInt16BE(0);
+}
+
+test('Bad frames close the connection with the status code of RFC 6455', function() {
+	var unmasked = connect();
+	unmasked.socket.emit('data', Server.encodeFrame(0x1, Buffer.from('{}')));
+	assert.strictEqual(closeCode(unmasked), 1002);
+
+	var binary = connect();
+	binary.socket.emit('data', clientFrame(0x2, Buffer.from([1, 2, 3])));
+	assert.strictEqual(closeCode(binary), 1003);
+
+	var continuation = connect();
+	continuation.socket.emit('data', clientFrame(0x0, Buffer.from('lost')));
+	assert.strictEqual(closeCode(continuation), 1002);
+
+	var tooLong = connect();
+	var header = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0, 2, 0, 0]);
+	tooLong.socket.emit('data', Buffer.concat([header, MASK]));
+	assert.strictEqual(closeCode(tooLong), 1009);
+	assert.deepStrictEqual(tooLong.connection.messages, []);
+});
+
+test('A close frame is answered, once', function() {
+	var client = connect();
+	var closed = 0;
+	client.connection.onclose = function() { closed++; };
+	client.socket.emit('data', clientFrame(0x8, Buffer.from([0x03, 0xE8])));
+	client.socket.emit('close');
+
+	assert.strictEqual(closeCode(client), 1000);
+	assert.strictEqual(closed, 1);
+});
+
+//--------------------------------------------
+// Handshake
+//--------------------------------------------
+test('The server upgrades to WebSocket and answers in frames', function(t, done) {
+	var server = Server.createServer();
+	server.listen(0, 'localhost', function() {
+		var socket = net.connect(server.address().port, 'localhost');
+		var received = Buffer.alloc(0);
+		var upgraded = false;
+		var finish = function(error) {
+			socket.destroy();
+			server.close();
+			done(error);
+		};
+		socket.setTimeout(5000, function() { finish(new Error('No answer from the server.')); });
+		socket.on('error', finish);
+		socket.on('data', function(chunk) {
+			received = Buffer.concat([received, chunk]);
+			if( ! upgraded)
+			{
+				var end = received.indexOf('\r\n\r\n');
+				if(end < 0)
+				{
+					return;
+				}
+				var head = received.subarray(0, end).toString();
+				received = received.subarray(end + 4);
+				upgraded = true;
+				try
+				{
+					assert.match(head, /^HTTP\/1\.1 101 /);
+					assert.match(head, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+				}
+				catch(error)
+				{
+					finish(error);
+					return;
+				}
+				socket.write(clientFrame(0x1, Buffer.from(JSON.stringify({type: 'create', options: {}}))));
+			}
+			var frame = received.length >= 2 ? decodeFrame(received) : null;
+			if(frame)
+			{
+				try
+				{
+					var message = JSON.parse(frame.payload.toString());
+					assert.strictEqual(message.type, 'created');
+					assert.ok(server.rooms[message.code]);
+					finish();
+				}
+				catch(error)
+				{
+					finish(error);
+				}
+			}
+		});
+		socket.write(
+			'GET ' + Net.PATH + ' HTTP/1.1\r\n'
+			+ 'Host: localhost\r\n'
+			+ 'Upgrade: websocket\r\n'
+			+ 'Connection: Upgrade\r\n'
+			+ 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n'
+			+ 'Sec-WebSocket-Version: 13\r\n'
+			+ '\r\n'
+		);
+	});
+});
+
+//--------------------------------------------
+// Files
+//--------------------------------------------
+// Rem: Urls are decoded before (see serveFile).
+test('Only the page and its files are served', function() {
+	var solution = path.resolve(__dirname, '..');
+	assert.strictEqual(Server.publicFile('/wavepad/solution1/wavepad.html'), path.join(solution, 'wavepad.html'));
+	assert.strictEqual(Server.publicFile('/wavepad/solution1/js/wavepad.js'), path.join(solution, 'js', 'wavepad.js'));
+	[
+		'/wavepad/solution1/server/server.js',
+		'/wavepad/solution1/test/server.test.js',
+		'/wavepad/solution1/js/../server/server.js',
+		'/wavepad/solution1/js/.hidden',
+		'/.git/config',
+		'/package.json',
+	].forEach(function(url) {
+		assert.strictEqual(Server.publicFile(url), null, url);
+	});
+});
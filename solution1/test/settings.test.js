@@ -0,0 +1,216 @@
+/**
+ * Tests of the settings: Validation of everything saved, and upgrade of settings saved by older versions.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+var Settings = require('../js/settings.js');
+
+var SettingsStore = Settings.SettingsStore;
+
+// Storage like localStorage, in memory.
+function createStorage(items)
+{
+	items = items || {};
+	return {
+		items: items,
+		getItem: function(key) { return items.hasOwnProperty(key) ? items[key] : null; },
+		setItem: function(key, value) { items[key] = String(value); },
+	};
+}
+
+// A store on the given settings, as saved in storage.
+function storeOf(data)
+{
+	var items = {};
+	items[SettingsStore.STORAGE_KEY] = typeof data === 'string' ? data : JSON.stringify(data);
+	return new SettingsStore({storage: createStorage(items)});
+}
+
+// Settings as saved by version 0: Preferences in their own key, one set of statistics, no profiles.
+function version0()
+{
+	return {
+		version: 0,
+		choices: {mode: 'versus', theme: 'ice'},
+		stats: {
+			matchesPlayed: 12,
+			matchesWon: 5,
+			pointsScored: 40,
+			pointsConceded: 51,
+			longestRally: 9,
+			fastestBall: 310,
+			goalsByLayout: {classic: 91},
+		},
+	};
+}
+
+//--------------------------------------------
+// Validation
+//--------------------------------------------
+test('Defaults without anything saved', function() {
+	var store = new SettingsStore({storage: createStorage()});
+
+	assert.strictEqual(store.error, null);
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+	assert.deepStrictEqual(store.stats(), Settings.emptyStats());
+});
+
+test('Preferences are saved, and kept for the next visit', function() {
+	var storage = createStorage();
+	var store = new SettingsStore({storage: storage});
+	store.setPreferences({choices: {theme: 'ice'}, world: {ballRadius: 10, physics: {drag: 0.01}}});
+	store.setPreferences({world: {physics: {maxSpeed: 12}}});
+	store.setPreferences({sound: {muted: true}});
+
+	var next = new SettingsStore({storage: storage});
+	assert.strictEqual(next.preferences().choices.theme, 'ice');
+	assert.strictEqual(next.preferences().sound.muted, true);
+	assert.deepStrictEqual(next.preferences().world, {ballRadius: 10, physics: {drag: 0.01, maxSpeed: 12}});
+	assert.deepStrictEqual(next.worldOptions({ballRadius: 6, mode: 'versus'}), {
+		ballRadius: 6,
+		mode: 'versus',
+		physics: {drag: 0.01, maxSpeed: 12},
+	});
+});
+
+test('Invalid preferences throw an error naming the bad field, and are not saved', function() {
+	var store = new SettingsStore({storage: createStorage()});
+	var cases = [
+		[{world: {ballRadius: 100}}, /world\.ballRadius must be a number in \[1, 40\]\. Got: 100/],
+		[{world: {wallWave: {wavelength: 0}}}, /world\.wallWave\.wavelength must be a number in \[1, 10000\]/],
+		[{world: {physics: {drag: '0.1'}}}, /world\.physics\.drag must be a number/],
+		[{world: {level: {}}}, /world\.level must be one of the options that can be saved/],
+		[{world: {spawner: {variants: {huge: 1}}}}, /world\.spawner\.variants names must be one of/],
+		[{world: {game: 'golf'}}, /world\.game must be one of classic/],
+		[{choices: {mode: 'chess'}}, /choices\.mode must be one of/],
+		[{effects: {trails: 'yes'}}, /effects\.trails must be true or false/],
+		[{keys: {player1: {left: 'ArrowLeft'}}}, /keys\.player1\.left must be a list of key codes/],
+		[{sound: {muted: 1}}, /sound\.muted must be true or false/],
+		[{music: {}}, /preferences must be one of/],
+	];
+	cases.forEach(function(entry) {
+		assert.throws(function() { store.setPreferences(entry[0]); }, entry[1], JSON.stringify(entry[0]));
+	});
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+});
+
+test('Every numeric option of the world has a range', function() {
+	var defaults = WavePad.World.defaultSettings;
+	for(var key in defaults)
+	{
+		var options = {};
+		if(typeof defaults[key] === 'number')
+		{
+			options[key] = defaults[key];
+		}
+		else if(defaults[key] && typeof defaults[key] === 'object' && ! Array.isArray(defaults[key]))
+		{
+			options[key] = {};
+			for(var name in defaults[key])
+			{
+				if(typeof defaults[key][name] === 'number')
+				{
+					options[key][name] = defaults[key][name];
+				}
+			}
+		}
+		SettingsStore.validatePreferences({world: options});
+	}
+});
+
+test('Bad settings in storage are dropped: The game starts with the defaults', function() {
+	var store = storeOf('{not json');
+	assert.ok(store.error);
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+});
+
+test('Bad preferences in storage are dropped, the statistics are kept', function() {
+	var data = new SettingsStore({storage: createStorage()}).data;
+	data.preferences.world = {physics: {drag: 2}};
+	data.profiles[data.profile].matchesPlayed = 4;
+	var store = storeOf(data);
+
+	assert.match(store.error, /world\.physics\.drag must be a number in \[0, 1\]/);
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+	assert.strictEqual(store.stats().matchesPlayed, 4);
+});
+
+test('Settings of a newer version are left alone', function() {
+	var storage = createStorage();
+	var saved = JSON.stringify({version: SettingsStore.VERSION + 1, whatever: true});
+	storage.setItem(SettingsStore.STORAGE_KEY, saved);
+	var store = new SettingsStore({storage: storage});
+	store.setPreferences({choices: {theme: 'lime'}});
+
+	assert.match(store.error, /newer version/);
+	assert.strictEqual(storage.getItem(SettingsStore.STORAGE_KEY), saved);
+});
+
+//--------------------------------------------
+// Migration
+//--------------------------------------------
+test('Settings of an older version are upgraded, statistics included', function(t) {
+	assert.ok( ! SettingsStore.migrations.hasOwnProperty(0), 'This test brings its own migration from version 0.');
+	SettingsStore.migrations[0] = function(data) {
+		var upgraded = {
+			version: 1,
+			preferences: {choices: data.choices},
+			profile: SettingsStore.DEFAULT_PROFILE,
+			profiles: {},
+		};
+		upgraded.profiles[upgraded.profile] = data.stats;
+		return upgraded;
+	};
+	t.after(function() {
+		delete SettingsStore.migrations[0];
+	});
+
+	var store = storeOf(version0());
+	assert.strictEqual(store.error, null);
+	assert.strictEqual(store.data.version, SettingsStore.VERSION);
+	assert.deepStrictEqual(store.stats(), version0().stats);
+
+	// Preferences added since get their defaults.
+	assert.strictEqual(store.preferences().choices.mode, 'versus');
+	assert.strictEqual(store.preferences().choices.theme, 'ice');
+	assert.strictEqual(store.preferences().choices.difficulty, SettingsStore.defaultPreferences().choices.difficulty);
+	assert.deepStrictEqual(store.preferences().effects, SettingsStore.defaultPreferences().effects);
+});
+
+test('Settings of an older version without a migration are left alone', function() {
+	assert.ok( ! SettingsStore.migrations.hasOwnProperty(0));
+	var storage = createStorage();
+	var saved = JSON.stringify(version0());
+	storage.setItem(SettingsStore.STORAGE_KEY, saved);
+	var store = new SettingsStore({storage: storage});
+
+	// The game starts with the defaults...
+	assert.match(store.error, /version must be 1\. Got: 0/);
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+
+	// ...and doesn't save over the statistics it can't read.
+	store.setPreferences({choices: {theme: 'mono'}});
+	store.resetStats();
+	assert.strictEqual(storage.getItem(SettingsStore.STORAGE_KEY), saved);
+});
+
+test('Statistics of an older version without a migration are kept when they can be read', function() {
+	var data = new SettingsStore({storage: createStorage()}).data;
+	data.version = 0;
+	data.preferences.choices.theme = 'ice';
+	data.profiles[data.profile].pointsScored = 17;
+	var store = storeOf(data);
+
+	assert.match(store.error, /version must be 1\. Got: 0/);
+	assert.strictEqual(store.stats().pointsScored, 17);
+	assert.deepStrictEqual(store.preferences(), SettingsStore.defaultPreferences());
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests of the WavePad simulation: A given seed always plays the same game for the same inputs.
+ *
+ * Node only, no dependencies: npm test (or node --test solution1/test/)
+ *
+ * Author: Loïc Benoit
+ * Website: loicbenoit.com
+ * Licence: MIT
+ **/
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var WavePad = require('../js/wavepad.js');
+
+// Inputs of player 1 at each tick: Left, wait, right.
+function inputsAt(tick)
+{
+	return {player1: {left: tick % 300 < 100, right: tick % 300 > 200}};
+}
+
+// State of the world, as plain data.
+function stateOf(world)
+{
+	return {
+		scores: world.scores,
+		players: world.players.map(function(player) { return [player.body.x, player.body.y]; }),
+		balls: world.balls.map(function(ball) { return [ball.x, ball.y, ball.dx, ball.dy]; }),
+		walls: world.walls.map(function(wall) { return [wall.x, wall.y, wall.xLen, wall.yLen]; }),
+	};
+}
+
+// States of the world every 100 ticks.
+function play(seed, ticks)
+{
+	var world = new WavePad.World(null, null, {width: 968, height: 500, seed: seed});
+	world.init();
+	var states = [];
+	for(var tick = 0; tick < ticks; tick++)
+	{
+		world.step(inputsAt(tick));
+		if(tick % 100 == 0)
+		{
+			states.push(stateOf(world));
+		}
+	}
+	return states;
+}
+
+test('Same seed and inputs play the same game', function() {
+	assert.deepStrictEqual(play(42, 3000), play(42, 3000));
+});
+
+test('Another seed plays another game', function() {
+	assert.notDeepStrictEqual(play(1, 3000), play(2, 3000));
+});
+
+test('Worlds of different seeds don\'t share their random numbers', function() {
+	var alone = play(42, 1000);
+	var other = new WavePad.World(null, null, {width: 968, height: 500, seed: 7});
+	other.init();
+	for(var tick = 0; tick < 500; tick++)
+	{
+		other.step({});
+	}
+	assert.deepStrictEqual(play(42, 1000), alone);
+});